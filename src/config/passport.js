@@ -0,0 +1,86 @@
+const passport = require('passport');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const GitHubStrategy = require('passport-github2').Strategy;
+const logger = require('./logger');
+const { RedisStateStore, findOrCreateOAuthUser } = require('../utils/oauth');
+
+/**
+ * Verify callback shared by all providers
+ */
+const verify = (provider) => async (accessToken, refreshToken, profile, done) => {
+  try {
+    const { user, error } = await findOrCreateOAuthUser(provider, profile);
+
+    if (error) {
+      return done(null, false, error);
+    }
+
+    done(null, user);
+  } catch (err) {
+    done(err);
+  }
+};
+
+// Provider endpoints can be overridden to point at a local mock identity provider
+const providers = {
+  google: {
+    enabled: Boolean(process.env.GOOGLE_CLIENT_ID),
+    scope: ['openid', 'profile', 'email'],
+    create: () => new GoogleStrategy({
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: process.env.GOOGLE_CALLBACK_URL,
+      authorizationURL: process.env.GOOGLE_AUTHORIZATION_URL,
+      tokenURL: process.env.GOOGLE_TOKEN_URL,
+      userProfileURL: process.env.GOOGLE_USERINFO_URL,
+      pkce: true,
+      state: true,
+      store: new RedisStateStore('google')
+    }, verify('google'))
+  },
+  github: {
+    enabled: Boolean(process.env.GITHUB_CLIENT_ID),
+    scope: ['read:user', 'user:email'],
+    create: () => new GitHubStrategy({
+      clientID: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      callbackURL: process.env.GITHUB_CALLBACK_URL,
+      authorizationURL: process.env.GITHUB_AUTHORIZATION_URL,
+      tokenURL: process.env.GITHUB_TOKEN_URL,
+      userProfileURL: process.env.GITHUB_USERINFO_URL,
+      userEmailURL: process.env.GITHUB_EMAILS_URL,
+      scope: ['read:user', 'user:email'],
+      allRawEmails: true,
+      pkce: true,
+      state: true,
+      store: new RedisStateStore('github')
+    }, verify('github'))
+  }
+};
+
+Object.entries(providers).forEach(([name, provider]) => {
+  if (provider.enabled) {
+    passport.use(name, provider.create());
+    logger.info(`OAuth provider enabled: ${name}`);
+  }
+});
+
+/**
+ * Check whether an OAuth provider is configured
+ */
+function isProviderEnabled(name) {
+  return Boolean(providers[name] && providers[name].enabled);
+}
+
+/**
+ * Get the scopes requested from a provider
+ */
+function getProviderScope(name) {
+  return providers[name].scope;
+}
+
+module.exports = {
+  passport,
+  isProviderEnabled,
+  getProviderScope
+};
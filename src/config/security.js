@@ -0,0 +1,40 @@
+// Startup checks that keep development defaults out of production
+
+const REQUIRED_SECRETS = ['JWT_REFRESH_SECRET', 'EMAIL_VERIFICATION_SECRET'];
+// The built-in fallbacks and the .env.example placeholders all start with this
+const PLACEHOLDER_PREFIX = 'your-super-secret';
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Names of secrets that are missing, placeholders or too short
+ */
+function findInsecureSecrets(env = process.env) {
+  return REQUIRED_SECRETS.filter(name => {
+    const value = env[name];
+    return !value || value.startsWith(PLACEHOLDER_PREFIX) || value.length < MIN_SECRET_LENGTH;
+  });
+}
+
+/**
+ * Throw when running in production with default secrets or without signing keys
+ */
+function assertProductionConfig(env = process.env) {
+  if (env.NODE_ENV !== 'production') {
+    return;
+  }
+
+  const insecure = findInsecureSecrets(env);
+
+  if (insecure.length > 0) {
+    throw new Error(`Refusing to start in production with default or weak secrets: ${insecure.join(', ')}`);
+  }
+
+  if (!env.JWT_KEYS_DIR) {
+    throw new Error('JWT_KEYS_DIR is required in production');
+  }
+}
+
+module.exports = {
+  findInsecureSecrets,
+  assertProductionConfig
+};
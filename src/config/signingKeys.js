@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Signing keys for access tokens.
+// JWT_KEYS_DIR holds one PEM private key per file; the file name (without .pem) is the key id (kid).
+// Every key verifies tokens and is published in the JWKS; JWT_SIGNING_KID picks the one that signs.
+// Without JWT_KEYS_DIR (development and tests only) an ephemeral key is generated at startup.
+
+const MIN_RSA_BITS = 2048;
+
+/**
+ * Work out the JWS algorithm for a private key (RS256 or ES256 only)
+ */
+function algorithmFor(privateKey, kid) {
+  const { asymmetricKeyType: type, asymmetricKeyDetails: details = {} } = privateKey;
+
+  if (type === 'rsa' && details.modulusLength >= MIN_RSA_BITS) {
+    return 'RS256';
+  }
+
+  if (type === 'ec' && details.namedCurve === 'prime256v1') {
+    return 'ES256';
+  }
+
+  throw new Error(`Signing key "${kid}" must be an RSA key of at least ${MIN_RSA_BITS} bits or a P-256 EC key`);
+}
+
+function toSigningKey(kid, privateKey) {
+  return {
+    kid,
+    alg: algorithmFor(privateKey, kid),
+    privateKey,
+    publicKey: crypto.createPublicKey(privateKey)
+  };
+}
+
+/**
+ * Load every *.pem key in a directory and pick the signing key
+ */
+function loadSigningKeys(dir, signingKid) {
+  const keys = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.pem'))
+    .sort()
+    .map(file => toSigningKey(
+      path.basename(file, '.pem'),
+      crypto.createPrivateKey(fs.readFileSync(path.join(dir, file)))
+    ));
+
+  if (keys.length === 0) {
+    throw new Error(`No .pem signing keys found in ${dir}`);
+  }
+
+  if (!signingKid && keys.length > 1) {
+    throw new Error('JWT_SIGNING_KID must name the signing key when JWT_KEYS_DIR holds several keys');
+  }
+
+  const signing = signingKid ? keys.find(key => key.kid === signingKid) : keys[0];
+
+  if (!signing) {
+    throw new Error(`JWT_SIGNING_KID "${signingKid}" does not match a key in ${dir}`);
+  }
+
+  return { keys, signing };
+}
+
+/**
+ * Generate a throwaway ES256 key for local development
+ */
+function generateEphemeralKeys() {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const signing = toSigningKey(`dev-${crypto.randomBytes(4).toString('hex')}`, privateKey);
+
+  return { keys: [signing], signing };
+}
+
+let keyStore = null;
+
+function getKeyStore() {
+  if (!keyStore) {
+    if (process.env.JWT_KEYS_DIR) {
+      keyStore = loadSigningKeys(process.env.JWT_KEYS_DIR, process.env.JWT_SIGNING_KID);
+      logger.info(`Loaded ${keyStore.keys.length} JWT signing key(s); signing with "${keyStore.signing.kid}"`);
+    } else {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_KEYS_DIR is required in production');
+      }
+
+      keyStore = generateEphemeralKeys();
+      if (process.env.NODE_ENV !== 'test') {
+        logger.warn('JWT_KEYS_DIR is not set; using an ephemeral signing key (tokens will not survive a restart)');
+      }
+    }
+  }
+
+  return keyStore;
+}
+
+/**
+ * Key used to sign new tokens
+ */
+function getSigningKey() {
+  return getKeyStore().signing;
+}
+
+/**
+ * Key for a token's `kid` header, or null when it is unknown
+ */
+function getVerificationKey(kid) {
+  return getKeyStore().keys.find(key => key.kid === kid) || null;
+}
+
+/**
+ * Public keys as a JSON Web Key Set (RFC 7517)
+ */
+function getJwks() {
+  return {
+    keys: getKeyStore().keys.map(({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg,
+      use: 'sig'
+    }))
+  };
+}
+
+module.exports = {
+  loadSigningKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks
+};
@@ -0,0 +1,79 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+/**
+ * List audit log entries (admin only)
+ */
+exports.listAuditLogs = async (req, res) => {
+  try {
+    const { actor_id, impersonator_id, action, resource_type, resource_id, from, to, page, limit } = req.validatedQuery;
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    const filters = [
+      ['a.user_id =', actor_id],
+      ['a.impersonator_id =', impersonator_id],
+      ['a.action =', action],
+      ['a.resource_type =', resource_type],
+      ['a.resource_id =', resource_id],
+      ['a.created_at >=', from],
+      ['a.created_at <=', to]
+    ];
+
+    filters.forEach(([condition, value]) => {
+      if (value !== undefined) {
+        conditions.push(`${condition} $${paramCount}`);
+        values.push(value);
+        paramCount++;
+      }
+    });
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const offset = (page - 1) * limit;
+
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT a.id, a.user_id AS actor_id, u.email AS actor_email, a.impersonator_id, a.action,
+                a.resource_type, a.resource_id, a.old_values, a.new_values,
+                a.ip_address, a.user_agent, a.created_at
+         FROM audit_logs a
+         LEFT JOIN users u ON u.id = a.user_id
+         ${whereClause}
+         ORDER BY a.created_at DESC
+         LIMIT $${paramCount} OFFSET $${paramCount + 1}`,
+        [...values, limit, offset]
+      ),
+      db.query(
+        `SELECT COUNT(*) FROM audit_logs a ${whereClause}`,
+        values
+      )
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total_count: totalCount,
+        total_pages: totalPages
+      }
+    });
+  } catch (error) {
+    logger.error('List audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch audit logs',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
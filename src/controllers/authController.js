@@ -1,21 +1,50 @@
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const logger = require('../config/logger');
 const {
-  generateAccessToken,
-  generateRefreshToken,
-  generateTokenHash,
+  generateMfaChallengeToken,
   verifyRefreshToken,
-  storeRefreshToken,
   revokeRefreshToken,
+  revokeAccessToken,
   isRefreshTokenValid,
   revokeAllUserTokens,
-  cacheUserData
+  generateTokenHash,
+  cacheUserData,
+  invalidateUserCache
 } = require('../utils/jwt');
+const {
+  issueTokens,
+  rotateSession,
+  revokeSessionFamily,
+  revokeSession
+} = require('../utils/sessions');
+const { recordAuditLog } = require('../utils/audit');
+const { cancelErasure } = require('../utils/erasure');
+const { ensureRoleProfile } = require('../utils/profiles');
+const { findRole } = require('../utils/permissions');
+const { defaultGymRole, requestMembership } = require('../utils/memberships');
+const { passport, isProviderEnabled, getProviderScope } = require('../config/passport');
+const { getSetting } = require('../utils/settings');
+const {
+  sendVerificationEmail,
+  consumeVerificationToken,
+  claimResendSlot
+} = require('../utils/emailVerification');
+const { sendMail } = require('../utils/mailer');
+const {
+  getLoginBlock,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginThrottle');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 
 /**
- * Register new user
+ * Register new user. The user, their role profile, any membership request and
+ * their first session are created in one transaction.
  */
 exports.register = async (req, res) => {
   const client = await db.connect();
@@ -23,6 +52,23 @@ exports.register = async (req, res) => {
   try {
     const { email, password, role, first_name, last_name, phone, date_of_birth, gym_id } = req.validatedBody;
 
+    await client.query('BEGIN');
+
+    // Only roles open to self-registration can be chosen at sign-up
+    const roleRecord = await findRole(role, client);
+
+    if (!roleRecord || !roleRecord.self_register) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ROLE',
+          message: 'This role is not available for registration',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
     // Check if user already exists
     const existingUser = await client.query(
       'SELECT id FROM users WHERE email = $1',
@@ -30,6 +76,7 @@ exports.register = async (req, res) => {
     );
 
     if (existingUser.rows.length > 0) {
+      await client.query('ROLLBACK');
       return res.status(409).json({
         success: false,
         error: {
@@ -53,28 +100,34 @@ exports.register = async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // Trainers and clients start with an empty role profile
+    await ensureRoleProfile(user.id, user.role, client);
+
+    // A gym chosen at sign-up becomes a membership request for that gym to approve
+    if (gym_id && !await requestMembership(user.id, gym_id, defaultGymRole(user.role), client)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_GYM',
+          message: 'Gym not found or not accepting members',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
 
-    // Store refresh token in Redis (7 days)
-    await storeRefreshToken(user.id, refreshToken, 604800);
+    // Generate tokens and store session
+    const tokens = await issueTokens(client, user, req);
 
-    // Store session in database
-    await client.query(
-      `INSERT INTO sessions (user_id, refresh_token, token_hash, ip_address, user_agent, expires_at)
-       VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '7 days')`,
-      [
-        user.id,
-        refreshToken,
-        generateTokenHash(refreshToken),
-        req.ip,
-        req.get('user-agent')
-      ]
-    );
+    await client.query('COMMIT');
 
     logger.info(`User registered: ${user.email} (${user.role})`);
 
+    // Registration succeeds even if the mail cannot be delivered; the user can resend
+    sendVerificationEmail(user).catch((error) => {
+      logger.error(`Failed to send verification email to ${user.email}:`, error);
+    });
+
     res.status(201).json({
       success: true,
       data: {
@@ -87,15 +140,11 @@ exports.register = async (req, res) => {
           phone: user.phone,
           gym_id: user.gym_id
         },
-        tokens: {
-          access_token: accessToken,
-          refresh_token: refreshToken,
-          token_type: 'Bearer',
-          expires_in: 900 // 15 minutes in seconds
-        }
+        tokens
       }
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error('Registration error:', error);
     res.status(500).json({
       success: false,
@@ -110,6 +159,62 @@ exports.register = async (req, res) => {
   }
 };
 
+/**
+ * Respond to a login attempt made while the email or IP is locked or throttled
+ */
+function sendLoginBlocked(res, { code, retryAfter }) {
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(code === 'ACCOUNT_LOCKED' ? 423 : 429).json({
+    success: false,
+    error: {
+      code,
+      message: code === 'ACCOUNT_LOCKED'
+        ? 'Too many failed login attempts; the account is temporarily locked'
+        : 'Please wait before trying to log in again',
+      retry_after: retryAfter,
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Count a failed login and respond with INVALID_CREDENTIALS, or
+ * ACCOUNT_LOCKED if this failure reached the lockout threshold
+ */
+async function rejectLogin(req, res, email, user = null) {
+  const outcome = await recordFailedLogin(email, req.ip);
+
+  if (outcome.locked) {
+    await recordAuditLog({
+      userId: user ? user.id : null,
+      action: 'account_locked',
+      resourceType: 'user',
+      resourceId: user ? user.id : null,
+      newValues: {
+        email,
+        scope: outcome.lockedScope,
+        failed_attempts: outcome.failures,
+        locked_for: outcome.retryAfter
+      },
+      req
+    });
+
+    logger.warn(`Login locked after repeated failures (${outcome.lockedScope}): ${email} from ${req.ip}`);
+
+    return sendLoginBlocked(res, { code: 'ACCOUNT_LOCKED', retryAfter: outcome.retryAfter });
+  }
+
+  return res.status(401).json({
+    success: false,
+    error: {
+      code: 'INVALID_CREDENTIALS',
+      message: 'Invalid email or password',
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
 /**
  * Login user
  */
@@ -119,22 +224,23 @@ exports.login = async (req, res) => {
   try {
     const { email, password } = req.validatedBody;
 
+    // Refuse attempts while the email or IP is locked out or backing off
+    const block = await getLoginBlock(email, req.ip);
+
+    if (block) {
+      return sendLoginBlocked(res, block);
+    }
+
     // Find user
     const result = await client.query(
-      `SELECT id, email, password_hash, role, first_name, last_name, phone, gym_id, is_active
+      `SELECT id, email, password_hash, role, first_name, last_name, phone, gym_id, is_active,
+              email_verified, mfa_enabled
        FROM users WHERE email = $1`,
       [email]
     );
 
     if (result.rows.length === 0) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'INVALID_CREDENTIALS',
-          message: 'Invalid email or password',
-          timestamp: new Date().toISOString()
-        }
-      });
+      return rejectLogin(req, res, email);
     }
 
     const user = result.rows[0];
@@ -151,45 +257,63 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password_hash);
+    // Verify password (OAuth-only accounts have no password hash)
+    const isPasswordValid = user.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
 
     if (!isPasswordValid) {
-      return res.status(401).json({
+      return rejectLogin(req, res, email, user);
+    }
+
+    await clearFailedLogins(email);
+
+    // Some roles may be required to verify their email before signing in
+    const verificationSettings = await getSetting('email_verification', { required_roles: [] });
+
+    if (!user.email_verified && verificationSettings.required_roles.includes(user.role)) {
+      return res.status(403).json({
         success: false,
         error: {
-          code: 'INVALID_CREDENTIALS',
-          message: 'Invalid email or password',
+          code: 'EMAIL_NOT_VERIFIED',
+          message: 'Please verify your email address before logging in',
           timestamp: new Date().toISOString()
         }
       });
     }
 
+    // Two-factor users get a short-lived challenge instead of tokens
+    if (user.mfa_enabled) {
+      logger.info(`MFA challenge issued: ${user.email}`);
+
+      return res.json({
+        success: true,
+        data: {
+          mfa_required: true,
+          mfa_token: generateMfaChallengeToken(user),
+          expires_in: 300
+        }
+      });
+    }
+
     // Update last login
     await client.query(
       'UPDATE users SET last_login = NOW() WHERE id = $1',
       [user.id]
     );
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = generateRefreshToken(user);
-
-    // Store refresh token
-    await storeRefreshToken(user.id, refreshToken, 604800);
+    // Generate tokens and store session
+    const tokens = await issueTokens(client, user, req);
 
-    // Store session
-    await client.query(
-      `INSERT INTO sessions (user_id, refresh_token, token_hash, ip_address, user_agent, expires_at)
-       VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '7 days')`,
-      [
-        user.id,
-        refreshToken,
-        generateTokenHash(refreshToken),
-        req.ip,
-        req.get('user-agent')
-      ]
-    );
+    await recordAuditLog({
+      client,
+      userId: user.id,
+      action: 'login',
+      resourceType: 'user',
+      resourceId: user.id,
+      newValues: { method: 'password' },
+      req
+    });
 
     // Cache user data
     await cacheUserData(user.id, {
@@ -215,12 +339,7 @@ exports.login = async (req, res) => {
           phone: user.phone,
           gym_id: user.gym_id
         },
-        tokens: {
-          access_token: accessToken,
-          refresh_token: refreshToken,
-          token_type: 'Bearer',
-          expires_in: 900
-        }
+        tokens
       }
     });
   } catch (error) {
@@ -239,31 +358,74 @@ exports.login = async (req, res) => {
 };
 
 /**
- * Refresh access token
+ * Refresh tokens
+ * Rotates the refresh token on every use. Presenting a revoked token again
+ * revokes the whole token family, since it may have been stolen.
  */
 exports.refresh = async (req, res) => {
+  const { refresh_token } = req.validatedBody;
+
+  // Verify refresh token
+  let decoded;
   try {
-    const { refresh_token } = req.validatedBody;
+    decoded = verifyRefreshToken(refresh_token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'INVALID_TOKEN',
+        message: 'Invalid or expired refresh token',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const sessionResult = await client.query(
+      `SELECT id, user_id, family_id, token_hash, revoked_at
+       FROM sessions WHERE token_hash = $1 AND user_id = $2
+       FOR UPDATE`,
+      [generateTokenHash(refresh_token), decoded.id]
+    );
+
+    const session = sessionResult.rows[0];
+
+    if (session && session.revoked_at) {
+      const revokedCount = await revokeSessionFamily(client, session.family_id);
+
+      await recordAuditLog({
+        client,
+        userId: session.user_id,
+        action: 'refresh_token_reuse_detected',
+        resourceType: 'session_family',
+        resourceId: session.family_id,
+        newValues: { session_id: session.id, sessions_revoked: revokedCount },
+        req
+      });
+
+      await client.query('COMMIT');
+
+      logger.warn(`Refresh token reuse detected for user ${session.user_id}, family ${session.family_id} revoked`);
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = verifyRefreshToken(refresh_token);
-    } catch (error) {
       return res.status(401).json({
         success: false,
         error: {
-          code: 'INVALID_TOKEN',
-          message: 'Invalid or expired refresh token',
+          code: 'TOKEN_REUSE_DETECTED',
+          message: 'Refresh token has already been used; all sessions in this chain were revoked',
           timestamp: new Date().toISOString()
         }
       });
     }
 
     // Check if token is valid in Redis
-    const isValid = await isRefreshTokenValid(decoded.id, refresh_token);
+    const isValid = session && await isRefreshTokenValid(decoded.id, refresh_token);
 
     if (!isValid) {
+      await client.query('ROLLBACK');
       return res.status(401).json({
         success: false,
         error: {
@@ -275,13 +437,14 @@ exports.refresh = async (req, res) => {
     }
 
     // Get user data
-    const result = await db.query(
+    const result = await client.query(
       `SELECT id, email, role, first_name, last_name, gym_id, is_active
        FROM users WHERE id = $1`,
       [decoded.id]
     );
 
     if (result.rows.length === 0 || !result.rows[0].is_active) {
+      await client.query('ROLLBACK');
       return res.status(401).json({
         success: false,
         error: {
@@ -294,20 +457,19 @@ exports.refresh = async (req, res) => {
 
     const user = result.rows[0];
 
-    // Generate new access token
-    const accessToken = generateAccessToken(user);
+    // Issue a new pair and retire the presented refresh token
+    const tokens = await rotateSession(client, session, user, req);
+
+    await client.query('COMMIT');
 
     logger.info(`Token refreshed for user: ${user.email}`);
 
     res.json({
       success: true,
-      data: {
-        access_token: accessToken,
-        token_type: 'Bearer',
-        expires_in: 900
-      }
+      data: tokens
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
@@ -317,28 +479,70 @@ exports.refresh = async (req, res) => {
         timestamp: new Date().toISOString()
       }
     });
+  } finally {
+    client.release();
   }
 };
 
 /**
  * Logout user
+ * With an impersonation token only that token is revoked, ending the impersonation.
  */
 exports.logout = async (req, res) => {
   try {
     const userId = req.user.id;
-    const authHeader = req.headers.authorization;
     const refreshToken = req.body.refresh_token;
 
-    // Revoke specific refresh token if provided
+    if (req.user.act) {
+      await revokeAccessToken(req.user);
+
+      await recordAuditLog({
+        userId: req.user.act.sub,
+        action: 'impersonation_ended',
+        resourceType: 'user',
+        resourceId: userId,
+        newValues: { token_id: req.user.jti, ended_by: 'logout' },
+        req
+      });
+
+      logger.info(`Impersonation ended: ${req.user.act.email} as ${req.user.email}`);
+
+      return res.json({
+        success: true,
+        message: 'Impersonation ended'
+      });
+    }
+
+    // Revoke specific refresh token if provided, otherwise the session of the access token
     if (refreshToken) {
       await revokeRefreshToken(userId, refreshToken);
+      await db.query(
+        `UPDATE sessions SET revoked_at = NOW()
+         WHERE user_id = $1 AND token_hash = $2 AND revoked_at IS NULL`,
+        [userId, generateTokenHash(refreshToken)]
+      );
+    } else if (req.user.sid) {
+      await revokeSession(db, userId, req.user.sid);
     }
 
     // Optionally revoke all tokens
     if (req.body.all_devices) {
       await revokeAllUserTokens(userId);
+      await db.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [userId]
+      );
     }
 
+    await recordAuditLog({
+      userId,
+      action: 'logout',
+      resourceType: 'user',
+      resourceId: userId,
+      newValues: { all_devices: Boolean(req.body.all_devices) },
+      req
+    });
+
     logger.info(`User logged out: ${req.user.email}`);
 
     res.json({
@@ -359,17 +563,477 @@ exports.logout = async (req, res) => {
 };
 
 /**
- * OAuth callback (mock implementation)
+ * Verify email address
  */
-exports.oauthCallback = async (req, res) => {
-  // This is a mock implementation
-  // In production, you would integrate with Passport.js strategies
-  res.status(501).json({
-    success: false,
-    error: {
-      code: 'NOT_IMPLEMENTED',
-      message: 'OAuth integration not implemented in this mock',
-      timestamp: new Date().toISOString()
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.validatedBody;
+
+    let decoded;
+    try {
+      decoded = await consumeVerificationToken(token);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired verification token',
+          timestamp: new Date().toISOString()
+        }
+      });
     }
-  });
+
+    const result = await db.query(
+      `UPDATE users SET email_verified = true
+       WHERE id = $1 AND email = $2
+       RETURNING id, email`,
+      [decoded.id, decoded.email]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired verification token',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await invalidateUserCache(decoded.id);
+
+    logger.info(`Email verified: ${result.rows[0].email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'VERIFICATION_FAILED',
+        message: 'Failed to verify email',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Resend verification email
+ */
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.validatedBody;
+
+    // Throttle by address whether or not it exists, so the response reveals nothing
+    const retryAfter = await claimResendSlot(email);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: 'RESEND_THROTTLED',
+          message: 'Please wait before requesting another verification email',
+          retry_after: retryAfter,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await db.query(
+      `SELECT id, email, first_name, email_verified
+       FROM users WHERE email = $1 AND is_active = true`,
+      [email]
+    );
+
+    if (result.rows.length > 0 && !result.rows[0].email_verified) {
+      await sendVerificationEmail(result.rows[0]);
+      logger.info(`Verification email resent: ${email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is unverified, a verification email has been sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESEND_FAILED',
+        message: 'Failed to resend verification email',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Request a password reset email
+ */
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.validatedBody;
+
+    const result = await db.query(
+      'SELECT id, email, first_name FROM users WHERE email = $1 AND is_active = true',
+      [email]
+    );
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = crypto.randomBytes(32).toString('hex');
+
+      // Only the latest reset link stays usable
+      await db.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+      );
+
+      await db.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, ip_address, expires_at)
+         VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 minute'))`,
+        [user.id, generateTokenHash(token), req.ip, PASSWORD_RESET_TTL_MINUTES]
+      );
+
+      const link = `${APP_URL}/reset-password?token=${token}`;
+
+      sendMail({
+        to: user.email,
+        subject: 'Reset your FitSync password',
+        text: `Hi ${user.first_name || 'there'},\n\n` +
+          `Someone requested a password reset for your account. Open the link below to choose a new password:\n\n${link}\n\n` +
+          `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.`
+      }).catch((error) => {
+        logger.error(`Failed to send password reset email to ${user.email}:`, error);
+      });
+
+      logger.info(`Password reset requested: ${user.email}`);
+    }
+
+    // Same response whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESET_REQUEST_FAILED',
+        message: 'Failed to request password reset',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Reset password with a reset token
+ */
+exports.resetPassword = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { token, new_password } = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT prt.id, prt.user_id, u.email
+       FROM password_reset_tokens prt
+       JOIN users u ON u.id = prt.user_id
+       WHERE prt.token_hash = $1
+         AND prt.used_at IS NULL
+         AND prt.expires_at > NOW()
+         AND u.is_active = true
+       FOR UPDATE OF prt`,
+      [generateTokenHash(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired reset token',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const resetToken = result.rows[0];
+    const password_hash = await bcrypt.hash(new_password, 10);
+
+    await client.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [password_hash, resetToken.user_id]
+    );
+
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1',
+      [resetToken.id]
+    );
+
+    await client.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [resetToken.user_id]
+    );
+
+    await client.query('COMMIT');
+
+    // Sign out every device
+    await revokeAllUserTokens(resetToken.user_id);
+    await invalidateUserCache(resetToken.user_id);
+
+    logger.info(`Password reset completed: ${resetToken.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESET_FAILED',
+        message: 'Failed to reset password',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Cancel a scheduled erasure with the link from the erasure notice
+ */
+exports.cancelErasure = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { token } = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id FROM users
+       WHERE erasure_cancel_token_hash = $1 AND erasure_scheduled_at > NOW() AND erased_at IS NULL
+       FOR UPDATE`,
+      [generateTokenHash(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired cancellation link',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const user = await cancelErasure(client, result.rows[0].id);
+
+    await recordAuditLog({
+      client,
+      userId: user.id,
+      action: 'user_erasure_cancelled',
+      resourceType: 'user',
+      resourceId: user.id,
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await invalidateUserCache(user.id);
+
+    logger.info(`User erasure cancelled: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Your account has been restored'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Cancel erasure error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CANCEL_FAILED',
+        message: 'Failed to cancel erasure',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Start OAuth authorization code flow (redirects to the provider)
+ */
+exports.oauthStart = (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!isProviderEnabled(provider)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'PROVIDER_NOT_SUPPORTED',
+        message: 'OAuth provider is not configured',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  passport.authenticate(provider, {
+    session: false,
+    scope: getProviderScope(provider)
+  })(req, res, next);
+};
+
+/**
+ * OAuth callback - exchange authorization code and issue tokens
+ */
+exports.oauthCallback = (req, res, next) => {
+  const { provider } = req.params;
+
+  if (!isProviderEnabled(provider)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'PROVIDER_NOT_SUPPORTED',
+        message: 'OAuth provider is not configured',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (!req.body.code && !req.query.code) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: 'Authorization code is required',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  passport.authenticate(provider, { session: false }, async (err, user, info) => {
+    if (err) {
+      logger.error(`OAuth ${provider} error:`, err);
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'OAUTH_FAILED',
+          message: 'Failed to authenticate with identity provider',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!user) {
+      const status = info && info.code === 'INVALID_STATE' ? 400 : 409;
+      return res.status(status).json({
+        success: false,
+        error: {
+          code: (info && info.code) || 'OAUTH_FAILED',
+          message: (info && info.message) || 'Failed to authenticate with identity provider',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'ACCOUNT_DISABLED',
+          message: 'Your account has been disabled',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (user.mfa_enabled) {
+      return res.json({
+        success: true,
+        data: {
+          mfa_required: true,
+          mfa_token: generateMfaChallengeToken(user),
+          expires_in: 300
+        }
+      });
+    }
+
+    // Nothing awaits this callback, so a failed connect must be answered here too
+    let client = null;
+
+    try {
+      client = await db.connect();
+
+      await client.query(
+        'UPDATE users SET last_login = NOW() WHERE id = $1',
+        [user.id]
+      );
+
+      const tokens = await issueTokens(client, user, req);
+
+      await recordAuditLog({
+        client,
+        userId: user.id,
+        action: 'login',
+        resourceType: 'user',
+        resourceId: user.id,
+        newValues: { method: provider },
+        req
+      });
+
+      logger.info(`User logged in via ${provider}: ${user.email}`);
+
+      res.json({
+        success: true,
+        data: {
+          user: {
+            id: user.id,
+            email: user.email,
+            role: user.role,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            phone: user.phone,
+            gym_id: user.gym_id
+          },
+          tokens
+        }
+      });
+    } catch (error) {
+      logger.error('OAuth login error:', error);
+      res.status(500).json({
+        success: false,
+        error: {
+          code: 'LOGIN_FAILED',
+          message: 'Failed to login',
+          timestamp: new Date().toISOString()
+        }
+      });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+  })(req, res, next);
 };
@@ -0,0 +1,184 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordChange } = require('../utils/audit');
+const { invalidateUserCache } = require('../utils/jwt');
+const {
+  AVATAR_TYPES,
+  renderAvatarVariants,
+  storeAvatarVariants,
+  removeAvatarVariants
+} = require('../utils/avatars');
+
+/**
+ * Delete replaced images; a failure only leaves orphaned files behind
+ */
+function discardAvatar(key) {
+  if (key) {
+    removeAvatarVariants(key).catch((error) => {
+      logger.error(`Failed to remove avatar ${key}:`, error);
+    });
+  }
+}
+
+/**
+ * Point the user's row at newly stored images.
+ * Returns the updated columns and the key of the images they replace.
+ */
+async function saveAvatar(userId, stored, req) {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      'SELECT profile_image_url, avatar_key FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    const result = await client.query(
+      `UPDATE users SET profile_image_url = $1, profile_image_variants = $2, avatar_key = $3
+       WHERE id = $4
+       RETURNING profile_image_url, profile_image_variants`,
+      [stored.urls.medium, JSON.stringify(stored.urls), stored.key, userId]
+    );
+
+    await recordChange({
+      client,
+      userId,
+      action: 'avatar_updated',
+      resourceType: 'user',
+      resourceId: userId,
+      before: { profile_image_url: previous.rows[0].profile_image_url },
+      after: { profile_image_url: stored.urls.medium },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    return { avatar: result.rows[0], replacedKey: previous.rows[0].avatar_key };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replace the current user's avatar with an uploaded image (see middleware/upload.js).
+ * Sets profile_image_url to the medium variant. The image is rendered and stored before
+ * a database connection is taken, so slow uploads do not hold one.
+ */
+exports.uploadAvatar = async (req, res) => {
+  const userId = req.user.id;
+  let stored = null;
+
+  try {
+    const variants = await renderAvatarVariants(req.file.buffer);
+
+    if (!variants) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: `The file is not a valid ${AVATAR_TYPES.join(', ')} image`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    stored = await storeAvatarVariants(userId, variants);
+
+    const { avatar, replacedKey } = await saveAvatar(userId, stored, req);
+
+    await invalidateUserCache(userId);
+    discardAvatar(replacedKey);
+
+    logger.info(`User updated avatar: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: avatar
+    });
+  } catch (error) {
+    discardAvatar(stored && stored.key);
+    logger.error('Upload avatar error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPLOAD_FAILED',
+        message: 'Failed to upload avatar',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Remove the current user's avatar
+ */
+exports.deleteAvatar = async (req, res) => {
+  const userId = req.user.id;
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      'SELECT profile_image_url, avatar_key FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+
+    if (!previous.rows[0] || !previous.rows[0].profile_image_url) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'AVATAR_NOT_FOUND',
+          message: 'No avatar to remove',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query(
+      `UPDATE users SET profile_image_url = NULL, profile_image_variants = NULL, avatar_key = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+
+    await recordChange({
+      client,
+      userId,
+      action: 'avatar_removed',
+      resourceType: 'user',
+      resourceId: userId,
+      before: { profile_image_url: previous.rows[0].profile_image_url },
+      after: { profile_image_url: null },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await invalidateUserCache(userId);
+    discardAvatar(previous.rows[0].avatar_key);
+
+    res.json({
+      success: true,
+      message: 'Avatar removed'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Delete avatar error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: 'Failed to remove avatar',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
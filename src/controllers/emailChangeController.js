@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordAuditLog, recordChange } = require('../utils/audit');
+const { sendMail } = require('../utils/mailer');
+const { verifyAccountHolder } = require('../utils/reauth');
+const {
+  generateTokenHash,
+  revokeAllUserTokens,
+  revokeUserAccessTokens,
+  invalidateUserCache
+} = require('../utils/jwt');
+
+const EMAIL_CHANGE_TTL_HOURS = parseInt(process.env.EMAIL_CHANGE_TTL_HOURS || '24');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Email the confirmation link to the new address and the cancel link to the old one
+ */
+function sendEmailChangeMessages(user, newEmail, confirmToken, cancelToken) {
+  const name = user.first_name || 'there';
+  const send = message => sendMail(message).catch((error) => {
+    logger.error(`Failed to send email change message to ${message.to}:`, error);
+  });
+
+  send({
+    to: newEmail,
+    subject: 'Confirm your new FitSync email address',
+    text: `Hi ${name},\n\n` +
+      'Open the link below to use this address for your FitSync account:\n\n' +
+      `${APP_URL}/confirm-email-change?token=${confirmToken}\n\n` +
+      `The link expires in ${EMAIL_CHANGE_TTL_HOURS} hours. If you did not request this, you can ignore this email.`
+  });
+
+  send({
+    to: user.email,
+    subject: 'Your FitSync email address is being changed',
+    text: `Hi ${name},\n\n` +
+      `Someone asked to change your FitSync account's email address to ${newEmail}. ` +
+      'It changes once the new address is confirmed.\n\n' +
+      'If this was not you, cancel the change and then reset your password:\n\n' +
+      `${APP_URL}/cancel-email-change?token=${cancelToken}`
+  });
+}
+
+/**
+ * Start changing the current user's email address.
+ * Nothing changes until the link sent to the new address is opened.
+ */
+exports.requestEmailChange = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { new_email, password, revoke_sessions } = req.validatedBody;
+
+    const result = await db.query(
+      'SELECT id, email, first_name, password_hash FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+
+    const user = result.rows[0];
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_PASSWORD',
+          message: 'Password is incorrect',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // Password-less (OAuth) accounts confirm with a recent sign-in instead
+    const denial = await verifyAccountHolder(user, { password, sessionId: req.user.sid });
+
+    if (denial) {
+      return res.status(denial.status).json({
+        success: false,
+        error: {
+          code: denial.code,
+          message: denial.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (new_email.toLowerCase() === user.email.toLowerCase()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SAME_EMAIL',
+          message: 'This is already your email address',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const taken = await db.query('SELECT id FROM users WHERE email = $1', [new_email]);
+
+    if (taken.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'EMAIL_TAKEN',
+          message: 'This email address is already in use',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    const cancelToken = crypto.randomBytes(32).toString('hex');
+
+    // Only the latest request stays usable
+    await db.query(
+      `UPDATE email_change_requests SET cancelled_at = NOW()
+       WHERE user_id = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL`,
+      [userId]
+    );
+
+    const inserted = await db.query(
+      `INSERT INTO email_change_requests
+         (user_id, old_email, new_email, confirm_token_hash, cancel_token_hash, revoke_sessions, ip_address, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + ($8 * INTERVAL '1 hour'))
+       RETURNING id, expires_at`,
+      [
+        userId,
+        user.email,
+        new_email,
+        generateTokenHash(confirmToken),
+        generateTokenHash(cancelToken),
+        revoke_sessions,
+        req.ip,
+        EMAIL_CHANGE_TTL_HOURS
+      ]
+    );
+
+    await recordAuditLog({
+      userId,
+      action: 'email_change_requested',
+      resourceType: 'user',
+      resourceId: userId,
+      newValues: { new_email, revoke_sessions },
+      req
+    });
+
+    sendEmailChangeMessages(user, new_email, confirmToken, cancelToken);
+
+    logger.info(`Email change requested: ${user.email} -> ${new_email}`);
+
+    res.status(202).json({
+      success: true,
+      message: 'Confirm the change with the link sent to the new address',
+      data: {
+        new_email,
+        revoke_sessions,
+        expires_at: inserted.rows[0].expires_at
+      }
+    });
+  } catch (error) {
+    logger.error('Request email change error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_CHANGE_FAILED',
+        message: 'Failed to request email change',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Switch to the new address with the link sent to it
+ */
+exports.confirmEmailChange = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { token } = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT ecr.id, ecr.user_id, ecr.old_email, ecr.new_email, ecr.revoke_sessions
+       FROM email_change_requests ecr
+       JOIN users u ON u.id = ecr.user_id
+       WHERE ecr.confirm_token_hash = $1
+         AND ecr.confirmed_at IS NULL
+         AND ecr.cancelled_at IS NULL
+         AND ecr.expires_at > NOW()
+         AND u.is_active = true
+         AND u.email = ecr.old_email
+       FOR UPDATE OF ecr, u`,
+      [generateTokenHash(token)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired confirmation link',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const change = result.rows[0];
+
+    try {
+      // Opening the link proves the new address, so it counts as verified
+      await client.query('SAVEPOINT change_email');
+      await client.query(
+        'UPDATE users SET email = $1, email_verified = true WHERE id = $2',
+        [change.new_email, change.user_id]
+      );
+    } catch (error) {
+      // Someone registered or switched to the address after the request
+      if (error.code === '23505') {
+        await client.query('ROLLBACK TO SAVEPOINT change_email');
+        await client.query(
+          'UPDATE email_change_requests SET cancelled_at = NOW() WHERE id = $1',
+          [change.id]
+        );
+        await client.query('COMMIT');
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'EMAIL_TAKEN',
+            message: 'This email address is already in use',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      throw error;
+    }
+
+    await client.query(
+      'UPDATE email_change_requests SET confirmed_at = NOW() WHERE id = $1',
+      [change.id]
+    );
+
+    if (change.revoke_sessions) {
+      await client.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        [change.user_id]
+      );
+    }
+
+    await recordChange({
+      client,
+      userId: change.user_id,
+      action: 'email_changed',
+      resourceType: 'user',
+      resourceId: change.user_id,
+      before: { email: change.old_email },
+      after: { email: change.new_email },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await invalidateUserCache(change.user_id);
+
+    if (change.revoke_sessions) {
+      await revokeAllUserTokens(change.user_id);
+      await revokeUserAccessTokens(change.user_id);
+    }
+
+    logger.info(`Email changed: ${change.old_email} -> ${change.new_email}`);
+
+    res.json({
+      success: true,
+      message: change.revoke_sessions
+        ? 'Email address changed; sign in again with the new address'
+        : 'Email address changed',
+      data: { email: change.new_email }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Confirm email change error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EMAIL_CHANGE_FAILED',
+        message: 'Failed to change email address',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Stop a pending change with the link sent to the old address
+ */
+exports.cancelEmailChange = async (req, res) => {
+  try {
+    const { token } = req.validatedBody;
+
+    const result = await db.query(
+      `UPDATE email_change_requests SET cancelled_at = NOW()
+       WHERE cancel_token_hash = $1 AND confirmed_at IS NULL AND cancelled_at IS NULL
+         AND expires_at > NOW()
+       RETURNING user_id, new_email`,
+      [generateTokenHash(token)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired cancellation link',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { user_id, new_email } = result.rows[0];
+
+    await recordAuditLog({
+      userId: user_id,
+      action: 'email_change_cancelled',
+      resourceType: 'user',
+      resourceId: user_id,
+      newValues: { new_email },
+      req
+    });
+
+    logger.info(`Email change cancelled for user ${user_id}`);
+
+    res.json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+  } catch (error) {
+    logger.error('Cancel email change error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CANCEL_FAILED',
+        message: 'Failed to cancel email change',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
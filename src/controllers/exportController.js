@@ -0,0 +1,280 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordAuditLog } = require('../utils/audit');
+const { startExport } = require('../utils/dataExport');
+const {
+  EXPORT_DOWNLOAD_EXPIRY,
+  generateExportDownloadToken,
+  verifyExportDownloadToken
+} = require('../utils/jwt');
+
+const EXPORT_COLUMNS = 'id, user_id, requested_by, status, error, created_at, started_at, completed_at, expires_at';
+
+/**
+ * Describe an export; completed ones get a fresh download link for the caller
+ */
+function describeExport(dataExport, req) {
+  const { error, ...data } = dataExport;
+
+  if (data.status === 'failed') {
+    data.error = 'The export could not be completed; please request a new one';
+  }
+
+  if (data.status === 'completed') {
+    const token = generateExportDownloadToken(dataExport, req.user.id);
+    data.download_url = `${req.baseUrl}/exports/${data.id}/download?token=${token}`;
+    data.download_expires_in = EXPORT_DOWNLOAD_EXPIRY;
+  }
+
+  return data;
+}
+
+/**
+ * Queue an export for a user, or return the one already in progress
+ */
+async function requestExport(req, res, userId) {
+  const inserted = await db.query(
+    `INSERT INTO data_exports (user_id, requested_by)
+     VALUES ($1, $2)
+     ON CONFLICT (user_id) WHERE status IN ('pending', 'running') DO NOTHING
+     RETURNING ${EXPORT_COLUMNS}`,
+    [userId, req.user.id]
+  );
+
+  if (inserted.rows.length === 0) {
+    const existing = await db.query(
+      `SELECT ${EXPORT_COLUMNS} FROM data_exports
+       WHERE user_id = $1 AND status IN ('pending', 'running')`,
+      [userId]
+    );
+
+    // It finished in the meantime; queue a fresh one
+    if (existing.rows.length === 0) {
+      return requestExport(req, res, userId);
+    }
+
+    return res.status(202).json({
+      success: true,
+      data: describeExport(existing.rows[0], req)
+    });
+  }
+
+  const dataExport = inserted.rows[0];
+
+  await recordAuditLog({
+    userId: req.user.id,
+    action: 'data_export_requested',
+    resourceType: 'user',
+    resourceId: userId,
+    newValues: { export_id: dataExport.id },
+    req
+  });
+
+  startExport(dataExport.id);
+
+  logger.info(`Data export requested for user ${userId} by ${req.user.email}`);
+
+  res.status(202).json({
+    success: true,
+    data: describeExport(dataExport, req)
+  });
+}
+
+/**
+ * Latest export of a user, with a download link once it is completed
+ */
+async function getLatestExport(req, res, userId) {
+  const result = await db.query(
+    `SELECT ${EXPORT_COLUMNS} FROM data_exports
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+
+  const dataExport = result.rows[0];
+
+  if (!dataExport || (dataExport.expires_at && dataExport.expires_at < new Date())) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'EXPORT_NOT_FOUND',
+        message: 'No data export found',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: describeExport(dataExport, req)
+  });
+}
+
+/**
+ * Start an export of everything held about the current user
+ */
+exports.requestMyExport = async (req, res) => {
+  try {
+    await requestExport(req, res, req.user.id);
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EXPORT_FAILED',
+        message: 'Failed to request data export',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Status of the current user's latest export
+ */
+exports.getMyExport = async (req, res) => {
+  try {
+    await getLatestExport(req, res, req.user.id);
+  } catch (error) {
+    logger.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch data export',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Start an export for any user (admin only)
+ */
+exports.requestUserExport = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await db.query('SELECT id FROM users WHERE id = $1', [id]);
+
+    if (user.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await requestExport(req, res, id);
+  } catch (error) {
+    logger.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'EXPORT_FAILED',
+        message: 'Failed to request data export',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Status of any user's latest export (admin only)
+ */
+exports.getUserExport = async (req, res) => {
+  try {
+    await getLatestExport(req, res, req.params.id);
+  } catch (error) {
+    logger.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch data export',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Download a completed archive with the signed link from the status endpoint
+ */
+exports.downloadExport = async (req, res) => {
+  try {
+    const { exportId } = req.params;
+
+    let claims;
+
+    try {
+      claims = verifyExportDownloadToken(req.query.token || '');
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Download link is invalid or has expired',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (claims.sub !== exportId) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Download link is invalid or has expired',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await db.query(
+      `SELECT archive FROM data_exports
+       WHERE id = $1 AND user_id = $2 AND status = 'completed' AND expires_at > NOW()`,
+      [exportId, claims.user_id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(410).json({
+        success: false,
+        error: {
+          code: 'EXPORT_EXPIRED',
+          message: 'This export is no longer available',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await recordAuditLog({
+      userId: claims.issued_to,
+      action: 'data_export_downloaded',
+      resourceType: 'user',
+      resourceId: claims.user_id,
+      newValues: { export_id: exportId },
+      req
+    });
+
+    res.set({
+      'Cache-Control': 'no-store',
+      'Content-Disposition': `attachment; filename="fitsync-export-${exportId}.json"`
+    });
+    res.type('application/json').send(JSON.stringify(result.rows[0].archive, null, 2));
+  } catch (error) {
+    logger.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DOWNLOAD_FAILED',
+        message: 'Failed to download data export',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
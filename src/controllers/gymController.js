@@ -0,0 +1,302 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordAuditLog, recordChange } = require('../utils/audit');
+const { hasPermission } = require('../policies/permissionPolicy');
+const { canManageGym } = require('../policies/gymPolicy');
+
+const GYM_COLUMNS = `id, name, description, address, phone, email, website,
+                     opening_hours, amenities, owner_id, is_active, created_at, updated_at`;
+
+function gymNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      code: 'GYM_NOT_FOUND',
+      message: 'Gym not found',
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+function forbidden(res) {
+  return res.status(403).json({
+    success: false,
+    error: {
+      code: 'FORBIDDEN',
+      message: 'You can only manage gyms you own',
+      timestamp: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Create a gym (admin or gym owner)
+ */
+exports.createGym = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { owner_id, ...gym } = req.validatedBody;
+
+    // Only gyms:manage:all may assign an owner; everyone else owns what they create
+    const manageAll = hasPermission(req.user, 'gyms:manage:all');
+    const ownerId = manageAll ? owner_id || null : req.user.id;
+
+    if (manageAll && owner_id) {
+      const owner = await client.query(
+        `SELECT u.id FROM users u
+         JOIN role_permissions rp ON rp.role = u.role AND rp.permission = 'gyms:write'
+         WHERE u.id = $1 AND u.is_active = true`,
+        [owner_id]
+      );
+
+      if (owner.rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_OWNER',
+            message: 'owner_id must reference an active user who can own gyms',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO gyms (name, description, address, phone, email, website, opening_hours, amenities, owner_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${GYM_COLUMNS}`,
+      [
+        gym.name,
+        gym.description || null,
+        gym.address,
+        gym.phone || null,
+        gym.email || null,
+        gym.website || null,
+        gym.opening_hours || null,
+        gym.amenities || null,
+        ownerId
+      ]
+    );
+
+    const created = result.rows[0];
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'gym_created',
+      resourceType: 'gym',
+      resourceId: created.id,
+      newValues: { ...gym, owner_id: ownerId },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Gym created: ${created.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: created
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Create gym error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: 'Failed to create gym',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get a gym by ID. Deactivated gyms are only visible to those who manage them.
+ */
+exports.getGym = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `SELECT ${GYM_COLUMNS} FROM gyms WHERE id = $1`,
+      [id]
+    );
+
+    const gym = result.rows[0];
+
+    if (!gym || (!gym.is_active && !canManageGym(req.user, gym))) {
+      return gymNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: gym
+    });
+  } catch (error) {
+    logger.error('Get gym error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch gym',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Update a gym (admin or the gym's owner)
+ */
+exports.updateGym = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+    const updates = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT ${GYM_COLUMNS} FROM gyms WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return gymNotFound(res);
+    }
+
+    if (!canManageGym(req.user, existing.rows[0])) {
+      await client.query('ROLLBACK');
+      return forbidden(res);
+    }
+
+    const fields = [];
+    const values = [];
+    let paramCount = 1;
+
+    Object.entries(updates).forEach(([key, value]) => {
+      fields.push(`${key} = $${paramCount}`);
+      values.push(value);
+      paramCount++;
+    });
+
+    values.push(id);
+
+    const result = await client.query(
+      `UPDATE gyms SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${paramCount}
+       RETURNING ${GYM_COLUMNS}`,
+      values
+    );
+
+    await recordChange({
+      client,
+      userId: req.user.id,
+      action: 'gym_updated',
+      resourceType: 'gym',
+      resourceId: id,
+      before: existing.rows[0],
+      after: updates,
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Gym updated: ${result.rows[0].name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Update gym error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update gym',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Deactivate a gym (admin or the gym's owner)
+ */
+exports.deactivateGym = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, name, owner_id, is_active FROM gyms WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return gymNotFound(res);
+    }
+
+    const gym = existing.rows[0];
+
+    if (!canManageGym(req.user, gym)) {
+      await client.query('ROLLBACK');
+      return forbidden(res);
+    }
+
+    await client.query(
+      'UPDATE gyms SET is_active = false, updated_at = NOW() WHERE id = $1',
+      [id]
+    );
+
+    await recordChange({
+      client,
+      userId: req.user.id,
+      action: 'gym_deactivated',
+      resourceType: 'gym',
+      resourceId: id,
+      before: { is_active: gym.is_active },
+      after: { is_active: false },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Gym deactivated: ${gym.name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Gym deactivated successfully'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Deactivate gym error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: 'Failed to deactivate gym',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,335 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordAuditLog, recordChange } = require('../utils/audit');
+const { canManageGym } = require('../policies/gymPolicy');
+const { defaultGymRole, requestMembership } = require('../utils/memberships');
+
+const MEMBERSHIP_COLUMNS = 'id, gym_id, user_id, role, status, start_date, end_date, approved_by, created_at, updated_at';
+
+/**
+ * Move a gym membership from one status to another.
+ * Gym managers may always make the change; the member only when `memberMayChange`.
+ * `setClause` and `extraValues` update further columns (placeholders from $3).
+ */
+async function changeMembershipStatus(req, res, { from, to, action, memberMayChange = false, setClause = '', extraValues = [] }) {
+  const client = await db.connect();
+
+  try {
+    const { id, membershipId } = req.params;
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT gm.user_id, gm.status, gm.start_date, gm.end_date, g.owner_id
+       FROM gym_memberships gm
+       JOIN gyms g ON g.id = gm.gym_id
+       WHERE gm.id = $1 AND gm.gym_id = $2
+       FOR UPDATE OF gm`,
+      [membershipId, id]
+    );
+    const membership = existing.rows[0];
+
+    if (!membership) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'MEMBERSHIP_NOT_FOUND',
+          message: 'Membership not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const isMember = membership.user_id === req.user.id;
+
+    if (!canManageGym(req.user, { owner_id: membership.owner_id }) && !(memberMayChange && isMember)) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You can only manage memberships of gyms you own',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!from.includes(membership.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Membership is already ${membership.status}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE gym_memberships SET status = $1${setClause}
+       WHERE id = $2
+       RETURNING ${MEMBERSHIP_COLUMNS}`,
+      [to, membershipId, ...extraValues]
+    );
+
+    const updated = result.rows[0];
+
+    await recordChange({
+      client,
+      userId: req.user.id,
+      action,
+      resourceType: 'gym_membership',
+      resourceId: membershipId,
+      before: { status: membership.status, start_date: membership.start_date, end_date: membership.end_date },
+      after: { status: updated.status, start_date: updated.start_date, end_date: updated.end_date },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Gym membership ${membershipId} ${membership.status} -> ${to} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Gym membership ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update membership',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Ask to join a gym; the membership stays pending until the gym approves it
+ */
+exports.joinGym = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+    const role = req.validatedBody.role || defaultGymRole(req.user.role);
+
+    const gym = await client.query(
+      'SELECT id FROM gyms WHERE id = $1 AND is_active = true',
+      [id]
+    );
+
+    if (gym.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GYM_NOT_FOUND',
+          message: 'Gym not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const membership = await requestMembership(req.user.id, id, role, client);
+
+    if (!membership) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MEMBERSHIP_EXISTS',
+          message: 'You already have an open membership at this gym',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'gym_join_requested',
+      resourceType: 'gym_membership',
+      resourceId: membership.id,
+      newValues: { gym_id: id, role, status: membership.status },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`User ${req.user.email} asked to join gym ${id} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      data: membership
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Join gym error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: 'Failed to join gym',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * List a gym's members (gym managers)
+ */
+exports.listMembers = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, page, limit } = req.validatedQuery;
+
+    const gym = await db.query('SELECT id, owner_id FROM gyms WHERE id = $1', [id]);
+
+    if (gym.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'GYM_NOT_FOUND',
+          message: 'Gym not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!canManageGym(req.user, gym.rows[0])) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'You can only manage memberships of gyms you own',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const values = [id];
+    let statusFilter = '';
+
+    if (status) {
+      values.push(status);
+      statusFilter = 'AND gm.status = $2';
+    }
+
+    const [dataResult, countResult] = await Promise.all([
+      db.query(
+        `SELECT gm.id, gm.user_id, gm.role, gm.status, gm.start_date, gm.end_date, gm.created_at,
+                u.email, u.first_name, u.last_name, u.role AS user_role
+         FROM gym_memberships gm
+         JOIN users u ON u.id = gm.user_id
+         WHERE gm.gym_id = $1 ${statusFilter}
+         ORDER BY gm.created_at DESC
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, (page - 1) * limit]
+      ),
+      db.query(
+        `SELECT COUNT(*) FROM gym_memberships gm WHERE gm.gym_id = $1 ${statusFilter}`,
+        values
+      )
+    ]);
+
+    const totalCount = parseInt(countResult.rows[0].count);
+
+    res.json({
+      success: true,
+      data: dataResult.rows,
+      pagination: {
+        page,
+        limit,
+        total_count: totalCount,
+        total_pages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('List gym members error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch members',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * List the current user's gym memberships
+ */
+exports.listMyMemberships = async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT gm.id, gm.gym_id, g.name AS gym_name, gm.role, gm.status,
+              gm.start_date, gm.end_date, gm.created_at
+       FROM gym_memberships gm
+       JOIN gyms g ON g.id = gm.gym_id
+       WHERE gm.user_id = $1
+       ORDER BY gm.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('List memberships error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch memberships',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Approve a pending membership or lift a suspension (gym managers)
+ */
+exports.approveMembership = (req, res) => changeMembershipStatus(req, res, {
+  from: ['pending', 'suspended'],
+  to: 'active',
+  action: 'gym_membership_approved',
+  setClause: `, start_date = COALESCE($3, start_date, CURRENT_DATE),
+     end_date = COALESCE($4, end_date), approved_by = $5`,
+  extraValues: [req.validatedBody.start_date || null, req.validatedBody.end_date || null, req.user.id]
+});
+
+/**
+ * Suspend an active membership (gym managers)
+ */
+exports.suspendMembership = (req, res) => changeMembershipStatus(req, res, {
+  from: ['active'],
+  to: 'suspended',
+  action: 'gym_membership_suspended'
+});
+
+/**
+ * End a membership (gym managers, or the member leaving)
+ */
+exports.endMembership = (req, res) => changeMembershipStatus(req, res, {
+  from: ['pending', 'active', 'suspended'],
+  to: 'ended',
+  action: 'gym_membership_ended',
+  memberMayChange: true,
+  // Memberships that have not started yet end on their start date
+  setClause: ', end_date = GREATEST(CURRENT_DATE, start_date)'
+});
@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { redisClient } = require('../config/redis');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const {
+  generateTokenHash,
+  verifyMfaChallengeToken,
+  invalidateUserCache
+} = require('../utils/jwt');
+const { issueTokens } = require('../utils/sessions');
+const { recordAuditLog } = require('../utils/audit');
+
+const ENROLLMENT_TTL = 600; // 10 minutes to confirm a new secret
+const CHALLENGE_TTL = 300; // matches the MFA challenge token lifetime
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code before hashing (case and separators are ignored)
+ */
+function hashRecoveryCode(code) {
+  return generateTokenHash(code.toLowerCase().replace(/[^a-f0-9]/g, ''));
+}
+
+/**
+ * Replace a user's recovery codes and return the new plaintext codes
+ */
+async function replaceRecoveryCodes(client, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await client.query(
+      'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashRecoveryCode(code)]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Verify a TOTP code, rejecting a code that was already used
+ */
+async function checkTotpCode(userId, secret, code) {
+  const step = verifyTotp(secret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const key = `mfa_last_step:${userId}`;
+  const lastStep = await redisClient.get(key);
+
+  if (lastStep && step <= parseInt(lastStep)) {
+    return false;
+  }
+
+  await redisClient.setEx(key, 120, String(step));
+  return true;
+}
+
+/**
+ * Start TOTP enrollment for the current user
+ */
+exports.setup = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await db.query(
+      'SELECT email, mfa_enabled FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (result.rows[0].mfa_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'MFA_ALREADY_ENABLED',
+          message: 'Two-factor authentication is already enabled',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // The secret is only persisted once the user proves they can generate codes
+    const secret = generateSecret();
+    await redisClient.setEx(`mfa_enrollment:${userId}`, ENROLLMENT_TTL, secret);
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri(secret, result.rows[0].email),
+        expires_in: ENROLLMENT_TTL
+      }
+    });
+  } catch (error) {
+    logger.error('MFA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MFA_SETUP_FAILED',
+        message: 'Failed to start two-factor enrollment',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Confirm TOTP enrollment with a code and issue recovery codes
+ */
+exports.confirm = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const userId = req.user.id;
+    const { code } = req.validatedBody;
+
+    const secret = await redisClient.get(`mfa_enrollment:${userId}`);
+
+    if (!secret) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MFA_SETUP_REQUIRED',
+          message: 'No pending two-factor enrollment; start setup again',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!(await checkTotpCode(userId, secret, code))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MFA_CODE',
+          message: 'Invalid verification code',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users SET mfa_enabled = true, mfa_secret = $1, mfa_enrolled_at = NOW()
+       WHERE id = $2`,
+      [secret, userId]
+    );
+
+    const recoveryCodes = await replaceRecoveryCodes(client, userId);
+
+    await recordAuditLog({
+      client,
+      userId,
+      action: 'mfa_enabled',
+      resourceType: 'user',
+      resourceId: userId,
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await redisClient.del(`mfa_enrollment:${userId}`);
+    await invalidateUserCache(userId);
+
+    logger.info(`Two-factor authentication enabled: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('MFA confirm error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MFA_SETUP_FAILED',
+        message: 'Failed to enable two-factor authentication',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Disable two-factor authentication for the current user
+ */
+exports.disable = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const userId = req.user.id;
+    const { code } = req.validatedBody;
+
+    const result = await client.query(
+      'SELECT mfa_enabled, mfa_secret FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].mfa_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MFA_NOT_ENABLED',
+          message: 'Two-factor authentication is not enabled',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!(await checkTotpCode(userId, result.rows[0].mfa_secret, code))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_MFA_CODE',
+          message: 'Invalid verification code',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE users SET mfa_enabled = false, mfa_secret = NULL, mfa_enrolled_at = NULL
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    await recordAuditLog({
+      client,
+      userId,
+      action: 'mfa_disabled',
+      resourceType: 'user',
+      resourceId: userId,
+      req
+    });
+
+    await client.query('COMMIT');
+    await invalidateUserCache(userId);
+
+    logger.info(`Two-factor authentication disabled: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('MFA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MFA_DISABLE_FAILED',
+        message: 'Failed to disable two-factor authentication',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Exchange an MFA challenge token and a TOTP or recovery code for tokens
+ */
+exports.verify = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { mfa_token, code, recovery_code } = req.validatedBody;
+
+    let challenge;
+    try {
+      challenge = verifyMfaChallengeToken(mfa_token);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired MFA challenge',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const attemptsKey = `mfa_attempts:${challenge.jti}`;
+    const attempts = await redisClient.incr(attemptsKey);
+
+    if (attempts === 1) {
+      await redisClient.expire(attemptsKey, CHALLENGE_TTL);
+    }
+
+    if (attempts > MAX_CHALLENGE_ATTEMPTS) {
+      return res.status(429).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_ATTEMPTS',
+          message: 'Too many invalid codes; please log in again',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await client.query(
+      `SELECT id, email, role, first_name, last_name, phone, gym_id, is_active, mfa_enabled, mfa_secret
+       FROM users WHERE id = $1`,
+      [challenge.id]
+    );
+
+    const user = result.rows[0];
+
+    if (!user || !user.is_active || !user.mfa_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired MFA challenge',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    let isValid;
+    let recoveryCodeId = null;
+    if (code) {
+      isValid = await checkTotpCode(user.id, user.mfa_secret, code);
+    } else {
+      const found = await client.query(
+        `SELECT id FROM mfa_recovery_codes
+         WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+        [user.id, hashRecoveryCode(recovery_code)]
+      );
+      recoveryCodeId = found.rows.length > 0 ? found.rows[0].id : null;
+      isValid = Boolean(recoveryCodeId);
+    }
+
+    if (!isValid) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_MFA_CODE',
+          message: 'Invalid verification code',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    // Each challenge can only be completed once; claim it before a recovery code is spent
+    const claimed = await redisClient.set(`mfa_challenge_used:${challenge.jti}`, '1', {
+      NX: true,
+      EX: CHALLENGE_TTL
+    });
+
+    if (!claimed) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_TOKEN',
+          message: 'Invalid or expired MFA challenge',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    if (recoveryCodeId) {
+      const used = await client.query(
+        `UPDATE mfa_recovery_codes SET used_at = NOW()
+         WHERE id = $1 AND used_at IS NULL
+         RETURNING id`,
+        [recoveryCodeId]
+      );
+
+      // Spent by a concurrent login in the meantime
+      if (used.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'INVALID_MFA_CODE',
+            message: 'Invalid verification code',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+
+    await client.query(
+      'UPDATE users SET last_login = NOW() WHERE id = $1',
+      [user.id]
+    );
+
+    const tokens = await issueTokens(client, user, req);
+
+    if (recovery_code) {
+      await recordAuditLog({
+        client,
+        userId: user.id,
+        action: 'mfa_recovery_code_used',
+        resourceType: 'user',
+        resourceId: user.id,
+        req
+      });
+    }
+
+    await recordAuditLog({
+      client,
+      userId: user.id,
+      action: 'login',
+      resourceType: 'user',
+      resourceId: user.id,
+      newValues: { method: recovery_code ? 'password+recovery_code' : 'password+totp' },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`User logged in with two-factor authentication: ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          role: user.role,
+          first_name: user.first_name,
+          last_name: user.last_name,
+          phone: user.phone,
+          gym_id: user.gym_id
+        },
+        tokens
+      }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('MFA verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'LOGIN_FAILED',
+        message: 'Failed to login',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reset a user's two-factor authentication (admin only)
+ */
+exports.resetMfa = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users SET mfa_enabled = false, mfa_secret = NULL, mfa_enrolled_at = NULL
+       WHERE id = $1
+       RETURNING id, email`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [id]);
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'mfa_reset',
+      resourceType: 'user',
+      resourceId: id,
+      req
+    });
+
+    await client.query('COMMIT');
+    await invalidateUserCache(id);
+
+    logger.info(`Two-factor authentication reset by admin: ${result.rows[0].email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('MFA reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MFA_RESET_FAILED',
+        message: 'Failed to reset two-factor authentication',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
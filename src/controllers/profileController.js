@@ -0,0 +1,134 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordChange } = require('../utils/audit');
+
+const TRAINER_COLUMNS = 'user_id, certifications, specializations, years_experience, bio, rating, updated_at';
+const CLIENT_COLUMNS = 'user_id, health_clearance, emergency_contact, fitness_level, goals, updated_at';
+
+/**
+ * Send the current user's row from a profile table
+ */
+async function sendProfile(req, res, table, columns) {
+  try {
+    const result = await db.query(
+      `SELECT ${columns} FROM ${table} WHERE user_id = $1`,
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'PROFILE_NOT_FOUND',
+          message: 'Profile not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    logger.error(`Get ${table} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch profile',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+}
+
+/**
+ * Create or update the current user's row in a profile table
+ */
+async function saveProfile(req, res, table, columns) {
+  const client = await db.connect();
+
+  try {
+    const userId = req.user.id;
+    const updates = req.validatedBody;
+    const keys = Object.keys(updates);
+
+    // JSONB columns are sent as JSON text so arrays are not cast to Postgres arrays;
+    // null stays SQL NULL rather than becoming the JSON value 'null'
+    const values = keys.map(key => (
+      (key === 'certifications' || key === 'emergency_contact') && updates[key] !== null
+        ? JSON.stringify(updates[key])
+        : updates[key]
+    ));
+
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      `SELECT ${keys.join(', ')} FROM ${table} WHERE user_id = $1 FOR UPDATE`,
+      [userId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO ${table} (user_id, ${keys.join(', ')})
+       VALUES ($1, ${keys.map((_, i) => `$${i + 2}`).join(', ')})
+       ON CONFLICT (user_id) DO UPDATE
+       SET ${keys.map(key => `${key} = EXCLUDED.${key}`).join(', ')}, updated_at = NOW()
+       RETURNING ${columns}`,
+      [userId, ...values]
+    );
+
+    await recordChange({
+      client,
+      userId,
+      action: 'profile_updated',
+      resourceType: table,
+      resourceId: userId,
+      before: previous.rows[0],
+      after: updates,
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`User updated ${table}: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Update ${table} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update profile',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get current trainer's profile
+ */
+exports.getTrainerProfile = (req, res) => sendProfile(req, res, 'trainer_profiles', TRAINER_COLUMNS);
+
+/**
+ * Update current trainer's profile
+ */
+exports.updateTrainerProfile = (req, res) => saveProfile(req, res, 'trainer_profiles', TRAINER_COLUMNS);
+
+/**
+ * Get current client's profile
+ */
+exports.getClientProfile = (req, res) => sendProfile(req, res, 'client_profiles', CLIENT_COLUMNS);
+
+/**
+ * Update current client's profile
+ */
+exports.updateClientProfile = (req, res) => saveProfile(req, res, 'client_profiles', CLIENT_COLUMNS);
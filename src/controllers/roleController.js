@@ -0,0 +1,402 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { diffValues, recordAuditLog } = require('../utils/audit');
+const { invalidateRolePermissions } = require('../utils/permissions');
+
+const ROLE_COLUMNS = 'name, description, is_system, self_register, created_at, updated_at';
+
+/**
+ * Return the permissions missing from the catalog
+ */
+async function findUnknownPermissions(client, permissions) {
+  if (permissions.length === 0) {
+    return [];
+  }
+
+  const result = await client.query(
+    'SELECT name FROM permissions WHERE name = ANY($1)',
+    [permissions]
+  );
+  const known = result.rows.map(row => row.name);
+
+  return permissions.filter(permission => !known.includes(permission));
+}
+
+/**
+ * Lock a role and load its permissions; returns null when it does not exist
+ */
+async function loadRole(client, name) {
+  const result = await client.query(
+    `SELECT ${ROLE_COLUMNS} FROM roles WHERE name = $1 FOR UPDATE`,
+    [name]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const permissions = await client.query(
+    'SELECT permission FROM role_permissions WHERE role = $1 ORDER BY permission',
+    [name]
+  );
+
+  return { ...result.rows[0], permissions: permissions.rows.map(row => row.permission) };
+}
+
+/**
+ * Replace a role's permission set
+ */
+async function setRolePermissions(client, name, permissions) {
+  await client.query('DELETE FROM role_permissions WHERE role = $1', [name]);
+
+  if (permissions.length > 0) {
+    await client.query(
+      'INSERT INTO role_permissions (role, permission) SELECT $1, unnest($2::text[])',
+      [name, permissions]
+    );
+  }
+}
+
+/**
+ * List roles with their permissions and number of users
+ */
+exports.listRoles = async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT r.name, r.description, r.is_system, r.self_register, r.created_at, r.updated_at,
+              COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+                FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions,
+              (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int AS user_count
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role = r.name
+       GROUP BY r.name
+       ORDER BY r.name`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch roles',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * List the permissions that can be granted to roles
+ */
+exports.listPermissions = async (req, res) => {
+  try {
+    const result = await db.query('SELECT name, description FROM permissions ORDER BY name');
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('List permissions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch permissions',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Create a role with a set of permissions
+ */
+exports.createRole = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { name, description, self_register, permissions } = req.validatedBody;
+
+    const unknown = await findUnknownPermissions(client, permissions);
+
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PERMISSION',
+          message: `Unknown permissions: ${unknown.join(', ')}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO roles (name, description, self_register)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING
+       RETURNING ${ROLE_COLUMNS}`,
+      [name, description || null, self_register]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ROLE_EXISTS',
+          message: 'A role with this name already exists',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await setRolePermissions(client, name, permissions);
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'role_created',
+      resourceType: 'role',
+      newValues: { name, description: description || null, self_register, permissions },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Role created: ${name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...result.rows[0], permissions }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: 'Failed to create role',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Update a role's description, self-registration flag or permissions.
+ * Tokens already issued keep their permissions until they expire.
+ */
+exports.updateRole = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { name } = req.params;
+    const { permissions, ...updates } = req.validatedBody;
+
+    if (permissions) {
+      const unknown = await findUnknownPermissions(client, permissions);
+
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_PERMISSION',
+            message: `Unknown permissions: ${unknown.join(', ')}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      // Keep at least the caller able to manage roles
+      if (name === req.user.role && !permissions.includes('roles:manage')) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'CANNOT_REMOVE_OWN_ACCESS',
+            message: 'You cannot remove roles:manage from your own role',
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+    }
+
+    await client.query('BEGIN');
+
+    const existing = await loadRole(client, name);
+
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ROLE_NOT_FOUND',
+          message: 'Role not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    let role = existing;
+    const fields = Object.keys(updates);
+
+    if (fields.length > 0) {
+      const result = await client.query(
+        `UPDATE roles SET ${fields.map((key, i) => `${key} = $${i + 1}`).join(', ')}
+         WHERE name = $${fields.length + 1}
+         RETURNING ${ROLE_COLUMNS}`,
+        [...fields.map(key => updates[key]), name]
+      );
+      role = { ...result.rows[0], permissions: existing.permissions };
+    }
+
+    if (permissions) {
+      await setRolePermissions(client, name, permissions);
+      role = { ...role, permissions: [...permissions].sort() };
+    }
+
+    const diff = diffValues(existing, { ...updates, ...(permissions && { permissions: role.permissions }) });
+
+    if (diff) {
+      await recordAuditLog({
+        client,
+        userId: req.user.id,
+        action: 'role_updated',
+        resourceType: 'role',
+        oldValues: { name, ...diff.oldValues },
+        newValues: { name, ...diff.newValues },
+        req
+      });
+    }
+
+    await client.query('COMMIT');
+
+    await invalidateRolePermissions(name);
+
+    logger.info(`Role updated: ${name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update role',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Delete a custom role that no user holds
+ */
+exports.deleteRole = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { name } = req.params;
+
+    await client.query('BEGIN');
+
+    const existing = await loadRole(client, name);
+
+    if (!existing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ROLE_NOT_FOUND',
+          message: 'Role not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (existing.is_system) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ROLE_PROTECTED',
+          message: 'Built-in roles cannot be deleted',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const holders = await client.query(
+      'SELECT COUNT(*) FROM users WHERE role = $1',
+      [name]
+    );
+
+    if (parseInt(holders.rows[0].count) > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ROLE_IN_USE',
+          message: 'Reassign users with this role before deleting it',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('DELETE FROM roles WHERE name = $1', [name]);
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'role_deleted',
+      resourceType: 'role',
+      oldValues: {
+        name,
+        description: existing.description,
+        self_register: existing.self_register,
+        permissions: existing.permissions
+      },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await invalidateRolePermissions(name);
+
+    logger.info(`Role deleted: ${name} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: 'Failed to delete role',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,284 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordAuditLog, recordChange } = require('../utils/audit');
+const { revokeServiceClientTokens } = require('../utils/jwt');
+
+const CLIENT_COLUMNS = 'id, client_id, name, scopes, is_active, secret_rotated_at, last_used_at, created_at, updated_at';
+
+async function generateSecret() {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { secret, secretHash: await bcrypt.hash(secret, 10) };
+}
+
+/**
+ * List registered service clients
+ */
+exports.listServiceClients = async (req, res) => {
+  try {
+    const result = await db.query(`SELECT ${CLIENT_COLUMNS} FROM service_clients ORDER BY client_id`);
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    logger.error('List service clients error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch service clients',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Register a service client; the secret is only ever returned here and on rotation
+ */
+exports.createServiceClient = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { client_id, name, scopes } = req.validatedBody;
+    const { secret, secretHash } = await generateSecret();
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO service_clients (client_id, name, secret_hash, scopes, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (client_id) DO NOTHING
+       RETURNING ${CLIENT_COLUMNS}`,
+      [client_id, name, secretHash, scopes, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'CLIENT_EXISTS',
+          message: 'A service client with this client_id already exists',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const serviceClient = result.rows[0];
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'service_client_created',
+      resourceType: 'service_client',
+      resourceId: serviceClient.id,
+      newValues: { client_id, name, scopes },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Service client registered: ${client_id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...serviceClient, client_secret: secret }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Create service client error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: 'Failed to create service client',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Change a service client's name or scopes; tokens already issued keep their scopes until they expire
+ */
+exports.updateServiceClient = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+    const updates = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT name, scopes FROM service_clients WHERE id = $1 FOR UPDATE',
+      [id]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLIENT_NOT_FOUND',
+          message: 'Service client not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE service_clients
+       SET name = COALESCE($1, name), scopes = COALESCE($2, scopes)
+       WHERE id = $3
+       RETURNING ${CLIENT_COLUMNS}`,
+      [updates.name || null, updates.scopes || null, id]
+    );
+
+    await recordChange({
+      client,
+      userId: req.user.id,
+      action: 'service_client_updated',
+      resourceType: 'service_client',
+      resourceId: id,
+      before: existing.rows[0],
+      after: updates,
+      req
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Update service client error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update service client',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Replace a service client's secret; the old secret and tokens issued with it stop working immediately
+ */
+exports.rotateSecret = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { secret, secretHash } = await generateSecret();
+
+    const result = await db.query(
+      `UPDATE service_clients SET secret_hash = $1, secret_rotated_at = NOW()
+       WHERE id = $2
+       RETURNING ${CLIENT_COLUMNS}`,
+      [secretHash, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLIENT_NOT_FOUND',
+          message: 'Service client not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await revokeServiceClientTokens(result.rows[0].client_id);
+
+    await recordAuditLog({
+      userId: req.user.id,
+      action: 'service_client_secret_rotated',
+      resourceType: 'service_client',
+      resourceId: id,
+      req
+    });
+
+    logger.info(`Service client secret rotated: ${result.rows[0].client_id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: { ...result.rows[0], client_secret: secret }
+    });
+  } catch (error) {
+    logger.error('Rotate service client secret error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to rotate secret',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Deactivate a service client; it can no longer obtain tokens and those already issued are denied
+ */
+exports.deactivateServiceClient = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE service_clients SET is_active = false
+       WHERE id = $1 AND is_active = true
+       RETURNING client_id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLIENT_NOT_FOUND',
+          message: 'Service client not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await revokeServiceClientTokens(result.rows[0].client_id);
+
+    await recordAuditLog({
+      userId: req.user.id,
+      action: 'service_client_deactivated',
+      resourceType: 'service_client',
+      resourceId: id,
+      req
+    });
+
+    logger.info(`Service client deactivated: ${result.rows[0].client_id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Service client deactivated'
+    });
+  } catch (error) {
+    logger.error('Deactivate service client error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: 'Failed to deactivate service client',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
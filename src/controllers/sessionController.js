@@ -0,0 +1,72 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { listActiveSessions, revokeSession } = require('../utils/sessions');
+
+/**
+ * List active sessions for the current user, or for any user (admin)
+ */
+exports.listSessions = async (req, res) => {
+  try {
+    const userId = req.params.id || req.user.id;
+
+    const sessions = await listActiveSessions(db, userId);
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch sessions',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Revoke a single session (sign out one device)
+ */
+exports.revokeSession = async (req, res) => {
+  try {
+    const userId = req.params.id || req.user.id;
+    const { sessionId } = req.params;
+
+    const revoked = await revokeSession(db, userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found or already revoked',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    logger.info(`Session ${sessionId} of user ${userId} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'REVOKE_FAILED',
+        message: 'Failed to revoke session',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
@@ -0,0 +1,54 @@
+const logger = require('../config/logger');
+const { getSetting, setSetting } = require('../utils/settings');
+
+/**
+ * Get email verification policy (admin only)
+ */
+exports.getEmailVerificationSettings = async (req, res) => {
+  try {
+    const settings = await getSetting('email_verification', { required_roles: [] });
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Get email verification settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch settings',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Update which roles must verify their email before logging in (admin only)
+ */
+exports.updateEmailVerificationSettings = async (req, res) => {
+  try {
+    const { required_roles } = req.validatedBody;
+
+    const setting = await setSetting('email_verification', { required_roles }, req.user.id);
+
+    logger.info(`Email verification required for roles [${required_roles.join(', ')}] by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: setting.value
+    });
+  } catch (error) {
+    logger.error('Update email verification settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update settings',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
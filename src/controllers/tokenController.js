@@ -0,0 +1,249 @@
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const {
+  SERVICE_TOKEN_EXPIRY,
+  generateServiceToken,
+  generateTokenHash,
+  verifyAccessToken,
+  verifyServiceToken,
+  verifyRefreshToken,
+  revokeAccessToken,
+  revokeRefreshTokenByHash,
+  isAccessTokenRevoked,
+  isRefreshTokenValid
+} = require('../utils/jwt');
+
+// OAuth 2.0 endpoints: token (RFC 6749), introspection (RFC 7662) and revocation (RFC 7009)
+
+/**
+ * Token endpoint errors use the OAuth 2.0 shape (RFC 6749 section 5.2)
+ */
+function oauthError(res, status, error, description) {
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Basic realm="fitsync"');
+  }
+
+  return res.status(status).json({ error, error_description: description });
+}
+
+/**
+ * Read client credentials from HTTP Basic auth or, failing that, the request body
+ */
+function readClientCredentials(req) {
+  const header = req.headers.authorization;
+
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+
+    if (separator === -1) {
+      return null;
+    }
+
+    // Malformed percent-escapes are bad credentials, not a server error
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.substring(0, separator)),
+        clientSecret: decodeURIComponent(decoded.substring(separator + 1))
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const { client_id, client_secret } = req.body;
+
+  return typeof client_id === 'string' && typeof client_secret === 'string'
+    ? { clientId: client_id, clientSecret: client_secret }
+    : null;
+}
+
+/**
+ * Verify any token this service issues; returns null when it is invalid or expired
+ */
+function verifyIssuedToken(token) {
+  const verifiers = [
+    ['access_token', verifyAccessToken],
+    ['access_token', verifyServiceToken],
+    ['refresh_token', verifyRefreshToken]
+  ];
+
+  for (const [tokenType, verify] of verifiers) {
+    try {
+      return { tokenType, claims: verify(token) };
+    } catch (error) {
+      // Try the next kind of token
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a verified token is still usable: not revoked and its owner still active
+ */
+async function isTokenActive(token, { tokenType, claims }) {
+  if (tokenType === 'refresh_token') {
+    if (!(await isRefreshTokenValid(claims.id, token))) {
+      return false;
+    }
+  } else if (await isAccessTokenRevoked(claims)) {
+    return false;
+  }
+
+  const result = claims.type === 'service'
+    ? await db.query('SELECT is_active FROM service_clients WHERE client_id = $1', [claims.client_id])
+    : await db.query('SELECT is_active FROM users WHERE id = $1', [claims.id]);
+
+  return Boolean(result.rows[0] && result.rows[0].is_active);
+}
+
+/**
+ * Issue a service token for the client_credentials grant.
+ * `scope` may narrow the token to some of the client's scopes; by default it gets all of them.
+ */
+exports.issueToken = async (req, res) => {
+  try {
+    const { grant_type, scope } = req.body;
+
+    res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+    if (!grant_type) {
+      return oauthError(res, 400, 'invalid_request', 'grant_type is required');
+    }
+
+    if (grant_type !== 'client_credentials') {
+      return oauthError(res, 400, 'unsupported_grant_type', 'Only the client_credentials grant is supported');
+    }
+
+    const credentials = readClientCredentials(req);
+
+    if (!credentials) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const result = await db.query(
+      'SELECT id, client_id, secret_hash, scopes FROM service_clients WHERE client_id = $1 AND is_active = true',
+      [credentials.clientId]
+    );
+
+    const client = result.rows[0];
+    const isSecretValid = client
+      ? await bcrypt.compare(credentials.clientSecret, client.secret_hash)
+      : false;
+
+    if (!isSecretValid) {
+      logger.warn(`Service token rejected for client ${credentials.clientId}`);
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const requested = typeof scope === 'string' && scope.trim() ? scope.trim().split(/\s+/) : client.scopes;
+    const unknown = requested.filter(name => !client.scopes.includes(name));
+
+    if (unknown.length > 0) {
+      return oauthError(res, 400, 'invalid_scope', `Client is not allowed scopes: ${unknown.join(' ')}`);
+    }
+
+    const scopes = [...new Set(requested)];
+
+    await db.query('UPDATE service_clients SET last_used_at = NOW() WHERE id = $1', [client.id]);
+
+    logger.info(`Service token issued to ${client.client_id} (${scopes.join(' ')})`);
+
+    res.json({
+      access_token: generateServiceToken(client, scopes),
+      token_type: 'Bearer',
+      expires_in: SERVICE_TOKEN_EXPIRY,
+      scope: scopes.join(' ')
+    });
+  } catch (error) {
+    logger.error('Issue service token error:', error);
+    oauthError(res, 500, 'server_error', 'Failed to issue token');
+  }
+};
+
+/**
+ * Report whether a token is active and what it grants (internal API key required).
+ * Inactive, unknown and malformed tokens all get `{ active: false }`.
+ */
+exports.introspect = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+
+    if (typeof token !== 'string' || !token) {
+      return oauthError(res, 400, 'invalid_request', 'token is required');
+    }
+
+    const verified = verifyIssuedToken(token);
+
+    if (!verified || !(await isTokenActive(token, verified))) {
+      return res.json({ active: false });
+    }
+
+    const { tokenType, claims } = verified;
+    const { iss, aud, exp, iat, jti } = claims;
+    const common = { active: true, token_type: tokenType, iss, aud, exp, iat, jti };
+
+    if (tokenType === 'refresh_token') {
+      return res.json({ ...common, sub: claims.id });
+    }
+
+    if (claims.type === 'service') {
+      return res.json({ ...common, sub: claims.sub, client_id: claims.client_id, scope: claims.scope });
+    }
+
+    res.json({
+      ...common,
+      sub: claims.id,
+      username: claims.email,
+      role: claims.role,
+      permissions: claims.permissions,
+      gym_ids: claims.gym_ids,
+      sid: claims.sid,
+      act: claims.act
+    });
+  } catch (error) {
+    logger.error('Token introspection error:', error);
+    oauthError(res, 500, 'server_error', 'Failed to introspect token');
+  }
+};
+
+/**
+ * Revoke an access, service or refresh token (internal API key required).
+ * Answers 200 whether or not the token was valid, as RFC 7009 requires.
+ */
+exports.revoke = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return oauthError(res, 400, 'invalid_request', 'token is required');
+    }
+
+    const verified = verifyIssuedToken(token);
+
+    if (verified && verified.tokenType === 'refresh_token') {
+      const tokenHash = generateTokenHash(token);
+
+      await db.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE token_hash = $1 AND revoked_at IS NULL',
+        [tokenHash]
+      );
+      await revokeRefreshTokenByHash(verified.claims.id, tokenHash);
+    } else if (verified) {
+      await revokeAccessToken(verified.claims);
+    }
+
+    if (verified) {
+      logger.info(`Revoked ${verified.tokenType} of ${verified.claims.id || verified.claims.client_id}`);
+    }
+
+    res.status(200).end();
+  } catch (error) {
+    logger.error('Token revocation error:', error);
+    oauthError(res, 503, 'temporarily_unavailable', 'Failed to revoke token');
+  }
+};
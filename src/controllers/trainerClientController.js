@@ -0,0 +1,254 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { recordAuditLog, recordChange } = require('../utils/audit');
+
+const ASSIGNMENT_COLUMNS = 'id, trainer_id, client_id, status, invited_at, responded_at, ended_at';
+
+/**
+ * Move an assignment the caller takes part in from one status to another.
+ * `parties` lists which side(s) may make the change; `stampColumn` records when.
+ */
+async function changeStatus(req, res, { from, to, parties, stampColumn, action }) {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT ${ASSIGNMENT_COLUMNS} FROM trainer_clients WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+
+    const assignment = existing.rows[0];
+
+    if (!assignment || !parties.some(party => assignment[party] === req.user.id)) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ASSIGNMENT_NOT_FOUND',
+          message: 'Assignment not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!from.includes(assignment.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `Assignment is already ${assignment.status}`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE trainer_clients
+       SET status = $1, ${stampColumn} = NOW()${to === 'ended' ? ', ended_by = $3' : ''}
+       WHERE id = $2
+       RETURNING ${ASSIGNMENT_COLUMNS}`,
+      to === 'ended' ? [to, id, req.user.id] : [to, id]
+    );
+
+    await recordChange({
+      client,
+      userId: req.user.id,
+      action,
+      resourceType: 'trainer_client',
+      resourceId: id,
+      before: { status: assignment.status },
+      after: { status: to },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Trainer-client assignment ${id} ${assignment.status} -> ${to} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Trainer-client ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to update assignment',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the caller's assignments: a trainer's clients or a client's trainers
+ */
+exports.listAssignments = async (req, res) => {
+  try {
+    const { status } = req.validatedQuery;
+    const isTrainer = req.user.role === 'trainer';
+    const [self, other] = isTrainer ? ['trainer_id', 'client_id'] : ['client_id', 'trainer_id'];
+
+    const values = [req.user.id];
+    let statusFilter = '';
+
+    if (status) {
+      values.push(status);
+      statusFilter = 'AND tc.status = $2';
+    }
+
+    const result = await db.query(
+      `SELECT tc.id, tc.status, tc.invited_at, tc.responded_at, tc.ended_at,
+              u.id AS user_id, u.email, u.first_name, u.last_name
+       FROM trainer_clients tc
+       JOIN users u ON u.id = tc.${other}
+       WHERE tc.${self} = $1 ${statusFilter}
+       ORDER BY tc.invited_at DESC`,
+      values
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(({ user_id, email, first_name, last_name, ...assignment }) => ({
+        ...assignment,
+        [isTrainer ? 'client' : 'trainer']: { id: user_id, email, first_name, last_name }
+      }))
+    });
+  } catch (error) {
+    logger.error('List trainer-client assignments error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FAILED',
+        message: 'Failed to fetch assignments',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Invite a client to train with the current trainer
+ */
+exports.inviteClient = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { client_id } = req.validatedBody;
+
+    const invitee = await client.query(
+      'SELECT id FROM users WHERE id = $1 AND role = $2 AND is_active = true',
+      [client_id, 'client']
+    );
+
+    if (invitee.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CLIENT',
+          message: 'client_id must reference an active client',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `INSERT INTO trainer_clients (trainer_id, client_id)
+       VALUES ($1, $2)
+       ON CONFLICT (trainer_id, client_id) WHERE status IN ('pending', 'active') DO NOTHING
+       RETURNING ${ASSIGNMENT_COLUMNS}`,
+      [req.user.id, client_id]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_ASSIGNED',
+          message: 'This client already has a pending invitation or is assigned to you',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const assignment = result.rows[0];
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'client_invited',
+      resourceType: 'trainer_client',
+      resourceId: assignment.id,
+      newValues: { trainer_id: req.user.id, client_id, status: 'pending' },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    logger.info(`Trainer ${req.user.email} invited client ${client_id}`);
+
+    res.status(201).json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Invite client error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FAILED',
+        message: 'Failed to invite client',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Accept a trainer's invitation (client)
+ */
+exports.acceptInvitation = (req, res) => changeStatus(req, res, {
+  from: ['pending'],
+  to: 'active',
+  parties: ['client_id'],
+  stampColumn: 'responded_at',
+  action: 'trainer_invitation_accepted'
+});
+
+/**
+ * Decline a trainer's invitation (client)
+ */
+exports.declineInvitation = (req, res) => changeStatus(req, res, {
+  from: ['pending'],
+  to: 'declined',
+  parties: ['client_id'],
+  stampColumn: 'responded_at',
+  action: 'trainer_invitation_declined'
+});
+
+/**
+ * End an assignment or withdraw a pending invitation (either side)
+ */
+exports.endAssignment = (req, res) => changeStatus(req, res, {
+  from: ['pending', 'active'],
+  to: 'ended',
+  parties: ['trainer_id', 'client_id'],
+  stampColumn: 'ended_at',
+  action: 'trainer_client_ended'
+});
@@ -1,7 +1,102 @@
 const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
 const db = require('../config/database');
 const logger = require('../config/logger');
-const { invalidateUserCache, cacheUserData, getCachedUserData } = require('../utils/jwt');
+const {
+  invalidateUserCache,
+  cacheUserData,
+  getCachedUserData,
+  revokeAllUserTokens,
+  revokeUserAccessTokens,
+  generateAccessToken,
+  IMPERSONATION_TOKEN_EXPIRY
+} = require('../utils/jwt');
+const { recordAuditLog, recordChange } = require('../utils/audit');
+const { unlockLogin } = require('../utils/loginThrottle');
+const { userVisibilityScope } = require('../policies/userPolicy');
+const { ensureRoleProfile } = require('../utils/profiles');
+const { findRole, getRolePermissions } = require('../utils/permissions');
+const { CURRENT_MEMBERSHIP } = require('../policies/gymPolicy');
+const { getActiveGymIds } = require('../utils/memberships');
+const { hasPermission } = require('../policies/permissionPolicy');
+const { scheduleErasure, sendErasureNotice, cancelErasure } = require('../utils/erasure');
+const { verifyAccountHolder } = require('../utils/reauth');
+
+/**
+ * Users on the other side of a user's active trainer-client assignments.
+ * `side` is the column holding the user ('trainer_id' or 'client_id').
+ */
+async function listActiveAssignments(userId, side) {
+  const other = side === 'trainer_id' ? 'client_id' : 'trainer_id';
+
+  const result = await db.query(
+    `SELECT u.id, u.first_name, u.last_name, tc.responded_at AS since
+     FROM trainer_clients tc
+     JOIN users u ON u.id = tc.${other}
+     WHERE tc.${side} = $1 AND tc.status = 'active'
+     ORDER BY tc.responded_at`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Deactivate a user row locked in the open transaction, ending their sessions
+ * and recording why. With `erase` their erasure is scheduled as well.
+ */
+async function deactivateAccount(client, user, { action, reason, erase, req }) {
+  await client.query('UPDATE users SET is_active = false WHERE id = $1', [user.id]);
+
+  const sessions = await client.query(
+    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [user.id]
+  );
+
+  await recordAuditLog({
+    client,
+    userId: req.user.id,
+    action,
+    resourceType: 'user',
+    resourceId: user.id,
+    oldValues: { is_active: user.is_active },
+    newValues: { is_active: false, reason, sessions_revoked: sessions.rowCount },
+    req
+  });
+
+  if (!erase) {
+    return null;
+  }
+
+  const erasure = await scheduleErasure(client, user.id, req.user.id);
+
+  await recordAuditLog({
+    client,
+    userId: req.user.id,
+    action: 'user_erasure_scheduled',
+    resourceType: 'user',
+    resourceId: user.id,
+    newValues: { erasure_scheduled_at: erasure.scheduledAt },
+    req
+  });
+
+  return erasure;
+}
+
+/**
+ * Revoke a deactivated user's tokens once the transaction has committed
+ */
+async function finishDeactivation(user, erasure) {
+  await invalidateUserCache(user.id);
+  await revokeAllUserTokens(user.id);
+  await revokeUserAccessTokens(user.id);
+
+  if (erasure) {
+    sendErasureNotice(user, erasure).catch((error) => {
+      logger.error(`Failed to send erasure notice to ${user.email}:`, error);
+    });
+  }
+}
 
 /**
  * Get current user profile
@@ -16,7 +111,7 @@ exports.getMe = async (req, res) => {
     if (!user) {
       const result = await db.query(
         `SELECT id, email, role, first_name, last_name, phone, date_of_birth,
-                address, profile_image_url, gym_id, created_at, last_login, is_active
+                address, profile_image_url, profile_image_variants, gym_id, created_at, last_login, is_active
          FROM users WHERE id = $1`,
         [userId]
       );
@@ -57,6 +152,8 @@ exports.getMe = async (req, res) => {
  * Update current user profile
  */
 exports.updateMe = async (req, res) => {
+  const client = await db.connect();
+
   try {
     const userId = req.user.id;
     const updates = req.validatedBody;
@@ -84,7 +181,14 @@ exports.updateMe = async (req, res) => {
 
     values.push(userId);
 
-    const result = await db.query(
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      `SELECT ${Object.keys(updates).join(', ')} FROM users WHERE id = $1 FOR UPDATE`,
+      [userId]
+    );
+
+    const result = await client.query(
       `UPDATE users SET ${fields.join(', ')} WHERE id = $${paramCount}
        RETURNING id, email, role, first_name, last_name, phone, date_of_birth,
                  address, profile_image_url, gym_id, updated_at`,
@@ -93,6 +197,19 @@ exports.updateMe = async (req, res) => {
 
     const user = result.rows[0];
 
+    await recordChange({
+      client,
+      userId,
+      action: 'profile_updated',
+      resourceType: 'user',
+      resourceId: userId,
+      before: previous.rows[0],
+      after: updates,
+      req
+    });
+
+    await client.query('COMMIT');
+
     // Invalidate cache
     await invalidateUserCache(userId);
 
@@ -103,6 +220,7 @@ exports.updateMe = async (req, res) => {
       data: user
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error('Update profile error:', error);
     res.status(500).json({
       success: false,
@@ -112,21 +230,145 @@ exports.updateMe = async (req, res) => {
         timestamp: new Date().toISOString()
       }
     });
+  } finally {
+    client.release();
   }
 };
 
 /**
- * Get user by ID (admin only)
+ * Change password for current user. Every other session is signed out at once;
+ * the one behind the caller's access token stays signed in.
+ */
+exports.changePassword = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const userId = req.user.id;
+    const { current_password, new_password } = req.validatedBody;
+    const sessionId = req.user.sid || null;
+
+    const result = await client.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { password_hash } = result.rows[0];
+
+    const isPasswordValid = password_hash
+      ? await bcrypt.compare(current_password, password_hash)
+      : false;
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_PASSWORD',
+          message: 'Current password is incorrect',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (await bcrypt.compare(new_password, password_hash)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'PASSWORD_UNCHANGED',
+          message: 'New password must be different from the current password',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const newHash = await bcrypt.hash(new_password, 10);
+
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE users SET password_hash = $1 WHERE id = $2',
+      [newHash, userId]
+    );
+
+    // The session behind the caller's access token stays signed in, if it is still active
+    const current = await client.query(
+      `SELECT id, token_hash FROM sessions
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       FOR UPDATE`,
+      [sessionId, userId]
+    );
+
+    const kept = current.rows[0] || null;
+
+    const revoked = await client.query(
+      `UPDATE sessions SET revoked_at = NOW()
+       WHERE user_id = $1 AND revoked_at IS NULL AND id IS DISTINCT FROM $2`,
+      [userId, kept ? kept.id : null]
+    );
+
+    await recordAuditLog({
+      client,
+      userId,
+      action: 'password_changed',
+      resourceType: 'user',
+      resourceId: userId,
+      newValues: { sessions_revoked: revoked.rowCount, kept_current_session: Boolean(kept) },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    // Other devices lose their refresh and access tokens at once
+    await revokeAllUserTokens(userId, { exceptHash: kept ? kept.token_hash : undefined });
+    await revokeUserAccessTokens(userId, { exceptSessionId: kept ? kept.id : undefined });
+
+    logger.info(`Password changed: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to change password',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get user by ID, limited to the users the caller may see (see policies/userPolicy.js)
  */
 exports.getUserById = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Users outside the caller's scope are reported as not found
+    const scope = userVisibilityScope(req.user, 2);
+
     const result = await db.query(
       `SELECT id, email, role, first_name, last_name, phone, date_of_birth,
-              address, profile_image_url, gym_id, created_at, last_login, is_active
-       FROM users WHERE id = $1`,
-      [id]
+              address, profile_image_url, profile_image_variants, gym_id, created_at, last_login, is_active
+       FROM users WHERE id = $1${scope ? ` AND ${scope.condition}` : ''}`,
+      [id, ...(scope ? scope.values : [])]
     );
 
     if (result.rows.length === 0) {
@@ -174,8 +416,9 @@ exports.listUsers = async (req, res) => {
       paramCount++;
     }
 
+    // Current members of the gym, whatever their users.gym_id says
     if (gym_id) {
-      conditions.push(`gym_id = $${paramCount}`);
+      conditions.push(`id IN (SELECT user_id FROM gym_memberships WHERE gym_id = $${paramCount} AND ${CURRENT_MEMBERSHIP})`);
       values.push(gym_id);
       paramCount++;
     }
@@ -192,6 +435,14 @@ exports.listUsers = async (req, res) => {
       paramCount++;
     }
 
+    const scope = userVisibilityScope(req.user, paramCount);
+
+    if (scope) {
+      conditions.push(scope.condition);
+      values.push(...scope.values);
+      paramCount += scope.values.length;
+    }
+
     const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     const offset = (page - 1) * limit;
@@ -238,19 +489,24 @@ exports.listUsers = async (req, res) => {
 
 /**
  * Update user role (admin only)
+ * Access tokens carrying the old role are revoked; the user's next refresh picks up the new one.
  */
 exports.updateUserRole = async (req, res) => {
+  const client = await db.connect();
+
   try {
     const { id } = req.params;
     const { role } = req.validatedBody;
 
-    const result = await db.query(
-      `UPDATE users SET role = $1 WHERE id = $2
-       RETURNING id, email, role, first_name, last_name`,
-      [role, id]
+    await client.query('BEGIN');
+
+    const previous = await client.query(
+      'SELECT role FROM users WHERE id = $1 FOR UPDATE',
+      [id]
     );
 
-    if (result.rows.length === 0) {
+    if (previous.rows.length === 0) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: {
@@ -261,7 +517,41 @@ exports.updateUserRole = async (req, res) => {
       });
     }
 
+    if (!(await findRole(role, client))) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_ROLE',
+          message: 'Role does not exist',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE users SET role = $1 WHERE id = $2
+       RETURNING id, email, role, first_name, last_name`,
+      [role, id]
+    );
+
+    await ensureRoleProfile(id, role, client);
+
+    await recordChange({
+      client,
+      userId: req.user.id,
+      action: 'role_updated',
+      resourceType: 'user',
+      resourceId: id,
+      before: previous.rows[0],
+      after: { role },
+      req
+    });
+
+    await client.query('COMMIT');
+
     await invalidateUserCache(id);
+    await revokeUserAccessTokens(id);
 
     logger.info(`User role updated by admin: ${result.rows[0].email} -> ${role}`);
 
@@ -270,6 +560,7 @@ exports.updateUserRole = async (req, res) => {
       data: result.rows[0]
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error('Update role error:', error);
     res.status(500).json({
       success: false,
@@ -279,23 +570,35 @@ exports.updateUserRole = async (req, res) => {
         timestamp: new Date().toISOString()
       }
     });
+  } finally {
+    client.release();
   }
 };
 
 /**
- * Soft delete user
+ * Soft delete user; they are signed out everywhere at once. The optional `reason`
+ * is read from the body or the query string.
+ * With `mode=erase` their personal data is also erased once the grace period
+ * ends, unless the erasure is cancelled first (see utils/erasure.js).
  */
 exports.deleteUser = async (req, res) => {
+  const client = await db.connect();
+
   try {
     const { id } = req.params;
+    const { mode } = req.validatedQuery;
+    const reason = req.validatedBody.reason || req.validatedQuery.reason || null;
 
-    const result = await db.query(
-      `UPDATE users SET is_active = false WHERE id = $1
-       RETURNING id, email`,
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, email, first_name, is_active, erasure_scheduled_at, erased_at
+       FROM users WHERE id = $1 FOR UPDATE`,
       [id]
     );
 
-    if (result.rows.length === 0) {
+    if (result.rows.length === 0 || result.rows[0].erased_at) {
+      await client.query('ROLLBACK');
       return res.status(404).json({
         success: false,
         error: {
@@ -306,15 +609,42 @@ exports.deleteUser = async (req, res) => {
       });
     }
 
-    await invalidateUserCache(id);
+    const user = result.rows[0];
 
-    logger.info(`User deactivated: ${result.rows[0].email}`);
+    if (mode === 'erase' && user.erasure_scheduled_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ERASURE_SCHEDULED',
+          message: 'Erasure is already scheduled for this user',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const erasure = await deactivateAccount(client, user, {
+      action: 'user_deactivated',
+      reason,
+      erase: mode === 'erase',
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await finishDeactivation(user, erasure);
+
+    logger.info(`User deactivated${erasure ? ' and scheduled for erasure' : ''}: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'User deactivated successfully'
+      message: erasure
+        ? 'User deactivated; their data will be erased unless the erasure is cancelled'
+        : 'User deactivated successfully',
+      ...(erasure && { data: { erasure_scheduled_at: erasure.scheduledAt } })
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error('Delete user error:', error);
     res.status(500).json({
       success: false,
@@ -324,11 +654,392 @@ exports.deleteUser = async (req, res) => {
         timestamp: new Date().toISOString()
       }
     });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Close the current user's account after confirming it is them: their password, or for
+ * password-less (OAuth) accounts a recent sign-in.
+ * `mode=erase` schedules erasure of their data as for deleteUser.
+ */
+exports.closeMyAccount = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const userId = req.user.id;
+    const { mode } = req.validatedQuery;
+    const { password, reason } = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, email, first_name, password_hash, is_active
+       FROM users WHERE id = $1 AND is_active = true FOR UPDATE`,
+      [userId]
+    );
+
+    const user = result.rows[0];
+
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_PASSWORD',
+          message: 'Password is incorrect',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const denial = await verifyAccountHolder(user, { password, sessionId: req.user.sid }, client);
+
+    if (denial) {
+      await client.query('ROLLBACK');
+      return res.status(denial.status).json({
+        success: false,
+        error: {
+          code: denial.code,
+          message: denial.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const erasure = await deactivateAccount(client, user, {
+      action: 'account_closed',
+      reason: reason || null,
+      erase: mode === 'erase',
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await finishDeactivation(user, erasure);
+
+    logger.info(`User closed their account${erasure ? ' and requested erasure' : ''}: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: erasure
+        ? 'Account closed; your data will be erased unless you cancel from the link we emailed you'
+        : 'Account closed',
+      ...(erasure && { data: { erasure_scheduled_at: erasure.scheduledAt } })
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Close account error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELETE_FAILED',
+        message: 'Failed to close account',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
   }
 };
 
 /**
- * List all gyms
+ * Reactivate a deactivated user (admin only); a scheduled erasure is cancelled
+ */
+exports.reactivateUser = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+    const { reason } = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT id, email, is_active, erasure_scheduled_at, erased_at
+       FROM users WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+
+    if (result.rows.length === 0 || result.rows[0].erased_at) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const user = result.rows[0];
+
+    if (user.is_active) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_ACTIVE',
+          message: 'User is already active',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const erasureCancelled = Boolean(user.erasure_scheduled_at);
+
+    if (erasureCancelled) {
+      await cancelErasure(client, id);
+    } else {
+      await client.query('UPDATE users SET is_active = true WHERE id = $1', [id]);
+    }
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'user_reactivated',
+      resourceType: 'user',
+      resourceId: id,
+      oldValues: { is_active: false },
+      newValues: { is_active: true, reason, erasure_cancelled: erasureCancelled },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await invalidateUserCache(id);
+
+    logger.info(`User reactivated: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'User reactivated successfully'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to reactivate user',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Cancel a user's scheduled erasure and reactivate them (admin only)
+ */
+exports.cancelUserErasure = async (req, res) => {
+  const client = await db.connect();
+
+  try {
+    const { id } = req.params;
+    const { reason } = req.validatedBody;
+
+    await client.query('BEGIN');
+
+    const user = await cancelErasure(client, id);
+
+    if (!user) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ERASURE_NOT_FOUND',
+          message: 'No erasure is scheduled for this user',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    await recordAuditLog({
+      client,
+      userId: req.user.id,
+      action: 'user_erasure_cancelled',
+      resourceType: 'user',
+      resourceId: id,
+      newValues: { is_active: true, reason },
+      req
+    });
+
+    await client.query('COMMIT');
+
+    await invalidateUserCache(id);
+
+    logger.info(`User erasure cancelled by admin: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Erasure cancelled and user reactivated'
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Cancel erasure error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_FAILED',
+        message: 'Failed to cancel erasure',
+        timestamp: new Date().toISOString()
+      }
+    });
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Lift a login lockout (admin only)
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      'SELECT id, email FROM users WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const user = result.rows[0];
+    const wasLocked = await unlockLogin(user.email);
+
+    await recordAuditLog({
+      userId: req.user.id,
+      action: 'account_unlocked',
+      resourceType: 'user',
+      resourceId: user.id,
+      newValues: { was_locked: wasLocked },
+      req
+    });
+
+    logger.info(`User login unlocked by admin: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked',
+      data: { was_locked: wasLocked }
+    });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UNLOCK_FAILED',
+        message: 'Failed to unlock account',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * Issue a short-lived token that acts as another user (admin only).
+ * No refresh token is issued; signing out with it ends the impersonation.
+ */
+exports.impersonateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.validatedBody;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TARGET',
+          message: 'You cannot impersonate yourself',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await db.query(
+      'SELECT id, email, role, is_active FROM users WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].is_active) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'User not found',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const user = result.rows[0];
+    const permissions = await getRolePermissions(user.role);
+
+    // Otherwise one admin could act with another admin's powers
+    if (hasPermission({ permissions }, 'users:impersonate')) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Users who can impersonate others cannot be impersonated',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const gymIds = await getActiveGymIds(user.id);
+    const accessToken = generateAccessToken(user, { permissions, gymIds, actor: req.user });
+    const { jti, exp } = jwt.decode(accessToken);
+
+    await recordAuditLog({
+      userId: req.user.id,
+      action: 'impersonation_started',
+      resourceType: 'user',
+      resourceId: user.id,
+      newValues: { reason, token_id: jti, expires_at: new Date(exp * 1000).toISOString() },
+      req
+    });
+
+    logger.info(`Impersonation started: ${req.user.email} as ${user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: IMPERSONATION_TOKEN_EXPIRY,
+        user: { id: user.id, email: user.email, role: user.role }
+      }
+    });
+  } catch (error) {
+    logger.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'IMPERSONATION_FAILED',
+        message: 'Failed to impersonate user',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+};
+
+/**
+ * List active gyms
  */
 exports.listGyms = async (req, res) => {
   try {
@@ -338,13 +1049,14 @@ exports.listGyms = async (req, res) => {
     const [dataResult, countResult] = await Promise.all([
       db.query(
         `SELECT id, name, description, address, phone, email, website,
-                amenities, opening_hours, created_at
+                amenities, opening_hours, owner_id, created_at
          FROM gyms
+         WHERE is_active = true
          ORDER BY name ASC
          LIMIT $1 OFFSET $2`,
         [limit, offset]
       ),
-      db.query('SELECT COUNT(*) FROM gyms')
+      db.query('SELECT COUNT(*) FROM gyms WHERE is_active = true')
     ]);
 
     const totalCount = parseInt(countResult.rows[0].count);
@@ -403,10 +1115,14 @@ exports.getUsersBatch = async (req, res) => {
     }
 
     const placeholders = user_ids.map((_, i) => `$${i + 1}`).join(',');
+
+    // Users outside the caller's scope are left out of the result; service clients see everyone
+    const scope = req.client ? null : userVisibilityScope(req.user, user_ids.length + 1);
+
     const result = await db.query(
       `SELECT id, email, role, first_name, last_name, phone, profile_image_url, gym_id, is_active
-       FROM users WHERE id IN (${placeholders})`,
-      user_ids
+       FROM users WHERE id IN (${placeholders})${scope ? ` AND ${scope.condition}` : ''}`,
+      [...user_ids, ...(scope ? scope.values : [])]
     );
 
     res.json({
@@ -428,15 +1144,20 @@ exports.getUsersBatch = async (req, res) => {
 };
 
 /**
- * Get role-specific information for a user
+ * Get role-specific information for a user.
+ * Scoped like getUserById: users outside the caller's scope are reported as not found.
+ * Service clients see everyone.
  */
 exports.getUserRoleInfo = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const scope = req.client ? null : userVisibilityScope(req.user, 2);
+
     const userResult = await db.query(
-      'SELECT id, role, first_name, last_name FROM users WHERE id = $1',
-      [id]
+      `SELECT id, role, first_name, last_name
+       FROM users WHERE id = $1${scope ? ` AND ${scope.condition}` : ''}`,
+      [id, ...(scope ? scope.values : [])]
     );
 
     if (userResult.rows.length === 0) {
@@ -467,6 +1188,7 @@ exports.getUserRoleInfo = async (req, res) => {
           bio: null,
           rating: null
         };
+        roleSpecificData.clients = await listActiveAssignments(id, 'trainer_id');
         break;
 
       case 'client':
@@ -481,27 +1203,22 @@ exports.getUserRoleInfo = async (req, res) => {
           fitness_level: null,
           goals: []
         };
-        break;
-
-      case 'gym_owner':
-      case 'admin':
-        // For gym owners and admins, return basic info
-        roleSpecificData = {
-          role: user.role,
-          permissions: ['full_access']
-        };
+        roleSpecificData.trainers = await listActiveAssignments(id, 'client_id');
         break;
 
       default:
-        roleSpecificData = { role: user.role };
+        break;
     }
 
+    const permissions = await getRolePermissions(user.role);
+
     res.json({
       success: true,
       data: {
         user_id: user.id,
         name: `${user.first_name} ${user.last_name}`,
         role: user.role,
+        permissions,
         ...roleSpecificData
       }
     });
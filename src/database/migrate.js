@@ -1,179 +1,83 @@
-const db = require('../config/database');
 const logger = require('../config/logger');
+const {
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  withMigrationLock,
+  runMigrations
+} = require('./migrator');
+
+const USAGE = `Usage: npm run migrate -- <command>
+
+Commands:
+  status             Show applied, pending and modified migrations
+  up [--to <n>]      Apply pending migrations (default command)
+  down [--to <n>]    Roll back the latest migration, or every migration after version <n>
+  create <name>      Create an empty migration file`;
+
+/**
+ * Read `--to <version>` from the command line arguments
+ */
+function parseTarget(args) {
+  const index = args.indexOf('--to');
+
+  if (index === -1) {
+    return undefined;
+  }
 
-const migrations = [
-  {
-    name: 'create_users_table',
-    up: `
-      CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
-
-      CREATE TABLE IF NOT EXISTS users (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password_hash VARCHAR(255),
-        role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'trainer', 'client', 'gym_owner')),
-        first_name VARCHAR(100),
-        last_name VARCHAR(100),
-        phone VARCHAR(20),
-        date_of_birth DATE,
-        address JSONB,
-        profile_image_url TEXT,
-        gym_id UUID,
-        oauth_provider VARCHAR(50),
-        oauth_provider_id VARCHAR(255),
-        is_active BOOLEAN DEFAULT true,
-        email_verified BOOLEAN DEFAULT false,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_login TIMESTAMP,
-        UNIQUE(oauth_provider, oauth_provider_id)
-      );
-
-      CREATE INDEX idx_users_email ON users(email);
-      CREATE INDEX idx_users_role ON users(role);
-      CREATE INDEX idx_users_gym_id ON users(gym_id);
-      CREATE INDEX idx_users_oauth ON users(oauth_provider, oauth_provider_id);
-    `
-  },
-  {
-    name: 'create_sessions_table',
-    up: `
-      CREATE TABLE IF NOT EXISTS sessions (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-        refresh_token TEXT NOT NULL,
-        token_hash VARCHAR(255) NOT NULL,
-        ip_address VARCHAR(45),
-        user_agent TEXT,
-        expires_at TIMESTAMP NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        revoked_at TIMESTAMP
-      );
-
-      CREATE INDEX idx_sessions_user_id ON sessions(user_id);
-      CREATE INDEX idx_sessions_token_hash ON sessions(token_hash);
-      CREATE INDEX idx_sessions_expires_at ON sessions(expires_at);
-    `
-  },
-  {
-    name: 'create_gyms_table',
-    up: `
-      CREATE TABLE IF NOT EXISTS gyms (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        address JSONB NOT NULL,
-        phone VARCHAR(20),
-        email VARCHAR(255),
-        website VARCHAR(255),
-        opening_hours JSONB,
-        amenities TEXT[],
-        owner_id UUID REFERENCES users(id),
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX idx_gyms_owner_id ON gyms(owner_id);
-
-      -- Add foreign key constraint for gym_id in users table
-      ALTER TABLE users ADD CONSTRAINT fk_users_gym_id
-        FOREIGN KEY (gym_id) REFERENCES gyms(id) ON DELETE SET NULL;
-    `
-  },
-  {
-    name: 'create_audit_logs_table',
-    up: `
-      CREATE TABLE IF NOT EXISTS audit_logs (
-        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-        user_id UUID REFERENCES users(id) ON DELETE SET NULL,
-        action VARCHAR(100) NOT NULL,
-        resource_type VARCHAR(50),
-        resource_id UUID,
-        old_values JSONB,
-        new_values JSONB,
-        ip_address VARCHAR(45),
-        user_agent TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
-      CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
-      CREATE INDEX idx_audit_logs_action ON audit_logs(action);
-    `
-  },
-  {
-    name: 'create_updated_at_trigger',
-    up: `
-      CREATE OR REPLACE FUNCTION update_updated_at_column()
-      RETURNS TRIGGER AS $$
-      BEGIN
-        NEW.updated_at = CURRENT_TIMESTAMP;
-        RETURN NEW;
-      END;
-      $$ language 'plpgsql';
-
-      CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
-        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+  const to = parseInt(args[index + 1]);
 
-      CREATE TRIGGER update_gyms_updated_at BEFORE UPDATE ON gyms
-        FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-    `
+  if (Number.isNaN(to) || to < 0) {
+    throw new Error('--to requires a version number');
   }
-];
 
-async function runMigrations() {
-  const client = await db.connect();
+  return to;
+}
 
-  try {
-    await client.query('BEGIN');
+async function main(args) {
+  const [command = 'up', ...rest] = args;
+
+  switch (command) {
+    case 'status': {
+      const status = await withMigrationLock(getStatus);
+      status.forEach((entry) => {
+        const appliedAt = entry.applied_at ? new Date(entry.applied_at).toISOString() : '';
+        console.log(`${String(entry.version).padStart(4, '0')}  ${entry.state.padEnd(8)}  ${entry.name}  ${appliedAt}`);
+      });
+      break;
+    }
 
-    // Create migrations tracking table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS migrations (
-        id SERIAL PRIMARY KEY,
-        name VARCHAR(255) UNIQUE NOT NULL,
-        executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
+    case 'up': {
+      const to = parseTarget(rest);
+      const applied = await withMigrationLock((client, migrations) => migrateUp(client, migrations, { to }));
+      logger.info(`Applied ${applied.length} migration(s)`);
+      break;
+    }
 
-    // Get executed migrations
-    const { rows: executed } = await client.query(
-      'SELECT name FROM migrations'
-    );
-    const executedNames = new Set(executed.map(row => row.name));
+    case 'down': {
+      const to = parseTarget(rest);
+      const rolledBack = await withMigrationLock((client, migrations) => migrateDown(client, migrations, { to }));
+      logger.info(`Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
 
-    // Run pending migrations
-    for (const migration of migrations) {
-      if (!executedNames.has(migration.name)) {
-        logger.info(`Running migration: ${migration.name}`);
-        await client.query(migration.up);
-        await client.query(
-          'INSERT INTO migrations (name) VALUES ($1)',
-          [migration.name]
-        );
-        logger.info(`Completed migration: ${migration.name}`);
-      }
+    case 'create': {
+      const filePath = createMigration(rest.join('_'));
+      logger.info(`Created migration: ${filePath}`);
+      break;
     }
 
-    await client.query('COMMIT');
-    logger.info('All migrations completed successfully');
-  } catch (error) {
-    await client.query('ROLLBACK');
-    logger.error('Migration failed:', error);
-    throw error;
-  } finally {
-    client.release();
+    default:
+      console.log(USAGE);
+      process.exitCode = 1;
   }
 }
 
-// Run migrations if this file is executed directly
+// Run the CLI if this file is executed directly
 if (require.main === module) {
-  runMigrations()
-    .then(() => {
-      logger.info('Database migration completed');
-      process.exit(0);
-    })
+  main(process.argv.slice(2))
+    .then(() => process.exit(process.exitCode || 0))
     .catch((error) => {
       logger.error('Database migration failed:', error);
       process.exit(1);
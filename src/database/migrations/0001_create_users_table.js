@@ -0,0 +1,36 @@
+module.exports = {
+  up: `
+    CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+    CREATE TABLE IF NOT EXISTS users (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255),
+      role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'trainer', 'client', 'gym_owner')),
+      first_name VARCHAR(100),
+      last_name VARCHAR(100),
+      phone VARCHAR(20),
+      date_of_birth DATE,
+      address JSONB,
+      profile_image_url TEXT,
+      gym_id UUID,
+      oauth_provider VARCHAR(50),
+      oauth_provider_id VARCHAR(255),
+      is_active BOOLEAN DEFAULT true,
+      email_verified BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_login TIMESTAMP,
+      UNIQUE(oauth_provider, oauth_provider_id)
+    );
+
+    CREATE INDEX idx_users_email ON users(email);
+    CREATE INDEX idx_users_role ON users(role);
+    CREATE INDEX idx_users_gym_id ON users(gym_id);
+    CREATE INDEX idx_users_oauth ON users(oauth_provider, oauth_provider_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS users;
+  `
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS sessions (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token TEXT NOT NULL,
+      token_hash VARCHAR(255) NOT NULL,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP
+    );
+
+    CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+    CREATE INDEX idx_sessions_token_hash ON sessions(token_hash);
+    CREATE INDEX idx_sessions_expires_at ON sessions(expires_at);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS sessions;
+  `
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS gyms (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      address JSONB NOT NULL,
+      phone VARCHAR(20),
+      email VARCHAR(255),
+      website VARCHAR(255),
+      opening_hours JSONB,
+      amenities TEXT[],
+      owner_id UUID REFERENCES users(id),
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_gyms_owner_id ON gyms(owner_id);
+
+    -- Add foreign key constraint for gym_id in users table
+    ALTER TABLE users ADD CONSTRAINT fk_users_gym_id
+      FOREIGN KEY (gym_id) REFERENCES gyms(id) ON DELETE SET NULL;
+  `,
+
+  down: `
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS fk_users_gym_id;
+    DROP TABLE IF EXISTS gyms;
+  `
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(100) NOT NULL,
+      resource_type VARCHAR(50),
+      resource_id UUID,
+      old_values JSONB,
+      new_values JSONB,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_audit_logs_user_id ON audit_logs(user_id);
+    CREATE INDEX idx_audit_logs_created_at ON audit_logs(created_at);
+    CREATE INDEX idx_audit_logs_action ON audit_logs(action);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS audit_logs;
+  `
+};
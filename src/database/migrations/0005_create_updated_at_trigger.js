@@ -0,0 +1,23 @@
+module.exports = {
+  up: `
+    CREATE OR REPLACE FUNCTION update_updated_at_column()
+    RETURNS TRIGGER AS $$
+    BEGIN
+      NEW.updated_at = CURRENT_TIMESTAMP;
+      RETURN NEW;
+    END;
+    $$ language 'plpgsql';
+
+    CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    CREATE TRIGGER update_gyms_updated_at BEFORE UPDATE ON gyms
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+  `,
+
+  down: `
+    DROP TRIGGER IF EXISTS update_gyms_updated_at ON gyms;
+    DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+    DROP FUNCTION IF EXISTS update_updated_at_column();
+  `
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value JSONB NOT NULL,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS app_settings;
+  `
+};
@@ -0,0 +1,19 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      ip_address VARCHAR(45),
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS password_reset_tokens;
+  `
+};
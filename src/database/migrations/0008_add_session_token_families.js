@@ -0,0 +1,18 @@
+module.exports = {
+  up: `
+    ALTER TABLE sessions ADD COLUMN family_id UUID;
+    ALTER TABLE sessions ADD COLUMN replaced_by UUID REFERENCES sessions(id) ON DELETE SET NULL;
+
+    -- Existing sessions each start their own family
+    UPDATE sessions SET family_id = id WHERE family_id IS NULL;
+    ALTER TABLE sessions ALTER COLUMN family_id SET NOT NULL;
+
+    CREATE INDEX idx_sessions_family_id ON sessions(family_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_sessions_family_id;
+    ALTER TABLE sessions DROP COLUMN IF EXISTS replaced_by;
+    ALTER TABLE sessions DROP COLUMN IF EXISTS family_id;
+  `
+};
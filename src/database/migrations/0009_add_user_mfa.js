@@ -0,0 +1,25 @@
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN mfa_enabled BOOLEAN DEFAULT false;
+    ALTER TABLE users ADD COLUMN mfa_secret VARCHAR(64);
+    ALTER TABLE users ADD COLUMN mfa_enrolled_at TIMESTAMP;
+
+    CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS mfa_recovery_codes;
+
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_enrolled_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_secret;
+    ALTER TABLE users DROP COLUMN IF EXISTS mfa_enabled;
+  `
+};
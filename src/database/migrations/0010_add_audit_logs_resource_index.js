@@ -0,0 +1,9 @@
+module.exports = {
+  up: `
+    CREATE INDEX idx_audit_logs_resource ON audit_logs(resource_type, resource_id);
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_audit_logs_resource;
+  `
+};
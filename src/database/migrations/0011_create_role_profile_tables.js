@@ -0,0 +1,37 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS trainer_profiles (
+      user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      certifications JSONB NOT NULL DEFAULT '[]',
+      specializations TEXT[] NOT NULL DEFAULT '{}',
+      years_experience INTEGER NOT NULL DEFAULT 0 CHECK (years_experience >= 0),
+      bio TEXT,
+      rating NUMERIC(3, 2) CHECK (rating BETWEEN 0 AND 5),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS client_profiles (
+      user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+      health_clearance BOOLEAN NOT NULL DEFAULT false,
+      emergency_contact JSONB,
+      fitness_level VARCHAR(20) CHECK (fitness_level IN ('beginner', 'intermediate', 'advanced')),
+      goals TEXT[] NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO trainer_profiles (user_id)
+    SELECT id FROM users WHERE role = 'trainer'
+    ON CONFLICT (user_id) DO NOTHING;
+
+    INSERT INTO client_profiles (user_id)
+    SELECT id FROM users WHERE role = 'client'
+    ON CONFLICT (user_id) DO NOTHING;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS client_profiles;
+    DROP TABLE IF EXISTS trainer_profiles;
+  `
+};
@@ -0,0 +1,72 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS roles (
+      name VARCHAR(50) PRIMARY KEY CHECK (name ~ '^[a-z][a-z0-9_]*$'),
+      description TEXT,
+      is_system BOOLEAN NOT NULL DEFAULT false,
+      self_register BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS permissions (
+      name VARCHAR(100) PRIMARY KEY,
+      description TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS role_permissions (
+      role VARCHAR(50) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+      permission VARCHAR(100) REFERENCES permissions(name) ON DELETE CASCADE,
+      PRIMARY KEY (role, permission)
+    );
+
+    CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    INSERT INTO roles (name, description, is_system, self_register) VALUES
+      ('admin', 'Platform administrator', true, true),
+      ('gym_owner', 'Owns and manages gyms', true, true),
+      ('trainer', 'Trains clients', true, true),
+      ('client', 'Gym member', true, true)
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO permissions (name, description) VALUES
+      ('users:read:all', 'Read every user'),
+      ('users:read:gym', 'Read users in the caller''s gyms'),
+      ('users:manage', 'Change roles, deactivate, unlock and reset MFA for users and manage their sessions'),
+      ('gyms:write', 'Create gyms and manage the gyms the caller owns'),
+      ('gyms:manage:all', 'Manage every gym and assign gym owners'),
+      ('audit_logs:read', 'Read audit logs'),
+      ('settings:manage', 'Read and change runtime settings'),
+      ('roles:manage', 'Create, change and delete roles and their permissions')
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO role_permissions (role, permission) VALUES
+      ('admin', 'users:read:all'),
+      ('admin', 'users:manage'),
+      ('admin', 'gyms:write'),
+      ('admin', 'gyms:manage:all'),
+      ('admin', 'audit_logs:read'),
+      ('admin', 'settings:manage'),
+      ('admin', 'roles:manage'),
+      ('gym_owner', 'users:read:gym'),
+      ('gym_owner', 'gyms:write'),
+      ('trainer', 'users:read:gym'),
+      ('client', 'users:read:gym')
+    ON CONFLICT DO NOTHING;
+
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+    ALTER TABLE users ADD CONSTRAINT users_role_fkey
+      FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+  `,
+
+  down: `
+    ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+    ALTER TABLE users ADD CONSTRAINT users_role_check
+      CHECK (role IN ('admin', 'trainer', 'client', 'gym_owner'));
+
+    DROP TABLE IF EXISTS role_permissions;
+    DROP TABLE IF EXISTS permissions;
+    DROP TABLE IF EXISTS roles;
+  `
+};
@@ -0,0 +1,30 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS trainer_clients (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      trainer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'active', 'declined', 'ended')),
+      invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      responded_at TIMESTAMP,
+      ended_at TIMESTAMP,
+      ended_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (trainer_id <> client_id)
+    );
+
+    -- At most one open invitation or assignment per pair; history is kept
+    CREATE UNIQUE INDEX idx_trainer_clients_open ON trainer_clients(trainer_id, client_id)
+      WHERE status IN ('pending', 'active');
+    CREATE INDEX idx_trainer_clients_trainer ON trainer_clients(trainer_id, status);
+    CREATE INDEX idx_trainer_clients_client ON trainer_clients(client_id, status);
+
+    CREATE TRIGGER update_trainer_clients_updated_at BEFORE UPDATE ON trainer_clients
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS trainer_clients;
+  `
+};
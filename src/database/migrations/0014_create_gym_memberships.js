@@ -0,0 +1,40 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS gym_memberships (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      gym_id UUID NOT NULL REFERENCES gyms(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('member', 'trainer', 'staff')),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'active', 'suspended', 'ended')),
+      start_date DATE,
+      end_date DATE,
+      approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+    );
+
+    -- One open membership per user and gym; ended ones are kept as history
+    CREATE UNIQUE INDEX idx_gym_memberships_open ON gym_memberships(gym_id, user_id)
+      WHERE status <> 'ended';
+    CREATE INDEX idx_gym_memberships_user ON gym_memberships(user_id, status);
+    CREATE INDEX idx_gym_memberships_gym ON gym_memberships(gym_id, status);
+
+    CREATE TRIGGER update_gym_memberships_updated_at BEFORE UPDATE ON gym_memberships
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    -- Existing single-gym assignments become active memberships
+    INSERT INTO gym_memberships (gym_id, user_id, role, status, start_date)
+    SELECT u.gym_id, u.id,
+           CASE u.role WHEN 'trainer' THEN 'trainer' WHEN 'client' THEN 'member' ELSE 'staff' END,
+           'active', u.created_at::date
+    FROM users u
+    JOIN gyms g ON g.id = u.gym_id
+    ON CONFLICT DO NOTHING;
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS gym_memberships;
+  `
+};
@@ -0,0 +1,33 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS service_clients (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      client_id VARCHAR(100) UNIQUE NOT NULL CHECK (client_id ~ '^[a-z][a-z0-9-]*$'),
+      name VARCHAR(255) NOT NULL,
+      secret_hash VARCHAR(255) NOT NULL,
+      scopes TEXT[] NOT NULL DEFAULT '{}',
+      is_active BOOLEAN DEFAULT true,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      secret_rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TRIGGER update_service_clients_updated_at BEFORE UPDATE ON service_clients
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    INSERT INTO permissions (name, description) VALUES
+      ('service_clients:manage', 'Register service clients, change their scopes and rotate their secrets')
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO role_permissions (role, permission) VALUES
+      ('admin', 'service_clients:manage')
+    ON CONFLICT DO NOTHING;
+  `,
+
+  down: `
+    DELETE FROM permissions WHERE name = 'service_clients:manage';
+    DROP TABLE IF EXISTS service_clients;
+  `
+};
@@ -0,0 +1,20 @@
+module.exports = {
+  up: `
+    ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS impersonator_id UUID REFERENCES users(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_audit_logs_impersonator_id ON audit_logs(impersonator_id);
+
+    INSERT INTO permissions (name, description) VALUES
+      ('users:impersonate', 'Act as another user with a short-lived, non-refreshable token')
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO role_permissions (role, permission) VALUES
+      ('admin', 'users:impersonate')
+    ON CONFLICT DO NOTHING;
+  `,
+
+  down: `
+    DELETE FROM permissions WHERE name = 'users:impersonate';
+    DROP INDEX IF EXISTS idx_audit_logs_impersonator_id;
+    ALTER TABLE audit_logs DROP COLUMN IF EXISTS impersonator_id;
+  `
+};
@@ -0,0 +1,39 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS data_exports (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+      archive JSONB,
+      error TEXT,
+      started_at TIMESTAMP,
+      completed_at TIMESTAMP,
+      expires_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- At most one export in progress per user
+    CREATE UNIQUE INDEX idx_data_exports_in_progress ON data_exports(user_id)
+      WHERE status IN ('pending', 'running');
+    CREATE INDEX idx_data_exports_user ON data_exports(user_id, created_at);
+
+    CREATE TRIGGER update_data_exports_updated_at BEFORE UPDATE ON data_exports
+      FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+    INSERT INTO permissions (name, description) VALUES
+      ('users:export', 'Export everything the user service holds about any user')
+    ON CONFLICT (name) DO NOTHING;
+
+    INSERT INTO role_permissions (role, permission) VALUES
+      ('admin', 'users:export')
+    ON CONFLICT DO NOTHING;
+  `,
+
+  down: `
+    DELETE FROM permissions WHERE name = 'users:export';
+    DROP TABLE IF EXISTS data_exports;
+  `
+};
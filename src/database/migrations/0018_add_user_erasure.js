@@ -0,0 +1,19 @@
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS erasure_scheduled_at TIMESTAMP;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS erasure_requested_by UUID REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS erasure_cancel_token_hash VARCHAR(64) UNIQUE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS erased_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_users_erasure_scheduled_at ON users(erasure_scheduled_at)
+      WHERE erasure_scheduled_at IS NOT NULL;
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_users_erasure_scheduled_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS erased_at;
+    ALTER TABLE users DROP COLUMN IF EXISTS erasure_cancel_token_hash;
+    ALTER TABLE users DROP COLUMN IF EXISTS erasure_requested_by;
+    ALTER TABLE users DROP COLUMN IF EXISTS erasure_scheduled_at;
+  `
+};
@@ -0,0 +1,11 @@
+module.exports = {
+  up: `
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_key VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_image_variants JSONB;
+  `,
+
+  down: `
+    ALTER TABLE users DROP COLUMN IF EXISTS profile_image_variants;
+    ALTER TABLE users DROP COLUMN IF EXISTS avatar_key;
+  `
+};
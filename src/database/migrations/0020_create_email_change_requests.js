@@ -0,0 +1,24 @@
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS email_change_requests (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      old_email VARCHAR(255) NOT NULL,
+      new_email VARCHAR(255) NOT NULL,
+      confirm_token_hash VARCHAR(64) UNIQUE NOT NULL,
+      cancel_token_hash VARCHAR(64) UNIQUE NOT NULL,
+      revoke_sessions BOOLEAN NOT NULL DEFAULT false,
+      ip_address VARCHAR(45),
+      expires_at TIMESTAMP NOT NULL,
+      confirmed_at TIMESTAMP,
+      cancelled_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX idx_email_change_requests_user_id ON email_change_requests(user_id);
+  `,
+
+  down: `
+    DROP TABLE IF EXISTS email_change_requests;
+  `
+};
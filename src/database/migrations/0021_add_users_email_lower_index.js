@@ -0,0 +1,9 @@
+module.exports = {
+  up: `
+    CREATE INDEX idx_users_email_lower ON users(LOWER(email));
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_users_email_lower;
+  `
+};
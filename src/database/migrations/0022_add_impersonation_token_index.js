@@ -0,0 +1,11 @@
+module.exports = {
+  up: `
+    CREATE INDEX idx_audit_logs_impersonation_ended_token
+      ON audit_logs ((new_values->>'token_id'))
+      WHERE action = 'impersonation_ended';
+  `,
+
+  down: `
+    DROP INDEX IF EXISTS idx_audit_logs_impersonation_ended_token;
+  `
+};
@@ -0,0 +1,9 @@
+module.exports = {
+  up: `
+    UPDATE client_profiles SET emergency_contact = NULL WHERE emergency_contact = 'null'::jsonb;
+  `,
+
+  down: `
+    -- Cleared contacts were empty already; nothing to restore
+  `
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Shared by every replica so only one of them migrates at a time
+const MIGRATION_LOCK_KEY = 72657301;
+
+/**
+ * Load migration files (`0001_name.js` exporting `up` and `down` SQL) in version order
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(MIGRATION_FILE_PATTERN);
+      const filePath = path.join(dir, file);
+      const { up, down } = require(filePath);
+
+      if (!up) {
+        throw new Error(`Migration ${file} has no up step`);
+      }
+
+      return {
+        version: parseInt(version),
+        name,
+        file,
+        up,
+        down,
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migrations[i - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the tracking table, upgrading the original name-only layout.
+ * Rows recorded before versioning are matched to their files by name.
+ */
+async function ensureMigrationsTable(client, migrations) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS migrations (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) UNIQUE NOT NULL,
+      executed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    ALTER TABLE migrations ADD COLUMN IF NOT EXISTS version INTEGER UNIQUE;
+    ALTER TABLE migrations ADD COLUMN IF NOT EXISTS checksum VARCHAR(64);
+  `);
+
+  for (const migration of migrations) {
+    await client.query(
+      'UPDATE migrations SET version = $1, checksum = $2 WHERE name = $3 AND version IS NULL',
+      [migration.version, migration.checksum, migration.name]
+    );
+  }
+}
+
+/**
+ * Compare migration files with the tracking table.
+ * Each entry has a state of `applied`, `pending`, `modified` (file changed
+ * after it was applied) or `missing` (applied but the file is gone).
+ */
+async function getStatus(client, migrations) {
+  const { rows } = await client.query(
+    'SELECT version, name, checksum, executed_at FROM migrations ORDER BY version'
+  );
+  const applied = new Map(rows.map(row => [row.version, row]));
+
+  const status = migrations.map((migration) => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+
+    if (!row) {
+      return { version: migration.version, name: migration.name, state: 'pending', applied_at: null };
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: row.checksum === migration.checksum ? 'applied' : 'modified',
+      applied_at: row.executed_at
+    };
+  });
+
+  for (const row of applied.values()) {
+    status.push({ version: row.version, name: row.name, state: 'missing', applied_at: row.executed_at });
+  }
+
+  return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Run one migration step and update the tracking table in a transaction
+ */
+async function runStep(client, migration, direction) {
+  logger.info(`Migrating ${direction}: ${migration.file}`);
+
+  try {
+    await client.query('BEGIN');
+    await client.query(migration[direction]);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    } else {
+      await client.query('DELETE FROM migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.file} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations, optionally only up to version `to`.
+ * Refuses to run if an applied migration was edited.
+ */
+async function migrateUp(client, migrations, { to } = {}) {
+  const status = await getStatus(client, migrations);
+
+  const modified = status.filter(entry => entry.state === 'modified');
+  if (modified.length > 0) {
+    throw new Error(
+      `Applied migrations were modified: ${modified.map(entry => `${entry.version}_${entry.name}`).join(', ')}`
+    );
+  }
+
+  status
+    .filter(entry => entry.state === 'missing')
+    .forEach(entry => logger.warn(`Applied migration has no file: ${entry.version}_${entry.name}`));
+
+  const pendingVersions = new Set(
+    status.filter(entry => entry.state === 'pending').map(entry => entry.version)
+  );
+  const pending = migrations.filter(migration =>
+    pendingVersions.has(migration.version) && (to === undefined || migration.version <= to)
+  );
+
+  for (const migration of pending) {
+    await runStep(client, migration, 'up');
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back applied migrations newer than version `to`
+ * (only the latest one when `to` is not given)
+ */
+async function migrateDown(client, migrations, { to } = {}) {
+  const status = await getStatus(client, migrations);
+  const applied = status.filter(entry => entry.state !== 'pending').reverse();
+  const targets = to === undefined ? applied.slice(0, 1) : applied.filter(entry => entry.version > to);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  const rolledBack = [];
+
+  for (const entry of targets) {
+    const migration = byVersion.get(entry.version);
+
+    if (!migration || !migration.down) {
+      throw new Error(`Migration ${entry.version}_${entry.name} cannot be rolled back (no down step)`);
+    }
+
+    await runStep(client, migration, 'down');
+    rolledBack.push(migration);
+  }
+
+  return rolledBack;
+}
+
+/**
+ * Write a new, empty migration file with the next version number
+ */
+function createMigration(name, dir = MIGRATIONS_DIR) {
+  const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+  if (!slug) {
+    throw new Error('A migration name is required');
+  }
+
+  const versions = fs.readdirSync(dir)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]));
+  const version = versions.length > 0 ? Math.max(...versions) + 1 : 1;
+
+  const file = `${String(version).padStart(4, '0')}_${slug}.js`;
+  const filePath = path.join(dir, file);
+
+  fs.writeFileSync(filePath, 'module.exports = {\n  up: `\n  `,\n\n  down: `\n  `\n};\n', { flag: 'wx' });
+
+  return filePath;
+}
+
+/**
+ * Run `fn` with a dedicated connection holding the migration advisory lock
+ */
+async function withMigrationLock(fn, migrations = loadMigrations()) {
+  const client = await db.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    try {
+      await ensureMigrationsTable(client, migrations);
+      return await fn(client, migrations);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply all pending migrations (used on startup)
+ */
+async function runMigrations() {
+  const applied = await withMigrationLock((client, migrations) => migrateUp(client, migrations));
+  logger.info(`Migrations up to date (${applied.length} applied)`);
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  ensureMigrationsTable,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  withMigrationLock,
+  runMigrations
+};
@@ -2,6 +2,8 @@ const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const logger = require('../config/logger');
+const { ensureRoleProfile } = require('../utils/profiles');
+const { defaultGymRole } = require('../utils/memberships');
 
 const seedUsers = async () => {
   const client = await db.connect();
@@ -163,12 +165,22 @@ const seedUsers = async () => {
     let insertedCount = 0;
     for (const user of users) {
       try {
-        await client.query(
+        const result = await client.query(
           `INSERT INTO users (email, password_hash, role, first_name, last_name, phone, gym_id, date_of_birth)
-           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id`,
           [user.email, user.password_hash, user.role, user.first_name, user.last_name,
            user.phone, user.gym_id, user.date_of_birth]
         );
+        await ensureRoleProfile(result.rows[0].id, user.role, client);
+
+        if (user.gym_id) {
+          await client.query(
+            `INSERT INTO gym_memberships (gym_id, user_id, role, status, start_date)
+             VALUES ($1, $2, $3, 'active', CURRENT_DATE)`,
+            [user.gym_id, result.rows[0].id, defaultGymRole(user.role)]
+          );
+        }
         insertedCount++;
       } catch (error) {
         logger.warn(`User ${user.email} already exists, skipping`);
@@ -5,9 +5,21 @@ const helmet = require('helmet');
 const logger = require('./config/logger');
 const { connectRedis } = require('./config/redis');
 const { runMigrations } = require('./database/migrate');
+const { assertProductionConfig } = require('./config/security');
+const { getSigningKey, getJwks } = require('./config/signingKeys');
+const { resumeExports, purgeExpiredExports, EXPORT_PURGE_INTERVAL } = require('./utils/dataExport');
+const { eraseDueUsers, ERASURE_CHECK_INTERVAL } = require('./utils/erasure');
+const { recordExpiredImpersonations, IMPERSONATION_SWEEP_INTERVAL } = require('./utils/impersonation');
+const { getStorage } = require('./utils/storage');
 
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const settingsRoutes = require('./routes/settings');
+const auditLogRoutes = require('./routes/auditLogs');
+const gymRoutes = require('./routes/gyms');
+const roleRoutes = require('./routes/roles');
+const trainerClientRoutes = require('./routes/trainerClients');
+const serviceClientRoutes = require('./routes/serviceClients');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -36,9 +48,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for verifying access tokens; downstream services cache them and refetch on an unknown kid
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+// Avatars kept by the local storage driver; file names change on every upload, so they can be cached forever
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(getStorage().root, {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
+app.use('/api/gyms', gymRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/trainer-clients', trainerClientRoutes);
+app.use('/api/service-clients', serviceClientRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -68,13 +101,39 @@ app.use((err, req, res, next) => {
 // Start server
 async function startServer() {
   try {
+    // Refuse default secrets in production and fail fast on unreadable signing keys
+    assertProductionConfig();
+    getSigningKey();
+
     // Connect to Redis
     await connectRedis();
     logger.info('Redis connection established');
 
-    // Run database migrations
-    await runMigrations();
-    logger.info('Database migrations completed');
+    // Run database migrations (replicas can skip this and migrate via the CLI instead)
+    if (process.env.SKIP_MIGRATIONS === 'true') {
+      logger.info('Skipping database migrations (SKIP_MIGRATIONS=true)');
+    } else {
+      await runMigrations();
+      logger.info('Database migrations completed');
+    }
+
+    // Finish data exports interrupted by the last shutdown, without delaying startup
+    resumeExports().catch(error => logger.error('Failed to resume data exports:', error));
+
+    // Delete export archives once their retention period is over
+    const purgeExports = () => purgeExpiredExports().catch(error => logger.error('Failed to purge data exports:', error));
+    purgeExports();
+    setInterval(purgeExports, EXPORT_PURGE_INTERVAL).unref();
+
+    // Erase accounts whose grace period has ended
+    setInterval(() => {
+      eraseDueUsers().catch(error => logger.error('Failed to run scheduled erasures:', error));
+    }, ERASURE_CHECK_INTERVAL).unref();
+
+    // Close the audit trail of impersonation tokens that expired without a logout
+    setInterval(() => {
+      recordExpiredImpersonations().catch(error => logger.error('Failed to record expired impersonations:', error));
+    }, IMPERSONATION_SWEEP_INTERVAL).unref();
 
     app.listen(PORT, () => {
       logger.info(`User Service running on port ${PORT}`);
@@ -1,8 +1,56 @@
-const { verifyAccessToken } = require('../utils/jwt');
+const crypto = require('crypto');
+const { verifyAccessToken, verifyServiceToken, isAccessTokenRevoked } = require('../utils/jwt');
+const { getRolePermissions } = require('../utils/permissions');
+const { getActiveGymIds } = require('../utils/memberships');
+const { hasPermission } = require('../policies/permissionPolicy');
 const logger = require('../config/logger');
 
+/**
+ * Verify a bearer token as a user's access token, falling back to a service token
+ */
+function verifyBearerToken(token) {
+  try {
+    return { user: verifyAccessToken(token) };
+  } catch (error) {
+    return { client: verifyServiceToken(token) };
+  }
+}
+
+/**
+ * Admit a service client on routes that allow them and expose it as `req.client`
+ */
+function authenticateServiceClient(req, res, next, claims) {
+  const scopes = claims.scope ? claims.scope.split(' ') : [];
+
+  if (!req.serviceScopes) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'FORBIDDEN',
+        message: 'This endpoint is not available to service clients',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  if (!req.serviceScopes.every(scope => scopes.includes(scope))) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'INSUFFICIENT_SCOPE',
+        message: `Requires scope: ${req.serviceScopes.join(' ')}`,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  req.client = { id: claims.client_id, scopes };
+  next();
+}
+
 /**
  * Authenticate JWT token middleware
+ * Accepts users' access tokens and, on routes marked with allowServiceClients, service tokens.
  */
 const authenticate = async (req, res, next) => {
   try {
@@ -21,10 +69,10 @@ const authenticate = async (req, res, next) => {
 
     const token = authHeader.substring(7);
 
+    let verified;
+
     try {
-      const decoded = verifyAccessToken(token);
-      req.user = decoded;
-      next();
+      verified = verifyBearerToken(token);
     } catch (error) {
       return res.status(401).json({
         success: false,
@@ -35,6 +83,36 @@ const authenticate = async (req, res, next) => {
         }
       });
     }
+
+    if (await isAccessTokenRevoked(verified.user || verified.client)) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'TOKEN_REVOKED',
+          message: 'Token has been revoked',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (verified.client) {
+      return authenticateServiceClient(req, res, next, verified.client);
+    }
+
+    const decoded = verified.user;
+
+    // Tokens issued before permissions and memberships were embedded fall back to a lookup
+    if (!Array.isArray(decoded.permissions)) {
+      decoded.permissions = await getRolePermissions(decoded.role);
+    }
+
+    if (!Array.isArray(decoded.gym_ids)) {
+      decoded.gym_ids = await getActiveGymIds(decoded.id);
+      decoded.gym_id = decoded.gym_ids[0] || null;
+    }
+
+    req.user = decoded;
+    next();
   } catch (error) {
     logger.error('Authentication error:', error);
     return res.status(500).json({
@@ -48,6 +126,17 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Let service clients holding every listed scope call a route.
+ * Must come before authenticate; users are still admitted as usual.
+ */
+const allowServiceClients = (...scopes) => {
+  return (req, res, next) => {
+    req.serviceScopes = scopes;
+    next();
+  };
+};
+
 /**
  * Authorize based on roles
  */
@@ -79,6 +168,86 @@ const authorize = (...allowedRoles) => {
   };
 };
 
+/**
+ * Authorize based on permissions; the user must hold every listed permission
+ */
+const requirePermission = (...requiredPermissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!requiredPermissions.every(permission => hasPermission(req.user, permission))) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Insufficient permissions',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Refuse impersonation tokens on sensitive routes (password, MFA, sessions).
+ * Must come after authenticate.
+ */
+const denyImpersonation = (req, res, next) => {
+  if (req.user && req.user.act) {
+    return res.status(403).json({
+      success: false,
+      error: {
+        code: 'IMPERSONATION_FORBIDDEN',
+        message: 'This action is not available while impersonating a user',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+};
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Require one of the comma-separated INTERNAL_API_KEYS in the X-Internal-Api-Key header.
+ * With no keys configured every request is refused.
+ */
+const requireInternalApiKey = (req, res, next) => {
+  const presented = req.get('x-internal-api-key');
+  const keys = (process.env.INTERNAL_API_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+
+  if (!presented || !keys.some(key => safeEqual(key, presented))) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        code: 'UNAUTHORIZED',
+        message: 'A valid internal API key is required',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -106,6 +275,10 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  allowServiceClients,
   authorize,
+  requirePermission,
+  denyImpersonation,
+  requireInternalApiKey,
   optionalAuth
 };
@@ -0,0 +1,102 @@
+const rateLimit = require('express-rate-limit');
+const { redisClient } = require('../config/redis');
+const logger = require('../config/logger');
+
+/**
+ * Redis store for express-rate-limit so limits are shared across instances
+ */
+class RedisRateLimitStore {
+  constructor(prefix) {
+    this.prefix = `rate_limit:${prefix}:`;
+  }
+
+  init(options) {
+    this.windowSeconds = Math.ceil(options.windowMs / 1000);
+  }
+
+  async increment(key) {
+    const redisKey = this.prefix + key;
+    const totalHits = await redisClient.incr(redisKey);
+
+    if (totalHits === 1) {
+      await redisClient.expire(redisKey, this.windowSeconds);
+    }
+
+    const ttl = await redisClient.ttl(redisKey);
+    const resetTime = new Date(Date.now() + (ttl > 0 ? ttl : this.windowSeconds) * 1000);
+
+    return { totalHits, resetTime };
+  }
+
+  async decrement(key) {
+    await redisClient.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await redisClient.del(this.prefix + key);
+  }
+}
+
+/**
+ * Build a Redis-backed limiter returning the standard error response
+ */
+function createLimiter({ name, windowMs, max, keyGenerator }) {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store: new RedisRateLimitStore(name),
+    // Do not lock everyone out if Redis is unavailable
+    passOnStoreError: true,
+    ...(keyGenerator && { keyGenerator }),
+    handler: (req, res, next, options) => {
+      const retryAfter = Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000);
+
+      logger.warn(`Rate limit exceeded (${name}): ${req.ip}`);
+
+      res.set('Retry-After', String(Math.max(retryAfter, 1)));
+      res.status(options.statusCode).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_REQUESTS',
+          message: 'Too many requests, please try again later',
+          retry_after: Math.max(retryAfter, 1),
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+}
+
+const WINDOW_MS = parseInt(process.env.AUTH_RATE_LIMIT_WINDOW || '900') * 1000;
+
+// Login attempts per IP
+const loginIpLimiter = createLimiter({
+  name: 'login_ip',
+  windowMs: WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_IP || '30')
+});
+
+// Login attempts per email, whichever IP they come from
+const loginEmailLimiter = createLimiter({
+  name: 'login_email',
+  windowMs: WINDOW_MS,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_EMAIL || '10'),
+  keyGenerator: (req) => String((req.body && req.body.email) || '').trim().toLowerCase() || req.ip
+});
+
+// Other unauthenticated auth endpoints (register, password reset, MFA)
+const authLimiter = createLimiter({
+  name: 'auth',
+  windowMs: WINDOW_MS,
+  max: parseInt(process.env.AUTH_RATE_LIMIT || '50')
+});
+
+module.exports = {
+  RedisRateLimitStore,
+  createLimiter,
+  loginIpLimiter,
+  loginEmailLimiter,
+  authLimiter
+};
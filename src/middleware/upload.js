@@ -0,0 +1,55 @@
+const multer = require('multer');
+const { AVATAR_MAX_BYTES, AVATAR_TYPES } = require('../utils/avatars');
+
+const avatarParser = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES, files: 1, fields: 0 },
+  fileFilter: (req, file, cb) => cb(null, AVATAR_TYPES.includes(file.mimetype))
+}).single('avatar');
+
+/**
+ * Accept one image in the multipart field `avatar` as `req.file`.
+ * The declared type is checked here; the content is checked when it is decoded.
+ */
+const avatarUpload = (req, res, next) => {
+  avatarParser(req, res, (error) => {
+    if (error && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'FILE_TOO_LARGE',
+          message: `Images must be at most ${AVATAR_MAX_BYTES} bytes`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_UPLOAD',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FILE',
+          message: `Send one ${AVATAR_TYPES.join(', ')} image in the "avatar" field`,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    next();
+  });
+};
+
+module.exports = {
+  avatarUpload
+};
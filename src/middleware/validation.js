@@ -32,6 +32,45 @@ const validate = (schema) => {
   };
 };
 
+/**
+ * Validate query string against Joi schema
+ */
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid query parameters',
+          details: errors,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    req.validatedQuery = value;
+    next();
+  };
+};
+
+// Roles live in the roles table; existence is checked by the controllers
+const roleName = Joi.string().pattern(/^[a-z][a-z0-9_]*$/).max(50);
+const permissionName = Joi.string().pattern(/^[a-z_]+(:[a-z_]+)+$/).max(100);
+const serviceClientId = Joi.string().pattern(/^[a-z][a-z0-9-]*$/).max(100);
+// Scopes that internal endpoints accept from service clients (see allowServiceClients)
+const serviceScope = Joi.string().valid('users:read', 'users:role_info');
+
 /**
  * Validation schemas
  */
@@ -39,7 +78,7 @@ const schemas = {
   register: Joi.object({
     email: Joi.string().email().required(),
     password: Joi.string().min(8).required(),
-    role: Joi.string().valid('admin', 'trainer', 'client', 'gym_owner').required(),
+    role: roleName.required(),
     first_name: Joi.string().required(),
     last_name: Joi.string().required(),
     phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).optional(),
@@ -56,6 +95,54 @@ const schemas = {
     refresh_token: Joi.string().required()
   }),
 
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  resendVerification: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().required(),
+    new_password: Joi.string().min(8).required()
+  }),
+
+  cancelErasure: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  requestEmailChange: Joi.object({
+    new_email: Joi.string().email().required(),
+    password: Joi.string().optional(),
+    revoke_sessions: Joi.boolean().default(false)
+  }),
+
+  emailChangeToken: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  mfaCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  mfaVerify: Joi.object({
+    mfa_token: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recovery_code: Joi.string()
+  }).xor('code', 'recovery_code'),
+
+  emailVerificationSettings: Joi.object({
+    required_roles: Joi.array()
+      .items(roleName)
+      .unique()
+      .required()
+  }),
+
   updateProfile: Joi.object({
     first_name: Joi.string().optional(),
     last_name: Joi.string().optional(),
@@ -67,8 +154,7 @@ const schemas = {
       state: Joi.string().optional(),
       postal_code: Joi.string().optional(),
       country: Joi.string().optional()
-    }).optional(),
-    profile_image_url: Joi.string().uri().optional()
+    }).optional()
   }),
 
   changePassword: Joi.object({
@@ -77,9 +163,58 @@ const schemas = {
   }),
 
   updateRole: Joi.object({
-    role: Joi.string().valid('admin', 'trainer', 'client', 'gym_owner').required()
+    role: roleName.required()
+  }),
+
+  // Why an admin deactivated, reactivated or restored an account
+  accountStatusChange: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
+  }),
+
+  // Deactivation predates reasons, so one is optional and may also come as ?reason=
+  deleteUser: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).optional()
+  }),
+
+  closeAccount: Joi.object({
+    password: Joi.string().optional(),
+    reason: Joi.string().trim().max(500).optional()
+  }),
+
+  deleteUserQuery: Joi.object({
+    mode: Joi.string().valid('deactivate', 'erase').default('deactivate'),
+    reason: Joi.string().trim().min(3).max(500).optional()
+  }),
+
+  impersonateUser: Joi.object({
+    reason: Joi.string().trim().min(3).max(500).required()
   }),
 
+  createRole: Joi.object({
+    name: roleName.required(),
+    description: Joi.string().max(500).optional(),
+    self_register: Joi.boolean().default(false),
+    permissions: Joi.array().items(permissionName).unique().default([])
+  }),
+
+  updateRoleDetails: Joi.object({
+    description: Joi.string().max(500).allow(null),
+    self_register: Joi.boolean(),
+    // Replaces the role's permission set
+    permissions: Joi.array().items(permissionName).unique()
+  }).min(1),
+
+  createServiceClient: Joi.object({
+    client_id: serviceClientId.required(),
+    name: Joi.string().max(255).required(),
+    scopes: Joi.array().items(serviceScope).unique().min(1).required()
+  }),
+
+  updateServiceClient: Joi.object({
+    name: Joi.string().max(255),
+    scopes: Joi.array().items(serviceScope).unique().min(1)
+  }).min(1),
+
   createGym: Joi.object({
     name: Joi.string().required(),
     description: Joi.string().optional(),
@@ -94,11 +229,111 @@ const schemas = {
     email: Joi.string().email().optional(),
     website: Joi.string().uri().optional(),
     opening_hours: Joi.object().optional(),
+    amenities: Joi.array().items(Joi.string()).optional(),
+    // Admins may create a gym on behalf of a gym owner
+    owner_id: Joi.string().uuid().optional()
+  }),
+
+  updateGym: Joi.object({
+    name: Joi.string().optional(),
+    description: Joi.string().allow('', null).optional(),
+    address: Joi.object({
+      street: Joi.string().required(),
+      city: Joi.string().required(),
+      state: Joi.string().required(),
+      postal_code: Joi.string().required(),
+      country: Joi.string().required()
+    }).optional(),
+    phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).allow(null).optional(),
+    email: Joi.string().email().allow(null).optional(),
+    website: Joi.string().uri().allow(null).optional(),
+    opening_hours: Joi.object().allow(null).optional(),
     amenities: Joi.array().items(Joi.string()).optional()
+  }).min(1),
+
+  updateTrainerProfile: Joi.object({
+    certifications: Joi.array().items(Joi.object({
+      name: Joi.string().max(255).required(),
+      issuer: Joi.string().max(255).optional(),
+      year: Joi.number().integer().min(1950).max(new Date().getFullYear()).optional(),
+      expires_at: Joi.date().iso().optional()
+    })).max(50).optional(),
+    specializations: Joi.array().items(Joi.string().max(100)).max(50).optional(),
+    years_experience: Joi.number().integer().min(0).max(80).optional(),
+    bio: Joi.string().max(2000).allow('', null).optional()
+  }).min(1),
+
+  updateClientProfile: Joi.object({
+    emergency_contact: Joi.object({
+      name: Joi.string().max(255).required(),
+      phone: Joi.string().pattern(/^\+?[1-9]\d{1,14}$/).required(),
+      relationship: Joi.string().max(100).optional()
+    }).allow(null).optional(),
+    fitness_level: Joi.string().valid('beginner', 'intermediate', 'advanced').allow(null).optional(),
+    goals: Joi.array().items(Joi.string().max(255)).max(20).optional()
+  }).min(1),
+
+  auditLogQuery: Joi.object({
+    actor_id: Joi.string().uuid().optional(),
+    impersonator_id: Joi.string().uuid().optional(),
+    action: Joi.string().max(100).optional(),
+    resource_type: Joi.string().max(50).optional(),
+    resource_id: Joi.string().uuid().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
+  }),
+
+  inviteClient: Joi.object({
+    client_id: Joi.string().uuid().required()
+  }),
+
+  trainerClientQuery: Joi.object({
+    status: Joi.string().valid('pending', 'active', 'declined', 'ended').optional()
+  }),
+
+  joinGym: Joi.object({
+    role: Joi.string().valid('member', 'trainer', 'staff').optional()
+  }),
+
+  approveMembership: Joi.object({
+    start_date: Joi.date().iso().optional(),
+    end_date: Joi.date().iso().optional().when('start_date', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('start_date'))
+    })
+  }),
+
+  membershipQuery: Joi.object({
+    status: Joi.string().valid('pending', 'active', 'suspended', 'ended').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(50)
   })
 };
 
+/**
+ * Route param handler (`router.param`) for ids. Every resource is keyed by UUID,
+ * so anything else cannot exist and is answered with 404 before it reaches the database.
+ */
+const uuidParam = (req, res, next, value) => {
+  if (Joi.string().guid().validate(value).error) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'NOT_FOUND',
+        message: 'Resource not found',
+        timestamp: new Date().toISOString()
+      }
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validate,
+  validateQuery,
+  uuidParam,
   schemas
 };
@@ -0,0 +1,17 @@
+const { hasPermission } = require('./permissionPolicy');
+
+// Membership rows that currently grant access: active and within their dates
+const CURRENT_MEMBERSHIP = "status = 'active' AND (start_date IS NULL OR start_date <= CURRENT_DATE)"
+  + ' AND (end_date IS NULL OR end_date >= CURRENT_DATE)';
+
+/**
+ * gyms:manage:all covers every gym; everyone else only the gyms they own
+ */
+function canManageGym(user, gym) {
+  return hasPermission(user, 'gyms:manage:all') || gym.owner_id === user.id;
+}
+
+module.exports = {
+  CURRENT_MEMBERSHIP,
+  canManageGym
+};
@@ -0,0 +1,11 @@
+/**
+ * Check whether an authenticated user holds a permission.
+ * Permissions come from the access token (see middleware/auth.js).
+ */
+function hasPermission(user, permission) {
+  return Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+module.exports = {
+  hasPermission
+};
@@ -0,0 +1,89 @@
+const { hasPermission } = require('./permissionPolicy');
+const { CURRENT_MEMBERSHIP } = require('./gymPolicy');
+
+/**
+ * Visibility rules for user records. "Their gyms" are the gyms of the
+ * viewer's current memberships (`gym_ids` in the access token).
+ *
+ * - users:read:all: every user
+ * - users:read:gym, by role:
+ *   - gym_owner: themselves and members (in any status) of the gyms they own
+ *   - trainer: themselves, clients in their gyms and their assigned clients
+ *   - client: themselves, the trainers in their gyms and their assigned trainers
+ *   - any other role: themselves and members of their gyms
+ * - anyone else: only themselves
+ */
+
+/**
+ * Build a SQL condition limiting which rows of `users` the viewer may see.
+ * Placeholders are numbered from `firstParam` so the condition can be
+ * appended to an existing WHERE clause. Returns null for unrestricted access.
+ */
+function userVisibilityScope(viewer, firstParam = 1) {
+  const self = `$${firstParam}`;
+  const gyms = `$${firstParam + 1}`;
+  const gymIds = viewer.gym_ids || [];
+  const inViewerGyms = `id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY(${gyms}) AND ${CURRENT_MEMBERSHIP})`;
+
+  if (hasPermission(viewer, 'users:read:all')) {
+    return null;
+  }
+
+  if (hasPermission(viewer, 'users:read:gym')) {
+    switch (viewer.role) {
+      case 'gym_owner':
+        return {
+          condition: `(id = ${self} OR id IN (SELECT user_id FROM gym_memberships WHERE gym_id IN (SELECT id FROM gyms WHERE owner_id = ${self})))`,
+          values: [viewer.id]
+        };
+
+      case 'trainer': {
+        const assigned = `id IN (SELECT client_id FROM trainer_clients WHERE trainer_id = ${self} AND status = 'active')`;
+
+        if (gymIds.length === 0) {
+          return {
+            condition: `(id = ${self} OR ${assigned})`,
+            values: [viewer.id]
+          };
+        }
+
+        return {
+          condition: `(id = ${self} OR (role = 'client' AND ${inViewerGyms}) OR ${assigned})`,
+          values: [viewer.id, gymIds]
+        };
+      }
+
+      case 'client': {
+        const assigned = `id IN (SELECT trainer_id FROM trainer_clients WHERE client_id = ${self} AND status = 'active')`;
+
+        if (gymIds.length === 0) {
+          return {
+            condition: `(id = ${self} OR ${assigned})`,
+            values: [viewer.id]
+          };
+        }
+
+        return {
+          condition: `(id = ${self} OR (role = 'trainer' AND ${inViewerGyms}) OR ${assigned})`,
+          values: [viewer.id, gymIds]
+        };
+      }
+
+      default:
+        if (gymIds.length === 0) break;
+        return {
+          condition: `(id = ${self} OR ${inViewerGyms})`,
+          values: [viewer.id, gymIds]
+        };
+    }
+  }
+
+  return {
+    condition: `id = ${self}`,
+    values: [viewer.id]
+  };
+}
+
+module.exports = {
+  userVisibilityScope
+};
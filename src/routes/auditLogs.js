@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validateQuery, schemas } = require('../middleware/validation');
+
+// Admin routes
+router.get('/', authenticate, requirePermission('audit_logs:read'), validateQuery(schemas.auditLogQuery), auditController.listAuditLogs);
+
+module.exports = router;
@@ -1,17 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticate } = require('../middleware/auth');
+const mfaController = require('../controllers/mfaController');
+const tokenController = require('../controllers/tokenController');
+const emailChangeController = require('../controllers/emailChangeController');
+const { authenticate, denyImpersonation, requireInternalApiKey } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
+const { loginIpLimiter, loginEmailLimiter, authLimiter } = require('../middleware/rateLimit');
 
 // Public routes
-router.post('/register', validate(schemas.register), authController.register);
-router.post('/login', validate(schemas.login), authController.login);
+router.post('/register', authLimiter, validate(schemas.register), authController.register);
+router.post('/login', loginIpLimiter, loginEmailLimiter, validate(schemas.login), authController.login);
 router.post('/refresh', validate(schemas.refreshToken), authController.refresh);
-router.post('/oauth/google', authController.oauthCallback);
-router.post('/oauth/github', authController.oauthCallback);
+router.post('/verify-email', authLimiter, validate(schemas.verifyEmail), authController.verifyEmail);
+router.post('/resend-verification', authLimiter, validate(schemas.resendVerification), authController.resendVerification);
+router.post('/forgot-password', authLimiter, validate(schemas.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', authLimiter, validate(schemas.resetPassword), authController.resetPassword);
+router.post('/cancel-erasure', authLimiter, validate(schemas.cancelErasure), authController.cancelErasure);
+router.post('/email-change/confirm', authLimiter, validate(schemas.emailChangeToken), emailChangeController.confirmEmailChange);
+router.post('/email-change/cancel', authLimiter, validate(schemas.emailChangeToken), emailChangeController.cancelEmailChange);
+router.post('/mfa/verify', authLimiter, validate(schemas.mfaVerify), mfaController.verify);
+// OAuth 2.0 token endpoint for service clients (client_credentials grant)
+router.post('/token', authLimiter, tokenController.issueToken);
+router.get('/oauth/:provider', authController.oauthStart);
+router.post('/oauth/:provider', authController.oauthCallback);
+
+// Introspection and revocation for other FitSync services
+router.post('/introspect', requireInternalApiKey, tokenController.introspect);
+router.post('/revoke', requireInternalApiKey, tokenController.revoke);
 
 // Protected routes
 router.post('/logout', authenticate, authController.logout);
+router.post('/mfa/setup', authenticate, denyImpersonation, mfaController.setup);
+router.post('/mfa/confirm', authenticate, denyImpersonation, validate(schemas.mfaCode), mfaController.confirm);
+router.post('/mfa/disable', authenticate, denyImpersonation, validate(schemas.mfaCode), mfaController.disable);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const gymController = require('../controllers/gymController');
+const userController = require('../controllers/userController');
+const membershipController = require('../controllers/membershipController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, validateQuery, uuidParam, schemas } = require('../middleware/validation');
+
+// Ids are UUIDs; anything else is a 404
+router.param('id', uuidParam);
+router.param('membershipId', uuidParam);
+
+router.get('/', authenticate, userController.listGyms);
+router.get('/:id', authenticate, gymController.getGym);
+
+// Holders of gyms:manage:all manage any gym; others only the gyms they own (checked in the controller)
+router.post('/', authenticate, requirePermission('gyms:write'), validate(schemas.createGym), gymController.createGym);
+router.put('/:id', authenticate, requirePermission('gyms:write'), validate(schemas.updateGym), gymController.updateGym);
+router.delete('/:id', authenticate, requirePermission('gyms:write'), gymController.deactivateGym);
+
+// Memberships: anyone may ask to join; managers approve, suspend and list; members may also leave
+router.post('/:id/memberships', authenticate, validate(schemas.joinGym), membershipController.joinGym);
+router.get('/:id/memberships', authenticate, requirePermission('gyms:write'), validateQuery(schemas.membershipQuery), membershipController.listMembers);
+router.post('/:id/memberships/:membershipId/approve', authenticate, requirePermission('gyms:write'), validate(schemas.approveMembership), membershipController.approveMembership);
+router.post('/:id/memberships/:membershipId/suspend', authenticate, requirePermission('gyms:write'), membershipController.suspendMembership);
+router.delete('/:id/memberships/:membershipId', authenticate, membershipController.endMembership);
+
+module.exports = router;
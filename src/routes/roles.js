@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/roleController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+router.use(authenticate, requirePermission('roles:manage'));
+
+router.get('/', roleController.listRoles);
+router.get('/permissions', roleController.listPermissions);
+router.post('/', validate(schemas.createRole), roleController.createRole);
+router.put('/:name', validate(schemas.updateRoleDetails), roleController.updateRole);
+router.delete('/:name', roleController.deleteRole);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const serviceClientController = require('../controllers/serviceClientController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, uuidParam, schemas } = require('../middleware/validation');
+
+// Ids are UUIDs; anything else is a 404
+router.param('id', uuidParam);
+
+router.use(authenticate, requirePermission('service_clients:manage'));
+
+router.get('/', serviceClientController.listServiceClients);
+router.post('/', validate(schemas.createServiceClient), serviceClientController.createServiceClient);
+router.put('/:id', validate(schemas.updateServiceClient), serviceClientController.updateServiceClient);
+router.post('/:id/rotate-secret', serviceClientController.rotateSecret);
+router.delete('/:id', serviceClientController.deactivateServiceClient);
+
+module.exports = router;
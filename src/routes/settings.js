@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const settingsController = require('../controllers/settingsController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { validate, schemas } = require('../middleware/validation');
+
+// Admin routes
+router.get('/email-verification', authenticate, requirePermission('settings:manage'), settingsController.getEmailVerificationSettings);
+router.put('/email-verification', authenticate, requirePermission('settings:manage'), validate(schemas.emailVerificationSettings), settingsController.updateEmailVerificationSettings);
+
+module.exports = router;
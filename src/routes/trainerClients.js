@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const trainerClientController = require('../controllers/trainerClientController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate, validateQuery, uuidParam, schemas } = require('../middleware/validation');
+
+// Ids are UUIDs; anything else is a 404
+router.param('id', uuidParam);
+
+// Trainers invite; clients accept or decline; either side lists or ends
+router.get('/', authenticate, authorize('trainer', 'client'), validateQuery(schemas.trainerClientQuery), trainerClientController.listAssignments);
+router.post('/', authenticate, authorize('trainer'), validate(schemas.inviteClient), trainerClientController.inviteClient);
+router.post('/:id/accept', authenticate, authorize('client'), trainerClientController.acceptInvitation);
+router.post('/:id/decline', authenticate, authorize('client'), trainerClientController.declineInvitation);
+router.delete('/:id', authenticate, authorize('trainer', 'client'), trainerClientController.endAssignment);
+
+module.exports = router;
@@ -1,22 +1,63 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticate, authorize } = require('../middleware/auth');
-const { validate, schemas } = require('../middleware/validation');
+const sessionController = require('../controllers/sessionController');
+const mfaController = require('../controllers/mfaController');
+const profileController = require('../controllers/profileController');
+const membershipController = require('../controllers/membershipController');
+const exportController = require('../controllers/exportController');
+const avatarController = require('../controllers/avatarController');
+const emailChangeController = require('../controllers/emailChangeController');
+const { authenticate, allowServiceClients, authorize, requirePermission, denyImpersonation } = require('../middleware/auth');
+const { validate, validateQuery, uuidParam, schemas } = require('../middleware/validation');
+const { avatarUpload } = require('../middleware/upload');
+
+// Ids are UUIDs; anything else is a 404
+router.param('id', uuidParam);
+router.param('sessionId', uuidParam);
+router.param('exportId', uuidParam);
 
 // Current user routes
 router.get('/me', authenticate, userController.getMe);
 router.put('/me', authenticate, validate(schemas.updateProfile), userController.updateMe);
+router.delete('/me', authenticate, denyImpersonation, validateQuery(schemas.deleteUserQuery), validate(schemas.closeAccount), userController.closeMyAccount);
+router.post('/me/avatar', authenticate, avatarUpload, avatarController.uploadAvatar);
+router.delete('/me/avatar', authenticate, avatarController.deleteAvatar);
+router.post('/me/email-change', authenticate, denyImpersonation, validate(schemas.requestEmailChange), emailChangeController.requestEmailChange);
+router.put('/me/password', authenticate, denyImpersonation, validate(schemas.changePassword), userController.changePassword);
+router.get('/me/sessions', authenticate, sessionController.listSessions);
+router.delete('/me/sessions/:sessionId', authenticate, denyImpersonation, sessionController.revokeSession);
+router.get('/me/memberships', authenticate, membershipController.listMyMemberships);
+router.post('/me/export', authenticate, denyImpersonation, exportController.requestMyExport);
+router.get('/me/export', authenticate, denyImpersonation, exportController.getMyExport);
+router.get('/me/trainer-profile', authenticate, authorize('trainer'), profileController.getTrainerProfile);
+router.put('/me/trainer-profile', authenticate, authorize('trainer'), validate(schemas.updateTrainerProfile), profileController.updateTrainerProfile);
+router.get('/me/client-profile', authenticate, authorize('client'), profileController.getClientProfile);
+router.put('/me/client-profile', authenticate, authorize('client'), validate(schemas.updateClientProfile), profileController.updateClientProfile);
+
+// Batch and role-info routes (for inter-service communication; service clients need the scope)
+router.post('/batch', allowServiceClients('users:read'), authenticate, userController.getUsersBatch);
+router.get('/:id/role-info', allowServiceClients('users:role_info'), authenticate, userController.getUserRoleInfo);
 
-// Batch and role-info routes (for inter-service communication)
-router.post('/batch', authenticate, userController.getUsersBatch);
-router.get('/:id/role-info', authenticate, userController.getUserRoleInfo);
+// Download links are signed and expire, so they work without a bearer token
+router.get('/exports/:exportId/download', exportController.downloadExport);
 
-// Admin routes - Allow all authenticated users to list (controller will filter appropriately)
+// Results are scoped to what the caller may see (see policies/userPolicy.js)
 router.get('/', authenticate, userController.listUsers);
 router.get('/gyms', authenticate, userController.listGyms);
 router.get('/:id', authenticate, userController.getUserById);
-router.put('/:id/role', authenticate, authorize('admin'), validate(schemas.updateRole), userController.updateUserRole);
-router.delete('/:id', authenticate, authorize('admin'), userController.deleteUser);
+
+// User administration routes
+router.put('/:id/role', authenticate, requirePermission('users:manage'), validate(schemas.updateRole), userController.updateUserRole);
+router.delete('/:id', authenticate, requirePermission('users:manage'), validateQuery(schemas.deleteUserQuery), validate(schemas.deleteUser), userController.deleteUser);
+router.post('/:id/reactivate', authenticate, requirePermission('users:manage'), validate(schemas.accountStatusChange), userController.reactivateUser);
+router.delete('/:id/erasure', authenticate, requirePermission('users:manage'), validate(schemas.accountStatusChange), userController.cancelUserErasure);
+router.get('/:id/sessions', authenticate, requirePermission('users:manage'), sessionController.listSessions);
+router.delete('/:id/sessions/:sessionId', authenticate, requirePermission('users:manage'), sessionController.revokeSession);
+router.post('/:id/unlock', authenticate, requirePermission('users:manage'), userController.unlockUser);
+router.delete('/:id/mfa', authenticate, requirePermission('users:manage'), mfaController.resetMfa);
+router.post('/:id/export', authenticate, denyImpersonation, requirePermission('users:export'), exportController.requestUserExport);
+router.get('/:id/export', authenticate, denyImpersonation, requirePermission('users:export'), exportController.getUserExport);
+router.post('/:id/impersonate', authenticate, denyImpersonation, requirePermission('users:impersonate'), validate(schemas.impersonateUser), userController.impersonateUser);
 
 module.exports = router;
@@ -0,0 +1,96 @@
+const db = require('../config/database');
+
+// Never copied into audit_logs
+const REDACTED_FIELDS = ['password_hash', 'mfa_secret', 'refresh_token', 'token_hash'];
+
+/**
+ * Normalize a value so that equal dates and JSON values compare equal
+ */
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  return value === undefined ? null : value;
+}
+
+/**
+ * Compare a row before and after a change.
+ * Returns only the fields that changed, or null if nothing did.
+ */
+function diffValues(before = {}, after = {}) {
+  const oldValues = {};
+  const newValues = {};
+
+  for (const key of Object.keys(after)) {
+    if (REDACTED_FIELDS.includes(key)) {
+      continue;
+    }
+
+    const oldValue = normalizeValue(before[key]);
+    const newValue = normalizeValue(after[key]);
+
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      oldValues[key] = oldValue;
+      newValues[key] = newValue;
+    }
+  }
+
+  if (Object.keys(newValues).length === 0) {
+    return null;
+  }
+
+  return { oldValues, newValues };
+}
+
+/**
+ * Record an entry in audit_logs.
+ * Pass `client` to write inside an open transaction. Entries written with an
+ * impersonation token (see `act` in utils/jwt.js) also name the impersonating admin.
+ */
+async function recordAuditLog({
+  userId,
+  action,
+  resourceType = null,
+  resourceId = null,
+  oldValues = null,
+  newValues = null,
+  req = null,
+  client = db
+}) {
+  await client.query(
+    `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, old_values, new_values, ip_address, user_agent, impersonator_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      userId,
+      action,
+      resourceType,
+      resourceId,
+      oldValues ? JSON.stringify(oldValues) : null,
+      newValues ? JSON.stringify(newValues) : null,
+      req ? req.ip : null,
+      req ? req.get('user-agent') : null,
+      req && req.user && req.user.act ? req.user.act.sub : null
+    ]
+  );
+}
+
+/**
+ * Record a change to a resource with a before/after diff.
+ * Nothing is written when no audited field changed.
+ */
+async function recordChange({ before, after, ...entry }) {
+  const diff = diffValues(before, after);
+
+  if (!diff) {
+    return;
+  }
+
+  await recordAuditLog({ ...entry, ...diff });
+}
+
+module.exports = {
+  diffValues,
+  recordAuditLog,
+  recordChange
+};
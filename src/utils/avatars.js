@@ -0,0 +1,77 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES || '5242880'); // 5 MB
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Square sizes in pixels; `medium` becomes profile_image_url
+const AVATAR_VARIANTS = { small: 64, medium: 256, large: 512 };
+// Refuse decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 40000000;
+
+/**
+ * Decode an uploaded image and render every variant as WebP.
+ * Orientation is applied and all metadata (EXIF, GPS, ICC) is dropped.
+ * Returns null when the bytes are not a JPEG, PNG or WebP image.
+ */
+async function renderAvatarVariants(buffer) {
+  let metadata;
+
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    return null;
+  }
+
+  if (!AVATAR_TYPES.includes(`image/${metadata.format}`)) {
+    return null;
+  }
+
+  const variants = {};
+
+  for (const [name, size] of Object.entries(AVATAR_VARIANTS)) {
+    variants[name] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(size, size, { fit: 'cover', withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer();
+  }
+
+  return variants;
+}
+
+/**
+ * Store rendered variants under a fresh key so cached old URLs never show the new image.
+ * Returns the storage key prefix and the public URL of each variant.
+ */
+async function storeAvatarVariants(userId, variants) {
+  const storage = getStorage();
+  const key = `avatars/${userId}/${uuidv4()}`;
+  const urls = {};
+
+  for (const [name, body] of Object.entries(variants)) {
+    urls[name] = await storage.put(`${key}-${name}.webp`, body, 'image/webp');
+  }
+
+  return { key, urls };
+}
+
+/**
+ * Delete every variant stored under a key prefix
+ */
+async function removeAvatarVariants(key) {
+  const storage = getStorage();
+
+  for (const name of Object.keys(AVATAR_VARIANTS)) {
+    await storage.remove(`${key}-${name}.webp`);
+  }
+}
+
+module.exports = {
+  AVATAR_MAX_BYTES,
+  AVATAR_TYPES,
+  AVATAR_VARIANTS,
+  renderAvatarVariants,
+  storeAvatarVariants,
+  removeAvatarVariants
+};
@@ -0,0 +1,162 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+// Completed archives can be downloaded for this long, then they are deleted
+const EXPORT_RETENTION_DAYS = parseInt(process.env.EXPORT_RETENTION_DAYS) || 7;
+const EXPORT_PURGE_INTERVAL = 3600000; // 1 hour
+
+/**
+ * Gather everything the user service holds about a user.
+ * Secrets (password and MFA hashes, refresh tokens) are left out, and so are
+ * the addresses of other people who acted on the account.
+ */
+async function collectUserData(userId, client = db) {
+  const query = async (sql) => (await client.query(sql, [userId])).rows;
+
+  const [user] = await query(
+    `SELECT id, email, role, first_name, last_name, phone, date_of_birth, address,
+            profile_image_url, oauth_provider, is_active, email_verified, mfa_enabled,
+            mfa_enrolled_at, created_at, updated_at, last_login
+     FROM users WHERE id = $1`
+  );
+
+  if (!user) {
+    return null;
+  }
+
+  const [trainerProfile] = await query('SELECT * FROM trainer_profiles WHERE user_id = $1');
+  const [clientProfile] = await query('SELECT * FROM client_profiles WHERE user_id = $1');
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    trainer_profile: trainerProfile || null,
+    client_profile: clientProfile || null,
+    gym_memberships: await query(
+      `SELECT m.id, m.gym_id, g.name AS gym_name, m.role, m.status, m.start_date, m.end_date,
+              m.created_at, m.updated_at
+       FROM gym_memberships m
+       JOIN gyms g ON g.id = m.gym_id
+       WHERE m.user_id = $1
+       ORDER BY m.created_at`
+    ),
+    trainer_clients: await query(
+      `SELECT id, trainer_id, client_id, status, invited_at, responded_at, ended_at
+       FROM trainer_clients
+       WHERE trainer_id = $1 OR client_id = $1
+       ORDER BY invited_at`
+    ),
+    sessions: await query(
+      `SELECT id, ip_address, user_agent, created_at, expires_at, revoked_at
+       FROM sessions WHERE user_id = $1
+       ORDER BY created_at`
+    ),
+    password_resets: await query(
+      `SELECT ip_address, created_at, expires_at, used_at
+       FROM password_reset_tokens WHERE user_id = $1
+       ORDER BY created_at`
+    ),
+    email_changes: await query(
+      `SELECT old_email, new_email, ip_address, created_at, expires_at, confirmed_at, cancelled_at
+       FROM email_change_requests WHERE user_id = $1
+       ORDER BY created_at`
+    ),
+    audit_logs: await query(
+      `SELECT id, action, resource_type, resource_id, old_values, new_values,
+              user_id = $1 AS by_user,
+              CASE WHEN user_id = $1 THEN ip_address END AS ip_address,
+              CASE WHEN user_id = $1 THEN user_agent END AS user_agent,
+              created_at
+       FROM audit_logs
+       WHERE user_id = $1 OR (resource_type = 'user' AND resource_id = $1)
+       ORDER BY created_at`
+    )
+  };
+}
+
+/**
+ * Build the archive for a pending export; failures are recorded on the export
+ */
+async function runExport(exportId) {
+  try {
+    const claimed = await db.query(
+      `UPDATE data_exports SET status = 'running', started_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING user_id`,
+      [exportId]
+    );
+
+    if (claimed.rows.length === 0) {
+      return;
+    }
+
+    const archive = await collectUserData(claimed.rows[0].user_id);
+
+    if (!archive) {
+      throw new Error('User no longer exists');
+    }
+
+    await db.query(
+      `UPDATE data_exports
+       SET status = 'completed', archive = $1, completed_at = NOW(),
+           expires_at = NOW() + make_interval(days => $2)
+       WHERE id = $3`,
+      [JSON.stringify(archive), EXPORT_RETENTION_DAYS, exportId]
+    );
+
+    logger.info(`Data export completed: ${exportId}`);
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed:`, error);
+    await db.query(
+      `UPDATE data_exports SET status = 'failed', error = $1, completed_at = NOW()
+       WHERE id = $2`,
+      [error.message, exportId]
+    ).catch(updateError => logger.error('Failed to record data export failure:', updateError));
+  }
+}
+
+/**
+ * Run an export in the background, after the request that created it has been answered
+ */
+function startExport(exportId) {
+  setImmediate(() => runExport(exportId));
+}
+
+/**
+ * Delete archives past their retention period
+ */
+async function purgeExpiredExports() {
+  const result = await db.query('DELETE FROM data_exports WHERE expires_at < NOW() RETURNING id');
+
+  if (result.rows.length > 0) {
+    logger.info(`Deleted ${result.rows.length} expired data export(s)`);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Restart exports interrupted by a shutdown, one at a time.
+ * Recently started ones are left alone in case another replica is still running them.
+ */
+async function resumeExports() {
+  const result = await db.query(
+    `UPDATE data_exports SET status = 'pending', started_at = NULL
+     WHERE status = 'pending' OR (status = 'running' AND started_at < NOW() - INTERVAL '15 minutes')
+     RETURNING id`
+  );
+
+  for (const { id } of result.rows) {
+    await runExport(id);
+  }
+}
+
+module.exports = {
+  EXPORT_RETENTION_DAYS,
+  EXPORT_PURGE_INTERVAL,
+  collectUserData,
+  runExport,
+  startExport,
+  purgeExpiredExports,
+  resumeExports
+};
@@ -0,0 +1,99 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { redisClient } = require('../config/redis');
+const { sendMail } = require('./mailer');
+
+const EMAIL_VERIFICATION_SECRET = process.env.EMAIL_VERIFICATION_SECRET || 'your-super-secret-email-verification-key';
+const EMAIL_VERIFICATION_TTL = 86400; // 24 hours
+const RESEND_THROTTLE_SECONDS = parseInt(process.env.VERIFICATION_RESEND_THROTTLE || '60');
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Generate a signed, single-use email verification token.
+ * Only the most recently issued token for a user is accepted.
+ */
+async function createVerificationToken(user) {
+  const jti = uuidv4();
+
+  const token = jwt.sign(
+    { id: user.id, email: user.email, type: 'email_verification' },
+    EMAIL_VERIFICATION_SECRET,
+    {
+      expiresIn: EMAIL_VERIFICATION_TTL,
+      jwtid: jti,
+      issuer: 'fitsync-user-service',
+      audience: 'fitsync-email-verification'
+    }
+  );
+
+  await redisClient.setEx(`email_verification:${user.id}`, EMAIL_VERIFICATION_TTL, jti);
+
+  return token;
+}
+
+/**
+ * Verify and consume an email verification token
+ */
+async function consumeVerificationToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, EMAIL_VERIFICATION_SECRET, {
+      issuer: 'fitsync-user-service',
+      audience: 'fitsync-email-verification'
+    });
+  } catch (error) {
+    throw new Error('Invalid or expired verification token');
+  }
+
+  if (decoded.type !== 'email_verification') {
+    throw new Error('Invalid or expired verification token');
+  }
+
+  // Read and delete in one step so concurrent requests cannot both use the token
+  const storedJti = await redisClient.getDel(`email_verification:${decoded.id}`);
+
+  if (!storedJti || storedJti !== decoded.jti) {
+    throw new Error('Invalid or expired verification token');
+  }
+
+  return decoded;
+}
+
+/**
+ * Send the verification email to a user
+ */
+async function sendVerificationEmail(user) {
+  const token = await createVerificationToken(user);
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your FitSync email address',
+    text: `Hi ${user.first_name || 'there'},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n${link}\n\n` +
+      'The link expires in 24 hours. If you did not create a FitSync account, you can ignore this email.'
+  });
+}
+
+/**
+ * Claim a resend slot for an email address.
+ * Returns the number of seconds to wait, or 0 if sending is allowed.
+ */
+async function claimResendSlot(email) {
+  const key = `email_verification_resend:${email.toLowerCase()}`;
+  const claimed = await redisClient.set(key, '1', { NX: true, EX: RESEND_THROTTLE_SECONDS });
+
+  if (claimed) {
+    return 0;
+  }
+
+  const ttl = await redisClient.ttl(key);
+  return ttl > 0 ? ttl : RESEND_THROTTLE_SECONDS;
+}
+
+module.exports = {
+  createVerificationToken,
+  consumeVerificationToken,
+  sendVerificationEmail,
+  claimResendSlot
+};
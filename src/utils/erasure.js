@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const logger = require('../config/logger');
+const { sendMail } = require('./mailer');
+const { recordAuditLog } = require('./audit');
+const { removeAvatarVariants } = require('./avatars');
+const {
+  generateTokenHash,
+  revokeAllUserTokens,
+  revokeUserAccessTokens,
+  invalidateUserCache
+} = require('./jwt');
+
+const ERASURE_GRACE_DAYS = parseInt(process.env.ERASURE_GRACE_DAYS || '30');
+const ERASURE_CHECK_INTERVAL = 3600000; // 1 hour
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Deactivate a user and schedule their erasure after the grace period.
+ * Returns the erasure date and the token for the emailed cancel link.
+ */
+async function scheduleErasure(client, userId, requestedBy) {
+  const cancelToken = crypto.randomBytes(32).toString('hex');
+
+  const result = await client.query(
+    `UPDATE users
+     SET is_active = false,
+         erasure_scheduled_at = NOW() + make_interval(days => $1),
+         erasure_requested_by = $2,
+         erasure_cancel_token_hash = $3
+     WHERE id = $4
+     RETURNING erasure_scheduled_at`,
+    [ERASURE_GRACE_DAYS, requestedBy, generateTokenHash(cancelToken), userId]
+  );
+
+  return { scheduledAt: result.rows[0].erasure_scheduled_at, cancelToken };
+}
+
+/**
+ * Tell the user when their data will be erased and how to stop it
+ */
+async function sendErasureNotice(user, { scheduledAt, cancelToken }) {
+  const link = `${APP_URL}/cancel-erasure?token=${cancelToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your FitSync account is scheduled for deletion',
+    text: `Hi ${user.first_name || 'there'},\n\n` +
+      `Your FitSync account has been deactivated and all your personal data will be erased on ${new Date(scheduledAt).toUTCString()}.\n\n` +
+      `If you want to keep your account, open the link below before then:\n\n${link}`
+  });
+}
+
+/**
+ * Call off a scheduled erasure and reactivate the account.
+ * Returns the user, or null when no erasure was pending.
+ */
+async function cancelErasure(client, userId) {
+  const result = await client.query(
+    `UPDATE users
+     SET is_active = true, erasure_scheduled_at = NULL, erasure_requested_by = NULL,
+         erasure_cancel_token_hash = NULL
+     WHERE id = $1 AND erasure_scheduled_at IS NOT NULL AND erased_at IS NULL
+     RETURNING id, email, first_name`,
+    [userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Scrub a user's personal data once their grace period is over.
+ * The users row stays as a tombstone so every foreign key keeps pointing somewhere.
+ */
+async function eraseUser(userId) {
+  const client = await db.connect();
+  let avatarKey = null;
+
+  try {
+    await client.query('BEGIN');
+
+    // Re-check under lock in case the erasure was cancelled in the meantime
+    const due = await client.query(
+      `SELECT id, avatar_key FROM users
+       WHERE id = $1 AND erasure_scheduled_at <= NOW() AND erased_at IS NULL
+       FOR UPDATE`,
+      [userId]
+    );
+
+    if (due.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    avatarKey = due.rows[0].avatar_key;
+
+    await client.query(
+      `UPDATE users
+       SET email = 'erased-' || id || '@erased.invalid', password_hash = NULL,
+           first_name = 'Deleted', last_name = 'User', phone = NULL, date_of_birth = NULL,
+           address = NULL, profile_image_url = NULL, profile_image_variants = NULL, avatar_key = NULL,
+           oauth_provider = NULL, oauth_provider_id = NULL, mfa_enabled = false,
+           mfa_secret = NULL, mfa_enrolled_at = NULL, email_verified = false, is_active = false,
+           last_login = NULL, erasure_scheduled_at = NULL, erasure_cancel_token_hash = NULL, erased_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+
+    for (const table of ['sessions', 'mfa_recovery_codes', 'password_reset_tokens', 'email_change_requests', 'data_exports', 'trainer_profiles', 'client_profiles']) {
+      await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [userId]);
+    }
+
+    await client.query(
+      'UPDATE audit_logs SET user_id = NULL, ip_address = NULL, user_agent = NULL WHERE user_id = $1',
+      [userId]
+    );
+    await client.query('UPDATE audit_logs SET impersonator_id = NULL WHERE impersonator_id = $1', [userId]);
+    await client.query(
+      `UPDATE audit_logs SET old_values = NULL, new_values = NULL
+       WHERE resource_type = 'user' AND resource_id = $1`,
+      [userId]
+    );
+
+    await recordAuditLog({
+      client,
+      userId: null,
+      action: 'user_erased',
+      resourceType: 'user',
+      resourceId: userId
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await revokeAllUserTokens(userId);
+  await revokeUserAccessTokens(userId);
+  await invalidateUserCache(userId);
+
+  if (avatarKey) {
+    await removeAvatarVariants(avatarKey);
+  }
+
+  logger.info(`User erased: ${userId}`);
+
+  return true;
+}
+
+/**
+ * Erase every user whose grace period has ended; one failure does not stop the rest
+ */
+async function eraseDueUsers() {
+  const result = await db.query(
+    `SELECT id FROM users
+     WHERE erasure_scheduled_at <= NOW() AND erased_at IS NULL
+     ORDER BY erasure_scheduled_at`
+  );
+
+  for (const { id } of result.rows) {
+    try {
+      await eraseUser(id);
+    } catch (error) {
+      logger.error(`Failed to erase user ${id}:`, error);
+    }
+  }
+}
+
+module.exports = {
+  ERASURE_GRACE_DAYS,
+  ERASURE_CHECK_INTERVAL,
+  scheduleErasure,
+  sendErasureNotice,
+  cancelErasure,
+  eraseUser,
+  eraseDueUsers
+};
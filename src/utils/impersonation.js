@@ -0,0 +1,73 @@
+const db = require('../config/database');
+const logger = require('../config/logger');
+
+const IMPERSONATION_SWEEP_INTERVAL = 60000; // 1 minute
+
+// Impersonation tokens live minutes, so older entries have long been swept; the
+// window only has to outlast the sweep being down (e.g. during a deploy)
+const IMPERSONATION_SWEEP_WINDOW_HOURS = 24;
+
+// Shared by every replica so only one of them sweeps at a time
+const IMPERSONATION_SWEEP_LOCK_KEY = 72657302;
+
+/**
+ * Record `impersonation_ended` for impersonation tokens that expired without a logout,
+ * so every `impersonation_started` entry gets a matching end entry.
+ * Returns the number recorded; 0 when another replica is already sweeping.
+ */
+async function recordExpiredImpersonations() {
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const lock = await client.query(
+      'SELECT pg_try_advisory_xact_lock($1) AS acquired',
+      [IMPERSONATION_SWEEP_LOCK_KEY]
+    );
+
+    if (!lock.rows[0].acquired) {
+      await client.query('ROLLBACK');
+      return 0;
+    }
+
+    const result = await client.query(
+      `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, new_values)
+       SELECT started.user_id, 'impersonation_ended', 'user', started.resource_id,
+              jsonb_build_object(
+                'token_id', started.new_values->>'token_id',
+                'ended_by', 'expiry',
+                'expired_at', started.new_values->>'expires_at'
+              )
+       FROM audit_logs started
+       WHERE started.action = 'impersonation_started'
+         AND started.created_at >= NOW() - make_interval(hours => $1)
+         AND (started.new_values->>'expires_at')::timestamptz <= NOW()
+         AND NOT EXISTS (
+           SELECT 1 FROM audit_logs ended
+           WHERE ended.action = 'impersonation_ended'
+             AND ended.new_values->>'token_id' = started.new_values->>'token_id'
+         )
+       RETURNING id`,
+      [IMPERSONATION_SWEEP_WINDOW_HOURS]
+    );
+
+    await client.query('COMMIT');
+
+    if (result.rows.length > 0) {
+      logger.info(`Recorded the end of ${result.rows.length} expired impersonation(s)`);
+    }
+
+    return result.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  IMPERSONATION_SWEEP_INTERVAL,
+  recordExpiredImpersonations
+};
@@ -1,46 +1,187 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const { redisClient } = require('../config/redis');
+const { getSigningKey, getVerificationKey } = require('../config/signingKeys');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
+// Refresh tokens are only ever read by this service, so they stay HMAC-signed
 const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'your-super-secret-refresh-key';
 const JWT_EXPIRY = process.env.JWT_EXPIRY || '15m';
 const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '7d';
+const MFA_CHALLENGE_EXPIRY = 300; // 5 minutes
+const EXPORT_DOWNLOAD_EXPIRY = 900; // 15 minutes
+const SERVICE_TOKEN_EXPIRY = parseInt(process.env.SERVICE_TOKEN_EXPIRY) || 900; // seconds
+const IMPERSONATION_TOKEN_EXPIRY = parseInt(process.env.IMPERSONATION_TOKEN_EXPIRY) || 600; // seconds
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * Convert an expiry such as '15m' or '3600' to seconds
+ */
+function toSeconds(duration) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(duration).trim());
+
+  if (!match) {
+    throw new Error(`Unsupported token expiry: ${duration}`);
+  }
+
+  return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+// Longest lifetime of a token checked against the access token denylist
+const ACCESS_TOKEN_TTL = Math.max(toSeconds(JWT_EXPIRY), SERVICE_TOKEN_EXPIRY, IMPERSONATION_TOKEN_EXPIRY);
+
+/**
+ * Sign with the current signing key, naming it in the `kid` header
+ */
+function signWithKey(payload, options) {
+  const { kid, alg, privateKey } = getSigningKey();
+  return jwt.sign(payload, privateKey, { ...options, algorithm: alg, keyid: kid });
+}
+
+/**
+ * Verify against the key named by the token's `kid`, accepting only that key's algorithm
+ */
+function verifyWithKey(token, options) {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    throw new Error('Unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg] });
+}
 
 /**
  * Generate access token
+ * Carries the role's effective permissions and the gyms of the user's active
+ * memberships so routes can be authorized without a lookup. `gym_id` is the
+ * first of those gyms, kept for services that expect a single gym.
+ * Passing `actor` issues an impersonation token: it names the admin in an
+ * RFC 8693 `act` claim, has no session and expires after IMPERSONATION_TOKEN_EXPIRY.
  */
-function generateAccessToken(user) {
+function generateAccessToken(user, { sessionId, permissions = [], gymIds = [], actor } = {}) {
   const payload = {
     id: user.id,
     email: user.email,
     role: user.role,
-    gym_id: user.gym_id
+    gym_id: gymIds[0] || null,
+    gym_ids: gymIds,
+    sid: sessionId,
+    permissions
   };
 
-  return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRY,
+  if (actor) {
+    payload.act = { sub: actor.id, email: actor.email };
+  }
+
+  return signWithKey(payload, {
+    expiresIn: actor ? IMPERSONATION_TOKEN_EXPIRY : JWT_EXPIRY,
+    jwtid: uuidv4(),
     issuer: 'fitsync-user-service',
     audience: 'fitsync-api'
   });
 }
 
+/**
+ * Generate a service token (client_credentials grant)
+ * Service tokens use their own audience, so they are never mistaken for a user's access token.
+ */
+function generateServiceToken(client, scopes) {
+  const payload = {
+    sub: client.client_id,
+    client_id: client.client_id,
+    scope: scopes.join(' '),
+    type: 'service'
+  };
+
+  return signWithKey(payload, {
+    expiresIn: SERVICE_TOKEN_EXPIRY,
+    jwtid: uuidv4(),
+    issuer: 'fitsync-user-service',
+    audience: 'fitsync-services'
+  });
+}
+
 /**
  * Generate refresh token
+ * Every token is unique (jti) and belongs to a rotation family (fid).
  */
-function generateRefreshToken(user) {
+function generateRefreshToken(user, { familyId } = {}) {
   const payload = {
     id: user.id,
-    type: 'refresh'
+    type: 'refresh',
+    fid: familyId
   };
 
   return jwt.sign(payload, JWT_REFRESH_SECRET, {
     expiresIn: JWT_REFRESH_EXPIRY,
+    jwtid: uuidv4(),
     issuer: 'fitsync-user-service',
     audience: 'fitsync-api'
   });
 }
 
+/**
+ * Generate short-lived MFA challenge token (issued after a correct password)
+ */
+function generateMfaChallengeToken(user) {
+  return signWithKey({ id: user.id, type: 'mfa_challenge' }, {
+    expiresIn: MFA_CHALLENGE_EXPIRY,
+    jwtid: uuidv4(),
+    issuer: 'fitsync-user-service',
+    audience: 'fitsync-mfa'
+  });
+}
+
+/**
+ * Verify MFA challenge token
+ */
+function verifyMfaChallengeToken(token) {
+  try {
+    return verifyWithKey(token, {
+      issuer: 'fitsync-user-service',
+      audience: 'fitsync-mfa'
+    });
+  } catch (error) {
+    throw new Error('Invalid or expired MFA challenge token');
+  }
+}
+
+/**
+ * Generate a short-lived download token for a completed data export.
+ * `issued_to` is the user the link was handed to, for the audit trail.
+ */
+function generateExportDownloadToken(dataExport, issuedTo) {
+  const payload = {
+    sub: dataExport.id,
+    user_id: dataExport.user_id,
+    issued_to: issuedTo,
+    type: 'data_export'
+  };
+
+  return signWithKey(payload, {
+    expiresIn: EXPORT_DOWNLOAD_EXPIRY,
+    jwtid: uuidv4(),
+    issuer: 'fitsync-user-service',
+    audience: 'fitsync-export'
+  });
+}
+
+/**
+ * Verify a data export download token
+ */
+function verifyExportDownloadToken(token) {
+  try {
+    return verifyWithKey(token, {
+      issuer: 'fitsync-user-service',
+      audience: 'fitsync-export'
+    });
+  } catch (error) {
+    throw new Error('Invalid or expired download token');
+  }
+}
+
 /**
  * Generate token hash for storage
  */
@@ -53,7 +194,7 @@ function generateTokenHash(token) {
  */
 function verifyAccessToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET, {
+    return verifyWithKey(token, {
       issuer: 'fitsync-user-service',
       audience: 'fitsync-api'
     });
@@ -62,6 +203,20 @@ function verifyAccessToken(token) {
   }
 }
 
+/**
+ * Verify service token
+ */
+function verifyServiceToken(token) {
+  try {
+    return verifyWithKey(token, {
+      issuer: 'fitsync-user-service',
+      audience: 'fitsync-services'
+    });
+  } catch (error) {
+    throw new Error('Invalid or expired service token');
+  }
+}
+
 /**
  * Verify refresh token
  */
@@ -76,6 +231,68 @@ function verifyRefreshToken(token) {
   }
 }
 
+/**
+ * Deny one access or service token (by jti) until it expires
+ */
+async function revokeAccessToken(decoded) {
+  const ttl = decoded.exp - Math.floor(Date.now() / 1000);
+
+  if (decoded.jti && ttl > 0) {
+    await redisClient.setEx(`revoked_access_token:${decoded.jti}`, ttl, '1');
+  }
+}
+
+/**
+ * Deny every access token issued to a user up to now (role change, deactivation).
+ * `exceptSessionId` spares the tokens of one session, e.g. the device changing the password.
+ */
+async function revokeUserAccessTokens(userId, { exceptSessionId } = {}) {
+  const revokedBefore = String(Math.floor(Date.now() / 1000));
+
+  await redisClient.setEx(
+    `access_tokens_revoked_before:${userId}`,
+    ACCESS_TOKEN_TTL,
+    exceptSessionId ? `${revokedBefore}:${exceptSessionId}` : revokedBefore
+  );
+}
+
+/**
+ * Deny every service token issued to a client up to now (deactivation, secret rotation)
+ */
+async function revokeServiceClientTokens(clientId) {
+  await redisClient.setEx(
+    `service_tokens_revoked_before:${clientId}`,
+    SERVICE_TOKEN_EXPIRY,
+    String(Math.floor(Date.now() / 1000))
+  );
+}
+
+/**
+ * Check a verified access or service token against the denylist
+ */
+async function isAccessTokenRevoked(decoded) {
+  const subject = decoded.type === 'service' ? decoded.client_id : decoded.id;
+  const [revokedToken, revokedBefore] = await redisClient.mGet([
+    `revoked_access_token:${decoded.jti}`,
+    decoded.type === 'service'
+      ? `service_tokens_revoked_before:${subject}`
+      : `access_tokens_revoked_before:${subject}`
+  ]);
+
+  if (decoded.jti && revokedToken) {
+    return true;
+  }
+
+  if (!subject || !revokedBefore) {
+    return false;
+  }
+
+  // iat has one-second resolution, so tokens issued in the revoking second are denied too
+  const [before, keptSessionId] = revokedBefore.split(':');
+
+  return decoded.iat <= parseInt(before) && !(keptSessionId && decoded.sid === keptSessionId);
+}
+
 /**
  * Store refresh token in Redis with expiry
  */
@@ -92,6 +309,13 @@ async function revokeRefreshToken(userId, token) {
   await redisClient.del(key);
 }
 
+/**
+ * Revoke refresh token by its stored hash
+ */
+async function revokeRefreshTokenByHash(userId, tokenHash) {
+  await redisClient.del(`refresh_token:${userId}:${tokenHash}`);
+}
+
 /**
  * Check if refresh token is valid in Redis
  */
@@ -102,11 +326,12 @@ async function isRefreshTokenValid(userId, token) {
 }
 
 /**
- * Revoke all user tokens
+ * Revoke all user tokens, optionally keeping one by its hash (e.g. the current device's)
  */
-async function revokeAllUserTokens(userId) {
+async function revokeAllUserTokens(userId, { exceptHash } = {}) {
   const pattern = `refresh_token:${userId}:*`;
-  const keys = await redisClient.keys(pattern);
+  const keepKey = exceptHash ? `refresh_token:${userId}:${exceptHash}` : null;
+  const keys = (await redisClient.keys(pattern)).filter(key => key !== keepKey);
 
   if (keys.length > 0) {
     await redisClient.del(keys);
@@ -139,13 +364,27 @@ async function invalidateUserCache(userId) {
 }
 
 module.exports = {
+  SERVICE_TOKEN_EXPIRY,
+  IMPERSONATION_TOKEN_EXPIRY,
+  EXPORT_DOWNLOAD_EXPIRY,
   generateAccessToken,
   generateRefreshToken,
+  generateServiceToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  generateExportDownloadToken,
+  verifyExportDownloadToken,
   generateTokenHash,
   verifyAccessToken,
+  verifyServiceToken,
   verifyRefreshToken,
+  revokeAccessToken,
+  revokeUserAccessTokens,
+  revokeServiceClientTokens,
+  isAccessTokenRevoked,
   storeRefreshToken,
   revokeRefreshToken,
+  revokeRefreshTokenByHash,
   isRefreshTokenValid,
   revokeAllUserTokens,
   cacheUserData,
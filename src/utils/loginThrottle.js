@@ -0,0 +1,117 @@
+const { redisClient } = require('../config/redis');
+
+const MAX_EMAIL_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5');
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20');
+const FAILURE_WINDOW = parseInt(process.env.LOGIN_FAILURE_WINDOW || '900'); // 15 minutes
+const LOCKOUT_DURATION = parseInt(process.env.LOGIN_LOCKOUT_DURATION || '900'); // 15 minutes
+const MAX_DELAY = 30; // seconds
+
+// Emails are matched case-insensitively so casing cannot reset the count
+const normalize = (id) => String(id).trim().toLowerCase();
+
+const keys = {
+  failures: (scope, id) => `login_failures:${scope}:${normalize(id)}`,
+  lock: (scope, id) => `login_lock:${scope}:${normalize(id)}`,
+  delay: (email) => `login_delay:email:${normalize(email)}`
+};
+
+/**
+ * Seconds until a key expires, or 0 if it does not exist
+ */
+async function secondsLeft(key) {
+  const ttl = await redisClient.ttl(key);
+  return ttl > 0 ? ttl : 0;
+}
+
+/**
+ * Check whether a login attempt for this email and IP is currently blocked.
+ * Returns `{ code, retryAfter }` or null.
+ */
+async function getLoginBlock(email, ip) {
+  const emailLock = await secondsLeft(keys.lock('email', email));
+  const ipLock = await secondsLeft(keys.lock('ip', ip));
+  const lockedFor = Math.max(emailLock, ipLock);
+
+  if (lockedFor > 0) {
+    return { code: 'ACCOUNT_LOCKED', retryAfter: lockedFor };
+  }
+
+  const delay = await secondsLeft(keys.delay(email));
+
+  if (delay > 0) {
+    return { code: 'LOGIN_THROTTLED', retryAfter: delay };
+  }
+
+  return null;
+}
+
+/**
+ * Count a failure against a scope and lock it once the threshold is reached.
+ * Returns the number of failures in the current window and whether it locked.
+ */
+async function countFailure(scope, id, maxFailures) {
+  const key = keys.failures(scope, id);
+  const failures = await redisClient.incr(key);
+
+  if (failures === 1) {
+    await redisClient.expire(key, FAILURE_WINDOW);
+  }
+
+  if (failures >= maxFailures) {
+    await redisClient.setEx(keys.lock(scope, id), LOCKOUT_DURATION, String(failures));
+    await redisClient.del(key);
+    return { failures, locked: true };
+  }
+
+  return { failures, locked: false };
+}
+
+/**
+ * Record a failed login for an email and IP.
+ * Each failure doubles the wait before the next attempt on that email;
+ * reaching the limit locks the email (or IP) for LOGIN_LOCKOUT_DURATION.
+ */
+async function recordFailedLogin(email, ip) {
+  const emailResult = await countFailure('email', email, MAX_EMAIL_FAILURES);
+  const ipResult = await countFailure('ip', ip, MAX_IP_FAILURES);
+
+  if (emailResult.locked || ipResult.locked) {
+    return {
+      locked: true,
+      lockedScope: emailResult.locked ? 'email' : 'ip',
+      failures: emailResult.failures,
+      retryAfter: LOCKOUT_DURATION
+    };
+  }
+
+  const delay = Math.min(2 ** (emailResult.failures - 1), MAX_DELAY);
+  await redisClient.setEx(keys.delay(email), delay, String(emailResult.failures));
+
+  return { locked: false, failures: emailResult.failures, retryAfter: delay };
+}
+
+/**
+ * Forget failures for an email after a successful login
+ */
+async function clearFailedLogins(email) {
+  await redisClient.del(keys.failures('email', email));
+  await redisClient.del(keys.delay(email));
+}
+
+/**
+ * Lift a lockout and reset the failure count for an email.
+ * Returns true if the email was locked.
+ */
+async function unlockLogin(email) {
+  const wasLocked = (await redisClient.del(keys.lock('email', email))) > 0;
+  await clearFailedLogins(email);
+  return wasLocked;
+}
+
+module.exports = {
+  getLoginBlock,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockLogin,
+  LOCKOUT_DURATION
+};
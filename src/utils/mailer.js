@@ -0,0 +1,87 @@
+const logger = require('../config/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'FitSync <no-reply@fitsync.com>';
+
+/**
+ * Built-in mail transports. A transport is any object with an async
+ * `send(message)` method.
+ */
+const transports = {
+  // Writes messages to the log (default for local development)
+  log: () => ({
+    async send(message) {
+      logger.info(`Mail to ${message.to}: ${message.subject}`, { text: message.text });
+    }
+  }),
+
+  // Keeps messages in memory so tests can inspect them
+  memory: () => {
+    const outbox = [];
+    return {
+      outbox,
+      async send(message) {
+        outbox.push(message);
+      }
+    };
+  },
+
+  // Hands messages to an HTTP mail gateway such as the notification service
+  http: () => ({
+    async send(message) {
+      const response = await fetch(process.env.MAIL_HTTP_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.MAIL_HTTP_API_KEY && { 'X-API-Key': process.env.MAIL_HTTP_API_KEY })
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Mail gateway responded with ${response.status}`);
+      }
+    }
+  })
+};
+
+let transport = null;
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use
+ */
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'log';
+
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    transport = transports[name]();
+  }
+
+  return transport;
+}
+
+/**
+ * Replace the active transport (by name or with a custom object)
+ */
+function setTransport(value) {
+  transport = typeof value === 'string' ? transports[value]() : value;
+  return transport;
+}
+
+/**
+ * Send an email
+ */
+async function sendMail({ to, subject, text, html }) {
+  const message = { from: MAIL_FROM, to, subject, text, html };
+  await getTransport().send(message);
+  logger.debug(`Mail sent to ${to}: ${subject}`);
+}
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport
+};
@@ -0,0 +1,52 @@
+const db = require('../config/database');
+const { CURRENT_MEMBERSHIP } = require('../policies/gymPolicy');
+
+/**
+ * Role a user holds within a gym unless they ask for another one
+ */
+function defaultGymRole(role) {
+  switch (role) {
+    case 'trainer':
+      return 'trainer';
+    case 'client':
+      return 'member';
+    default:
+      return 'staff';
+  }
+}
+
+/**
+ * IDs of the gyms where the user currently holds an active membership
+ */
+async function getActiveGymIds(userId, client = db) {
+  const result = await client.query(
+    `SELECT gym_id FROM gym_memberships
+     WHERE user_id = $1 AND ${CURRENT_MEMBERSHIP}
+     ORDER BY start_date NULLS LAST, created_at`,
+    [userId]
+  );
+
+  return result.rows.map(row => row.gym_id);
+}
+
+/**
+ * Ask to join an active gym; returns the pending membership, or null when the
+ * gym does not exist or the user already has an open membership there
+ */
+async function requestMembership(userId, gymId, role, client = db) {
+  const result = await client.query(
+    `INSERT INTO gym_memberships (gym_id, user_id, role)
+     SELECT id, $2, $3 FROM gyms WHERE id = $1 AND is_active = true
+     ON CONFLICT (gym_id, user_id) WHERE status <> 'ended' DO NOTHING
+     RETURNING id, gym_id, user_id, role, status, start_date, end_date, created_at`,
+    [gymId, userId, role]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  defaultGymRole,
+  getActiveGymIds,
+  requestMembership
+};
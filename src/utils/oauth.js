@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { redisClient } = require('../config/redis');
+const { ensureRoleProfile } = require('./profiles');
+const { recordAuditLog } = require('./audit');
+const {
+  revokeAllUserTokens,
+  revokeUserAccessTokens,
+  invalidateUserCache
+} = require('./jwt');
+
+const OAUTH_STATE_TTL = 600; // 10 minutes
+const OAUTH_DEFAULT_ROLE = process.env.OAUTH_DEFAULT_ROLE || 'client';
+
+/**
+ * Redis-backed state store for passport-oauth2.
+ *
+ * Keeps the `state` handle and PKCE code verifier server-side so the
+ * authorization code can be redeemed by a stateless API call. Each state
+ * can be used once and only for the provider that issued it.
+ */
+class RedisStateStore {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  store(req, verifier, state, meta, callback) {
+    const handle = crypto.randomBytes(24).toString('base64url');
+    const value = JSON.stringify({ provider: this.provider, verifier });
+
+    redisClient.setEx(`oauth_state:${handle}`, OAUTH_STATE_TTL, value)
+      .then(() => callback(null, handle))
+      .catch(callback);
+  }
+
+  verify(req, providedState, callback) {
+    const invalid = {
+      code: 'INVALID_STATE',
+      message: 'Invalid or expired authorization request state'
+    };
+
+    if (!providedState) {
+      return callback(null, false, invalid);
+    }
+
+    redisClient.getDel(`oauth_state:${providedState}`)
+      .then((data) => {
+        const stored = data ? JSON.parse(data) : null;
+
+        if (!stored || stored.provider !== this.provider) {
+          return callback(null, false, invalid);
+        }
+
+        callback(null, stored.verifier);
+      })
+      .catch(callback);
+  }
+}
+
+/**
+ * Get the first verified email address from a passport profile
+ */
+function getVerifiedEmail(profile) {
+  const emails = profile.emails || [];
+  const verified = emails.find(email => email.verified === true || email.verified === 'true');
+  return verified ? verified.value.toLowerCase() : null;
+}
+
+/**
+ * Link an OAuth identity to an account whose email was never verified.
+ * Whoever registered it may not own the address, so every way they could still
+ * sign in (password, 2FA, sessions) is dropped; the provider login proves ownership.
+ */
+async function claimUnverifiedAccount(provider, profile, userId, userColumns) {
+  const client = await db.connect();
+  let user;
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users
+       SET oauth_provider = $1, oauth_provider_id = $2, email_verified = true, password_hash = NULL,
+           mfa_enabled = false, mfa_secret = NULL, mfa_enrolled_at = NULL
+       WHERE id = $3
+       RETURNING ${userColumns}`,
+      [provider, String(profile.id), userId]
+    );
+    user = result.rows[0];
+
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query(
+      'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+
+    await recordAuditLog({
+      client,
+      userId,
+      action: 'oauth_account_claimed',
+      resourceType: 'user',
+      resourceId: userId,
+      newValues: { oauth_provider: provider }
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await revokeAllUserTokens(userId);
+  await revokeUserAccessTokens(userId);
+  await invalidateUserCache(userId);
+
+  return user;
+}
+
+/**
+ * Find the user linked to an OAuth identity, link an existing account by
+ * verified email, or create a new account.
+ *
+ * Returns `{ user }` on success or `{ error }` with a code and message.
+ */
+async function findOrCreateOAuthUser(provider, profile) {
+  const userColumns = 'id, email, role, first_name, last_name, phone, gym_id, is_active, mfa_enabled';
+
+  // Already linked identity
+  const linked = await db.query(
+    `SELECT ${userColumns} FROM users
+     WHERE oauth_provider = $1 AND oauth_provider_id = $2`,
+    [provider, String(profile.id)]
+  );
+
+  if (linked.rows.length > 0) {
+    return { user: linked.rows[0] };
+  }
+
+  const email = getVerifiedEmail(profile);
+
+  if (!email) {
+    return {
+      error: {
+        code: 'OAUTH_EMAIL_UNVERIFIED',
+        message: 'The identity provider did not return a verified email address'
+      }
+    };
+  }
+
+  // Link to an existing account with the same verified email. Registration keeps the
+  // email as typed, so compare case-insensitively, preferring a verified account.
+  const existing = await db.query(
+    `SELECT id, oauth_provider, email_verified FROM users
+     WHERE LOWER(email) = $1
+     ORDER BY email_verified DESC, created_at
+     LIMIT 1`,
+    [email]
+  );
+
+  if (existing.rows.length > 0) {
+    if (existing.rows[0].oauth_provider) {
+      return {
+        error: {
+          code: 'OAUTH_ACCOUNT_CONFLICT',
+          message: 'This account is already linked to another identity provider'
+        }
+      };
+    }
+
+    if (!existing.rows[0].email_verified) {
+      return { user: await claimUnverifiedAccount(provider, profile, existing.rows[0].id, userColumns), linked: true };
+    }
+
+    const result = await db.query(
+      `UPDATE users
+       SET oauth_provider = $1, oauth_provider_id = $2
+       WHERE id = $3
+       RETURNING ${userColumns}`,
+      [provider, String(profile.id), existing.rows[0].id]
+    );
+
+    return { user: result.rows[0], linked: true };
+  }
+
+  // Create a new account
+  const name = profile.name || {};
+  const [firstName, ...rest] = (profile.displayName || '').split(' ');
+
+  const result = await db.query(
+    `INSERT INTO users (email, role, first_name, last_name, oauth_provider, oauth_provider_id, email_verified)
+     VALUES ($1, $2, $3, $4, $5, $6, true)
+     RETURNING ${userColumns}`,
+    [
+      email,
+      OAUTH_DEFAULT_ROLE,
+      name.givenName || firstName || null,
+      name.familyName || rest.join(' ') || null,
+      provider,
+      String(profile.id)
+    ]
+  );
+
+  await ensureRoleProfile(result.rows[0].id, result.rows[0].role);
+
+  return { user: result.rows[0], created: true };
+}
+
+module.exports = {
+  RedisStateStore,
+  getVerifiedEmail,
+  findOrCreateOAuthUser
+};
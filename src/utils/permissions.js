@@ -0,0 +1,50 @@
+const db = require('../config/database');
+const { redisClient } = require('../config/redis');
+
+const PERMISSIONS_CACHE_TTL = 300; // 5 minutes
+
+/**
+ * Get the permissions granted to a role (cached)
+ */
+async function getRolePermissions(role) {
+  const cached = await redisClient.get(`role_permissions:${role}`);
+
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const result = await db.query(
+    'SELECT permission FROM role_permissions WHERE role = $1 ORDER BY permission',
+    [role]
+  );
+
+  const permissions = result.rows.map(row => row.permission);
+  await redisClient.setEx(`role_permissions:${role}`, PERMISSIONS_CACHE_TTL, JSON.stringify(permissions));
+
+  return permissions;
+}
+
+/**
+ * Drop a role's cached permissions after it changes
+ */
+async function invalidateRolePermissions(role) {
+  await redisClient.del(`role_permissions:${role}`);
+}
+
+/**
+ * Look up a role; returns null when it does not exist
+ */
+async function findRole(name, client = db) {
+  const result = await client.query(
+    'SELECT name, description, is_system, self_register FROM roles WHERE name = $1',
+    [name]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  getRolePermissions,
+  invalidateRolePermissions,
+  findRole
+};
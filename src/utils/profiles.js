@@ -0,0 +1,29 @@
+const db = require('../config/database');
+
+// Roles that have a role-specific profile table
+const PROFILE_TABLES = {
+  trainer: 'trainer_profiles',
+  client: 'client_profiles'
+};
+
+/**
+ * Create the empty role profile for a user if their role has one.
+ * Safe to call repeatedly (existing profiles are kept).
+ */
+async function ensureRoleProfile(userId, role, client = db) {
+  const table = PROFILE_TABLES[role];
+
+  if (!table) {
+    return;
+  }
+
+  await client.query(
+    `INSERT INTO ${table} (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING`,
+    [userId]
+  );
+}
+
+module.exports = {
+  PROFILE_TABLES,
+  ensureRoleProfile
+};
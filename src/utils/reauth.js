@@ -0,0 +1,49 @@
+const bcrypt = require('bcrypt');
+const db = require('../config/database');
+
+// How recent a sign-in must be to stand in for a password
+const REAUTH_MAX_AGE_MINUTES = parseInt(process.env.REAUTH_MAX_AGE_MINUTES || '10');
+
+/**
+ * Confirm the caller holds the account before a sensitive change.
+ * Accounts with a password must give it. Password-less (OAuth-only) accounts must have
+ * signed in recently: the session behind the access token must belong to a login that
+ * started within REAUTH_MAX_AGE_MINUTES (refreshing the token does not count).
+ *
+ * `user` needs `id` and `password_hash`. Returns null when confirmed, otherwise
+ * `{ status, code, message }` for the error response.
+ */
+async function verifyAccountHolder(user, { password, sessionId }, client = db) {
+  if (user.password_hash) {
+    const isPasswordValid = password ? await bcrypt.compare(password, user.password_hash) : false;
+
+    return isPasswordValid
+      ? null
+      : { status: 401, code: 'INVALID_PASSWORD', message: 'Password is incorrect' };
+  }
+
+  const result = sessionId
+    ? await client.query(
+      `SELECT MIN(family.created_at) >= NOW() - make_interval(mins => $3) AS recent
+       FROM sessions current
+       JOIN sessions family ON family.family_id = current.family_id
+       WHERE current.id = $1 AND current.user_id = $2 AND current.revoked_at IS NULL`,
+      [sessionId, user.id, REAUTH_MAX_AGE_MINUTES]
+    )
+    : { rows: [] };
+
+  if (result.rows.length > 0 && result.rows[0].recent) {
+    return null;
+  }
+
+  return {
+    status: 401,
+    code: 'REAUTHENTICATION_REQUIRED',
+    message: `This account has no password; sign in again and retry within ${REAUTH_MAX_AGE_MINUTES} minutes`
+  };
+}
+
+module.exports = {
+  REAUTH_MAX_AGE_MINUTES,
+  verifyAccountHolder
+};
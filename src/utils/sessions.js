@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  generateTokenHash,
+  storeRefreshToken,
+  revokeRefreshTokenByHash
+} = require('./jwt');
+const { getRolePermissions } = require('./permissions');
+const { getActiveGymIds } = require('./memberships');
+
+/**
+ * Issue an access/refresh token pair and record the session.
+ * A new login starts a token family; rotations pass the existing `familyId`.
+ */
+async function createSession(client, user, req, { familyId = uuidv4() } = {}) {
+  const sessionId = uuidv4();
+  const permissions = await getRolePermissions(user.role);
+  const gymIds = await getActiveGymIds(user.id);
+  const accessToken = generateAccessToken(user, { sessionId, permissions, gymIds });
+  const refreshToken = generateRefreshToken(user, { familyId });
+
+  // Store refresh token in Redis (7 days)
+  await storeRefreshToken(user.id, refreshToken, 604800);
+
+  // Store session in database
+  await client.query(
+    `INSERT INTO sessions (id, user_id, refresh_token, token_hash, ip_address, user_agent, expires_at, family_id)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '7 days', $7)`,
+    [
+      sessionId,
+      user.id,
+      refreshToken,
+      generateTokenHash(refreshToken),
+      req.ip,
+      req.get('user-agent'),
+      familyId
+    ]
+  );
+
+  return {
+    sessionId,
+    tokens: {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: 900 // 15 minutes in seconds
+    }
+  };
+}
+
+/**
+ * Issue an access/refresh token pair and record the session
+ */
+async function issueTokens(client, user, req) {
+  const { tokens } = await createSession(client, user, req);
+  return tokens;
+}
+
+/**
+ * Replace a session's refresh token with a new one in the same family
+ */
+async function rotateSession(client, session, user, req) {
+  const { sessionId, tokens } = await createSession(client, user, req, {
+    familyId: session.family_id
+  });
+
+  await client.query(
+    'UPDATE sessions SET revoked_at = NOW(), replaced_by = $1 WHERE id = $2',
+    [sessionId, session.id]
+  );
+
+  await revokeRefreshTokenByHash(session.user_id, session.token_hash);
+
+  return tokens;
+}
+
+/**
+ * Revoke every active session in a token family (Postgres and Redis)
+ */
+async function revokeSessionFamily(client, familyId) {
+  const result = await client.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE family_id = $1 AND revoked_at IS NULL
+     RETURNING user_id, token_hash`,
+    [familyId]
+  );
+
+  for (const session of result.rows) {
+    await revokeRefreshTokenByHash(session.user_id, session.token_hash);
+  }
+
+  return result.rows.length;
+}
+
+/**
+ * Revoke one of a user's sessions (Postgres and Redis).
+ * Returns false if the session does not exist or is already revoked.
+ */
+async function revokeSession(client, userId, sessionId) {
+  const result = await client.query(
+    `UPDATE sessions SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+     RETURNING token_hash`,
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeRefreshTokenByHash(userId, result.rows[0].token_hash);
+  return true;
+}
+
+/**
+ * List a user's active sessions
+ */
+async function listActiveSessions(client, userId) {
+  const result = await client.query(
+    `SELECT id, ip_address, user_agent, created_at, expires_at
+     FROM sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  createSession,
+  issueTokens,
+  rotateSession,
+  revokeSessionFamily,
+  revokeSession,
+  listActiveSessions
+};
@@ -0,0 +1,48 @@
+const db = require('../config/database');
+const { redisClient } = require('../config/redis');
+
+const SETTINGS_CACHE_TTL = 300; // 5 minutes
+
+/**
+ * Get a runtime setting, falling back to a default when unset
+ */
+async function getSetting(key, defaultValue = null) {
+  const cached = await redisClient.get(`setting:${key}`);
+
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const result = await db.query(
+    'SELECT value FROM app_settings WHERE key = $1',
+    [key]
+  );
+
+  const value = result.rows.length > 0 ? result.rows[0].value : defaultValue;
+  await redisClient.setEx(`setting:${key}`, SETTINGS_CACHE_TTL, JSON.stringify(value));
+
+  return value;
+}
+
+/**
+ * Create or replace a runtime setting
+ */
+async function setSetting(key, value, updatedBy) {
+  const result = await db.query(
+    `INSERT INTO app_settings (key, value, updated_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (key) DO UPDATE
+       SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+     RETURNING key, value, updated_by, updated_at`,
+    [key, JSON.stringify(value), updatedBy]
+  );
+
+  await redisClient.del(`setting:${key}`);
+
+  return result.rows[0];
+}
+
+module.exports = {
+  getSetting,
+  setSetting
+};
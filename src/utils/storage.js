@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Percent-encode a URI path segment the way AWS Signature Version 4 expects
+ */
+function encodeSegment(segment) {
+  return encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ * Returns the headers to send, including `Authorization`.
+ */
+function signRequest({ method, url, headers = {}, body = '', region, service = 's3', accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const signedHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': sha256(body)
+  };
+  const headerNames = Object.keys(signedHeaders).sort();
+
+  const canonicalQuery = [...searchParams]
+    .map(([key, value]) => `${encodeSegment(key)}=${encodeSegment(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    pathname.split('/').map(segment => encodeSegment(decodeURIComponent(segment))).join('/'),
+    canonicalQuery,
+    headerNames.map(name => `${name}:${signedHeaders[name]}\n`).join(''),
+    headerNames.join(';'),
+    signedHeaders['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${day}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['aws4_request', service, region, day]
+    .reduceRight((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${headerNames.join(';')}, Signature=${signature}`
+  };
+}
+
+/**
+ * Built-in storage drivers. A driver is any object with async
+ * `put(key, body, contentType)` (returning the public URL) and `remove(key)` methods.
+ */
+const drivers = {
+  // Files under STORAGE_LOCAL_DIR, served by this service at /uploads (default)
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+    const publicUrl = process.env.STORAGE_PUBLIC_URL || '/uploads';
+
+    return {
+      root,
+      async put(key, body) {
+        const file = path.join(root, key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, body);
+        return `${publicUrl}/${key}`;
+      },
+      async remove(key) {
+        await fs.rm(path.join(root, key), { force: true });
+      }
+    };
+  },
+
+  // Keeps objects in memory so tests can inspect them
+  memory: () => {
+    const objects = new Map();
+    return {
+      objects,
+      async put(key, body, contentType) {
+        objects.set(key, { body, contentType });
+        return `memory://${key}`;
+      },
+      async remove(key) {
+        objects.delete(key);
+      }
+    };
+  },
+
+  // Any S3-compatible object store (AWS S3, MinIO, ...), addressed path-style
+  s3: () => {
+    const endpoint = (process.env.S3_ENDPOINT || 'https://s3.amazonaws.com').replace(/\/$/, '');
+    const bucket = process.env.S3_BUCKET;
+    const publicUrl = process.env.STORAGE_PUBLIC_URL || `${endpoint}/${bucket}`;
+    const credentials = {
+      region: process.env.S3_REGION || 'us-east-1',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    };
+
+    const send = async (method, key, { body = '', headers = {} } = {}) => {
+      const url = `${endpoint}/${bucket}/${key}`;
+      const response = await fetch(url, {
+        method,
+        headers: signRequest({ method, url, headers, body, ...credentials }),
+        body: method === 'PUT' ? body : undefined
+      });
+
+      // Deleting an object that is already gone is not an error
+      if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+        throw new Error(`Object store responded with ${response.status} to ${method} ${key}`);
+      }
+    };
+
+    return {
+      async put(key, body, contentType) {
+        await send('PUT', key, { body, headers: { 'content-type': contentType } });
+        return `${publicUrl}/${key}`;
+      },
+      async remove(key) {
+        await send('DELETE', key);
+      }
+    };
+  }
+};
+
+let storage = null;
+
+/**
+ * Get the active storage driver, creating it from STORAGE_DRIVER on first use
+ */
+function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    storage = drivers[name]();
+  }
+
+  return storage;
+}
+
+/**
+ * Replace the active storage driver (by name or with a custom object)
+ */
+function setStorage(value) {
+  storage = typeof value === 'string' ? drivers[value]() : value;
+  return storage;
+}
+
+module.exports = {
+  signRequest,
+  getStorage,
+  setStorage
+};
@@ -1,9 +1,9 @@
 // Jest setup file
 // Mock environment variables
-process.env.JWT_SECRET = 'test-jwt-secret';
 process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
 process.env.JWT_EXPIRY = '15m';
 process.env.JWT_REFRESH_EXPIRY = '7d';
+process.env.EMAIL_VERIFICATION_SECRET = 'test-email-verification-secret';
 process.env.NODE_ENV = 'test';
 
 // Mock console.error to reduce noise in tests (optional)
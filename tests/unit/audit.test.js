@@ -0,0 +1,148 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const { diffValues, recordChange } = require('../../src/utils/audit');
+const auditController = require('../../src/controllers/auditController');
+
+describe('Audit logging', () => {
+  beforeEach(() => {
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+  });
+
+  describe('diffValues', () => {
+    it('should keep only changed fields', () => {
+      const diff = diffValues(
+        { first_name: 'John', last_name: 'Doe', phone: '+1234' },
+        { first_name: 'Jane', last_name: 'Doe' }
+      );
+
+      expect(diff).toEqual({
+        oldValues: { first_name: 'John' },
+        newValues: { first_name: 'Jane' }
+      });
+    });
+
+    it('should compare dates and nested objects by value', () => {
+      const diff = diffValues(
+        { date_of_birth: new Date('1990-01-01T00:00:00.000Z'), address: { city: 'Colombo' } },
+        { date_of_birth: '1990-01-01T00:00:00.000Z', address: { city: 'Colombo' } }
+      );
+
+      expect(diff).toBeNull();
+    });
+
+    it('should never include secrets', () => {
+      const diff = diffValues(
+        { password_hash: 'old', mfa_secret: 'old', role: 'client' },
+        { password_hash: 'new', mfa_secret: 'new', role: 'trainer' }
+      );
+
+      expect(diff).toEqual({
+        oldValues: { role: 'client' },
+        newValues: { role: 'trainer' }
+      });
+    });
+  });
+
+  describe('recordChange', () => {
+    it('should write the diff to audit_logs', async () => {
+      await recordChange({
+        userId: 'admin-1',
+        action: 'role_updated',
+        resourceType: 'user',
+        resourceId: 'user-123',
+        before: { role: 'client' },
+        after: { role: 'trainer' }
+      });
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO audit_logs'),
+        ['admin-1', 'role_updated', 'user', 'user-123', '{"role":"client"}', '{"role":"trainer"}', null, null, null]
+      );
+    });
+
+    it('should name the impersonating admin for changes made with an impersonation token', async () => {
+      const req = {
+        ip: '127.0.0.1',
+        get: jest.fn().mockReturnValue('test-agent'),
+        user: { id: 'user-123', act: { sub: 'admin-1' } }
+      };
+
+      await recordChange({
+        userId: 'user-123',
+        action: 'profile_updated',
+        before: { first_name: 'John' },
+        after: { first_name: 'Jon' },
+        req
+      });
+
+      expect(db.query.mock.calls[0][1][8]).toBe('admin-1');
+    });
+
+    it('should skip changes that do not change anything', async () => {
+      await recordChange({
+        userId: 'user-123',
+        action: 'profile_updated',
+        before: { first_name: 'John' },
+        after: { first_name: 'John' }
+      });
+
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listAuditLogs', () => {
+    let mockRes;
+
+    beforeEach(() => {
+      mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis()
+      };
+    });
+
+    it('should apply filters and paginate', async () => {
+      const from = new Date('2024-01-01T00:00:00.000Z');
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'log-1', action: 'role_updated' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '41' }] });
+
+      await auditController.listAuditLogs({
+        validatedQuery: { actor_id: 'admin-1', action: 'role_updated', from, page: 3, limit: 20 }
+      }, mockRes);
+
+      const [dataSql, dataValues] = db.query.mock.calls[0];
+      expect(dataSql).toContain('a.user_id = $1 AND a.action = $2 AND a.created_at >= $3');
+      expect(dataSql).toContain('LIMIT $4 OFFSET $5');
+      expect(dataValues).toEqual(['admin-1', 'role_updated', from, 20, 40]);
+      expect(db.query.mock.calls[1][1]).toEqual(['admin-1', 'role_updated', from]);
+
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: 'log-1', action: 'role_updated' }],
+        pagination: { page: 3, limit: 20, total_count: 41, total_pages: 3 }
+      });
+    });
+
+    it('should list everything without filters', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await auditController.listAuditLogs({ validatedQuery: { page: 1, limit: 50 } }, mockRes);
+
+      expect(db.query.mock.calls[0][0]).not.toContain('WHERE');
+      expect(db.query.mock.calls[0][1]).toEqual([50, 0]);
+    });
+  });
+});
@@ -1,6 +1,18 @@
 // Mock dependencies before importing
 jest.mock('../../src/utils/jwt', () => ({
-  verifyAccessToken: jest.fn()
+  verifyAccessToken: jest.fn(),
+  verifyServiceToken: jest.fn(() => {
+    throw new Error('Invalid or expired service token');
+  }),
+  isAccessTokenRevoked: jest.fn().mockResolvedValue(false)
+}));
+
+jest.mock('../../src/utils/permissions', () => ({
+  getRolePermissions: jest.fn().mockResolvedValue(['users:read:gym'])
+}));
+
+jest.mock('../../src/utils/memberships', () => ({
+  getActiveGymIds: jest.fn().mockResolvedValue(['gym-1'])
 }));
 
 jest.mock('../../src/config/logger', () => ({
@@ -10,8 +22,17 @@ jest.mock('../../src/config/logger', () => ({
   warn: jest.fn()
 }));
 
-const { authenticate, authorize, optionalAuth } = require('../../src/middleware/auth');
-const { verifyAccessToken } = require('../../src/utils/jwt');
+const {
+  authenticate,
+  allowServiceClients,
+  authorize,
+  requirePermission,
+  denyImpersonation,
+  requireInternalApiKey,
+  optionalAuth
+} = require('../../src/middleware/auth');
+const { verifyAccessToken, verifyServiceToken, isAccessTokenRevoked } = require('../../src/utils/jwt');
+const { getRolePermissions } = require('../../src/utils/permissions');
 
 describe('Auth Middleware', () => {
   let mockReq;
@@ -107,6 +128,90 @@ describe('Auth Middleware', () => {
 
       expect(verifyAccessToken).toHaveBeenCalledWith(token);
     });
+
+    it('should use the permissions embedded in the token', async () => {
+      mockReq.headers.authorization = 'Bearer valid-token';
+      verifyAccessToken.mockReturnValue({ id: 'user-123', role: 'admin', permissions: ['roles:manage'] });
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(getRolePermissions).not.toHaveBeenCalled();
+      expect(mockReq.user.permissions).toEqual(['roles:manage']);
+    });
+
+    it('should look up permissions for tokens issued without them', async () => {
+      mockReq.headers.authorization = 'Bearer legacy-token';
+      verifyAccessToken.mockReturnValue({ id: 'user-123', role: 'client' });
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(getRolePermissions).toHaveBeenCalledWith('client');
+      expect(mockReq.user.permissions).toEqual(['users:read:gym']);
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 401 for revoked tokens', async () => {
+      mockReq.headers.authorization = 'Bearer revoked-token';
+      verifyAccessToken.mockReturnValue({ id: 'user-123', role: 'client', jti: 'token-1' });
+      isAccessTokenRevoked.mockResolvedValueOnce(true);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(isAccessTokenRevoked).toHaveBeenCalledWith(expect.objectContaining({ jti: 'token-1' }));
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'TOKEN_REVOKED' })
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    describe('service tokens', () => {
+      const serviceClaims = { client_id: 'booking-service', scope: 'users:read users:role_info', type: 'service' };
+
+      beforeEach(() => {
+        mockReq.headers.authorization = 'Bearer service-token';
+        verifyAccessToken.mockImplementation(() => {
+          throw new Error('Invalid or expired access token');
+        });
+      });
+
+      it('should expose the client on routes that allow service clients', async () => {
+        verifyServiceToken.mockReturnValueOnce(serviceClaims);
+        allowServiceClients('users:read')(mockReq, mockRes, () => {});
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(verifyServiceToken).toHaveBeenCalledWith('service-token');
+        expect(mockReq.client).toEqual({ id: 'booking-service', scopes: ['users:read', 'users:role_info'] });
+        expect(mockReq.user).toBeNull();
+        expect(mockNext).toHaveBeenCalled();
+      });
+
+      it('should return 403 when the client lacks the route\'s scope', async () => {
+        verifyServiceToken.mockReturnValueOnce({ ...serviceClaims, scope: 'users:role_info' });
+        allowServiceClients('users:read')(mockReq, mockRes, () => {});
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          success: false,
+          error: expect.objectContaining({ code: 'INSUFFICIENT_SCOPE', message: 'Requires scope: users:read' })
+        });
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+
+      it('should reject service tokens on user routes', async () => {
+        verifyServiceToken.mockReturnValueOnce(serviceClaims);
+
+        await authenticate(mockReq, mockRes, mockNext);
+
+        expect(mockRes.status).toHaveBeenCalledWith(403);
+        expect(mockReq.client).toBeUndefined();
+        expect(mockNext).not.toHaveBeenCalled();
+      });
+    });
   });
 
   describe('authorize', () => {
@@ -172,6 +277,98 @@ describe('Auth Middleware', () => {
     });
   });
 
+  describe('requirePermission', () => {
+    it('should call next() when the user holds every required permission', () => {
+      mockReq.user = { id: 'user-123', role: 'front_desk', permissions: ['gyms:write', 'users:read:gym'] };
+
+      requirePermission('gyms:write', 'users:read:gym')(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 403 when a permission is missing', () => {
+      mockReq.user = { id: 'user-123', role: 'admin', permissions: ['gyms:write'] };
+
+      requirePermission('gyms:write', 'roles:manage')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'FORBIDDEN' })
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should return 401 when no user', () => {
+      requirePermission('gyms:write')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe('denyImpersonation', () => {
+    it('should let regular tokens through', () => {
+      mockReq.user = { id: 'user-123', role: 'client' };
+
+      denyImpersonation(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 403 for impersonation tokens', () => {
+      mockReq.user = { id: 'user-123', role: 'client', act: { sub: 'admin-1' } };
+
+      denyImpersonation(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'IMPERSONATION_FORBIDDEN' })
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requireInternalApiKey', () => {
+    const originalKeys = process.env.INTERNAL_API_KEYS;
+
+    beforeEach(() => {
+      process.env.INTERNAL_API_KEYS = 'old-internal-key, new-internal-key';
+      mockReq.get = jest.fn(name => mockReq.headers[name]);
+    });
+
+    afterAll(() => {
+      process.env.INTERNAL_API_KEYS = originalKeys;
+    });
+
+    it('should accept any configured key', () => {
+      mockReq.headers['x-internal-api-key'] = 'new-internal-key';
+
+      requireInternalApiKey(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 401 for a missing or wrong key', () => {
+      requireInternalApiKey(mockReq, mockRes, mockNext);
+      mockReq.headers['x-internal-api-key'] = 'guessed-key';
+      requireInternalApiKey(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledTimes(2);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should refuse every request when no keys are configured', () => {
+      process.env.INTERNAL_API_KEYS = '';
+      mockReq.headers['x-internal-api-key'] = '';
+
+      requireInternalApiKey(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+  });
+
   describe('optionalAuth', () => {
     it('should set user when valid token is provided', async () => {
       const mockUser = {
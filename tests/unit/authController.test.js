@@ -26,18 +26,76 @@ jest.mock('../../src/utils/jwt', () => ({
   generateAccessToken: jest.fn().mockReturnValue('mock-access-token'),
   generateRefreshToken: jest.fn().mockReturnValue('mock-refresh-token'),
   generateTokenHash: jest.fn().mockReturnValue('mock-token-hash'),
+  generateMfaChallengeToken: jest.fn().mockReturnValue('mock-mfa-token'),
   verifyRefreshToken: jest.fn(),
   storeRefreshToken: jest.fn().mockResolvedValue(undefined),
   revokeRefreshToken: jest.fn().mockResolvedValue(undefined),
+  revokeRefreshTokenByHash: jest.fn().mockResolvedValue(undefined),
+  revokeAccessToken: jest.fn().mockResolvedValue(undefined),
   isRefreshTokenValid: jest.fn(),
   revokeAllUserTokens: jest.fn().mockResolvedValue(undefined),
-  cacheUserData: jest.fn().mockResolvedValue(undefined)
+  cacheUserData: jest.fn().mockResolvedValue(undefined),
+  invalidateUserCache: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/settings', () => ({
+  getSetting: jest.fn().mockResolvedValue({ required_roles: [] })
+}));
+
+jest.mock('../../src/utils/emailVerification', () => ({
+  sendVerificationEmail: jest.fn().mockResolvedValue(undefined),
+  consumeVerificationToken: jest.fn(),
+  claimResendSlot: jest.fn().mockResolvedValue(0)
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/erasure', () => ({
+  cancelErasure: jest.fn()
+}));
+
+jest.mock('../../src/utils/mailer', () => ({
+  sendMail: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/permissions', () => ({
+  findRole: jest.fn().mockResolvedValue({ name: 'client', self_register: true }),
+  getRolePermissions: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../src/utils/memberships', () => ({
+  ...jest.requireActual('../../src/utils/memberships'),
+  getActiveGymIds: jest.fn().mockResolvedValue([]),
+  requestMembership: jest.fn().mockResolvedValue(null)
+}));
+
+jest.mock('../../src/utils/loginThrottle', () => ({
+  getLoginBlock: jest.fn().mockResolvedValue(null),
+  recordFailedLogin: jest.fn().mockResolvedValue({ locked: false, failures: 1, retryAfter: 1 }),
+  clearFailedLogins: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/config/passport', () => ({
+  passport: { authenticate: jest.fn() },
+  isProviderEnabled: jest.fn().mockReturnValue(false),
+  getProviderScope: jest.fn().mockReturnValue([])
 }));
 
 const authController = require('../../src/controllers/authController');
 const db = require('../../src/config/database');
 const jwtUtils = require('../../src/utils/jwt');
 const logger = require('../../src/config/logger');
+const settings = require('../../src/utils/settings');
+const emailVerification = require('../../src/utils/emailVerification');
+const mailer = require('../../src/utils/mailer');
+const { recordAuditLog } = require('../../src/utils/audit');
+const loginThrottle = require('../../src/utils/loginThrottle');
+const erasure = require('../../src/utils/erasure');
+const permissions = require('../../src/utils/permissions');
+const oauthConfig = require('../../src/config/passport');
+const memberships = require('../../src/utils/memberships');
 
 describe('Auth Controller', () => {
   let mockReq;
@@ -64,7 +122,8 @@ describe('Auth Controller', () => {
 
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis()
     };
 
     jest.clearAllMocks();
@@ -101,6 +160,7 @@ describe('Auth Controller', () => {
 
       // No existing user
       mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
         .mockResolvedValueOnce({ rows: [] }) // Check existing user
         .mockResolvedValueOnce({ rows: [mockUser] }) // Insert user
         .mockResolvedValueOnce({ rows: [] }); // Insert session
@@ -125,16 +185,102 @@ describe('Auth Controller', () => {
         }
       });
       expect(jwtUtils.storeRefreshToken).toHaveBeenCalled();
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
       expect(logger.info).toHaveBeenCalled();
     });
 
+    it('should roll back the new user when a later step fails', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'new-user-id', email: validRegistrationData.email, role: 'client' }] })
+        .mockRejectedValueOnce(new Error('profile insert failed'));
+
+      await authController.register(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.query).not.toHaveBeenCalledWith('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should request membership of the gym chosen at sign-up', async () => {
+      mockReq.validatedBody.gym_id = 'gym-1';
+      memberships.requestMembership.mockResolvedValueOnce({ id: 'membership-1', status: 'pending' });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'new-user-id', email: validRegistrationData.email, role: 'client', gym_id: 'gym-1' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.register(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject a gym that does not exist or is inactive', async () => {
+      mockReq.validatedBody.gym_id = 'gym-404';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'new-user-id', email: validRegistrationData.email, role: 'client' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.register(mockReq, mockRes);
+
+      expect(memberships.requestMembership).toHaveBeenCalledWith('new-user-id', 'gym-404', 'member', mockClient);
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(jwtUtils.storeRefreshToken).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('INVALID_GYM');
+    });
+
+    it('should send a verification email after registering', async () => {
+      const mockUser = {
+        id: 'new-user-id',
+        email: validRegistrationData.email,
+        role: 'client',
+        first_name: 'John'
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.register(mockReq, mockRes);
+
+      expect(emailVerification.sendVerificationEmail).toHaveBeenCalledWith(mockUser);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should create an empty role profile for the new user', async () => {
+      const mockUser = { id: 'new-user-id', email: validRegistrationData.email, role: 'client' };
+
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.register(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'INSERT INTO client_profiles (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+        ['new-user-id']
+      );
+    });
+
     it('should return 409 if user already exists', async () => {
-      mockClient.query.mockResolvedValueOnce({ 
-        rows: [{ id: 'existing-user-id' }] 
-      });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'existing-user-id' }] });
 
       await authController.register(mockReq, mockRes);
 
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
       expect(mockRes.status).toHaveBeenCalledWith(409);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: false,
@@ -145,6 +291,23 @@ describe('Auth Controller', () => {
       });
     });
 
+    it('should reject roles that are unknown or closed to self-registration', async () => {
+      permissions.findRole
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ name: 'front_desk', self_register: false });
+
+      await authController.register(mockReq, mockRes);
+      await authController.register(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenNthCalledWith(1, 400);
+      expect(mockRes.status).toHaveBeenNthCalledWith(2, 400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_ROLE' })
+      });
+      expect(mockClient.query.mock.calls.map(([sql]) => sql)).toEqual(['BEGIN', 'ROLLBACK', 'BEGIN', 'ROLLBACK']);
+    });
+
     it('should hash the password before storing', async () => {
       const mockUser = {
         id: 'new-user-id',
@@ -155,6 +318,7 @@ describe('Auth Controller', () => {
       };
 
       mockClient.query
+        .mockResolvedValueOnce({})
         .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({ rows: [mockUser] })
         .mockResolvedValueOnce({ rows: [] });
@@ -162,7 +326,7 @@ describe('Auth Controller', () => {
       await authController.register(mockReq, mockRes);
 
       // Verify password was hashed (check the INSERT query call)
-      const insertCall = mockClient.query.mock.calls[1];
+      const insertCall = mockClient.query.mock.calls[2];
       const passwordHash = insertCall[1][1]; // Second parameter is password_hash
 
       // Password hash should NOT equal plain password
@@ -196,6 +360,7 @@ describe('Auth Controller', () => {
       };
 
       mockClient.query
+        .mockResolvedValueOnce({})
         .mockResolvedValueOnce({ rows: [] })
         .mockResolvedValueOnce({ rows: [mockUser] })
         .mockResolvedValueOnce({ rows: [] });
@@ -297,6 +462,28 @@ describe('Auth Controller', () => {
       });
     });
 
+    it('should return 401 for OAuth-only account without password', async () => {
+      const mockUser = {
+        id: 'user-123',
+        email: validLoginData.email,
+        password_hash: null,
+        role: 'client',
+        is_active: true
+      };
+
+      mockClient.query.mockResolvedValueOnce({ rows: [mockUser] });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'INVALID_CREDENTIALS'
+        })
+      });
+    });
+
     it('should return 403 for disabled account', async () => {
       const mockUser = {
         id: 'user-123',
@@ -320,6 +507,53 @@ describe('Auth Controller', () => {
       });
     });
 
+    it('should return 403 when role requires a verified email', async () => {
+      const mockUser = {
+        id: 'user-123',
+        email: validLoginData.email,
+        password_hash: await bcrypt.hash(validLoginData.password, 10),
+        role: 'trainer',
+        is_active: true,
+        email_verified: false
+      };
+
+      settings.getSetting.mockResolvedValueOnce({ required_roles: ['trainer'] });
+      mockClient.query.mockResolvedValueOnce({ rows: [mockUser] });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'EMAIL_NOT_VERIFIED'
+        })
+      });
+      expect(jwtUtils.storeRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it('should allow unverified users whose role is not required to verify', async () => {
+      const mockUser = {
+        id: 'user-123',
+        email: validLoginData.email,
+        password_hash: await bcrypt.hash(validLoginData.password, 10),
+        role: 'client',
+        is_active: true,
+        email_verified: false
+      };
+
+      settings.getSetting.mockResolvedValueOnce({ required_roles: ['trainer'] });
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
     it('should update last login time on successful login', async () => {
       const passwordHash = await bcrypt.hash(validLoginData.password, 10);
       const mockUser = {
@@ -340,14 +574,135 @@ describe('Auth Controller', () => {
       // Second query should be the update last login
       expect(mockClient.query.mock.calls[1][0]).toContain('UPDATE users SET last_login');
     });
+
+    it('should count a failed login against the email and IP', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(loginThrottle.recordFailedLogin).toHaveBeenCalledWith(validLoginData.email, '127.0.0.1');
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should refuse attempts while locked without checking the password', async () => {
+      loginThrottle.getLoginBlock.mockResolvedValueOnce({ code: 'ACCOUNT_LOCKED', retryAfter: 600 });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(mockClient.query).not.toHaveBeenCalled();
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '600');
+      expect(mockRes.status).toHaveBeenCalledWith(423);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'ACCOUNT_LOCKED', retry_after: 600 })
+      });
+    });
+
+    it('should return 429 while backing off between failures', async () => {
+      loginThrottle.getLoginBlock.mockResolvedValueOnce({ code: 'LOGIN_THROTTLED', retryAfter: 4 });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'LOGIN_THROTTLED', retry_after: 4 })
+      });
+    });
+
+    it('should lock the account and audit it when the threshold is reached', async () => {
+      const mockUser = {
+        id: 'user-123',
+        email: validLoginData.email,
+        password_hash: await bcrypt.hash('other-password', 10),
+        role: 'client',
+        is_active: true
+      };
+
+      mockClient.query.mockResolvedValueOnce({ rows: [mockUser] });
+      loginThrottle.recordFailedLogin.mockResolvedValueOnce({
+        locked: true,
+        lockedScope: 'email',
+        failures: 5,
+        retryAfter: 900
+      });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        action: 'account_locked',
+        resourceId: 'user-123'
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(423);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'ACCOUNT_LOCKED', retry_after: 900 })
+      });
+    });
+
+    it('should clear failures after a correct password', async () => {
+      const mockUser = {
+        id: 'user-123',
+        email: validLoginData.email,
+        password_hash: await bcrypt.hash(validLoginData.password, 10),
+        role: 'client',
+        is_active: true
+      };
+
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(loginThrottle.clearFailedLogins).toHaveBeenCalledWith(validLoginData.email);
+      expect(loginThrottle.recordFailedLogin).not.toHaveBeenCalled();
+    });
+
+    it('should return an MFA challenge instead of tokens when 2FA is enabled', async () => {
+      const mockUser = {
+        id: 'user-123',
+        email: validLoginData.email,
+        password_hash: await bcrypt.hash(validLoginData.password, 10),
+        role: 'client',
+        is_active: true,
+        mfa_enabled: true
+      };
+
+      mockClient.query.mockResolvedValueOnce({ rows: [mockUser] });
+
+      await authController.login(mockReq, mockRes);
+
+      expect(jwtUtils.generateMfaChallengeToken).toHaveBeenCalledWith(mockUser);
+      expect(jwtUtils.generateAccessToken).not.toHaveBeenCalled();
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          mfa_required: true,
+          mfa_token: 'mock-mfa-token',
+          expires_in: 300
+        }
+      });
+    });
   });
 
   describe('refresh', () => {
+    const activeSession = {
+      id: 'session-1',
+      user_id: 'user-123',
+      family_id: 'family-1',
+      token_hash: 'mock-token-hash',
+      revoked_at: null
+    };
+
     beforeEach(() => {
       mockReq.validatedBody = { refresh_token: 'valid-refresh-token' };
     });
 
-    it('should refresh access token successfully', async () => {
+    it('should rotate the refresh token', async () => {
       const mockUser = {
         id: 'user-123',
         email: 'user@example.com',
@@ -360,7 +715,13 @@ describe('Auth Controller', () => {
 
       jwtUtils.verifyRefreshToken.mockReturnValueOnce({ id: mockUser.id });
       jwtUtils.isRefreshTokenValid.mockResolvedValueOnce(true);
-      db.query.mockResolvedValueOnce({ rows: [mockUser] });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [activeSession] }) // Lock session
+        .mockResolvedValueOnce({ rows: [mockUser] }) // Get user
+        .mockResolvedValueOnce({ rows: [] }) // Insert new session
+        .mockResolvedValueOnce({ rows: [] }) // Retire old session
+        .mockResolvedValueOnce({}); // COMMIT
 
       await authController.refresh(mockReq, mockRes);
 
@@ -368,10 +729,22 @@ describe('Auth Controller', () => {
         success: true,
         data: {
           access_token: 'mock-access-token',
+          refresh_token: 'mock-refresh-token',
           token_type: 'Bearer',
           expires_in: 900
         }
       });
+
+      // New token stays in the same family
+      expect(jwtUtils.generateRefreshToken).toHaveBeenCalledWith(mockUser, { familyId: 'family-1' });
+      const newSessionId = mockClient.query.mock.calls[3][1][0];
+      expect(mockClient.query.mock.calls[3][1][6]).toBe('family-1');
+
+      // Old token revoked in Postgres and Redis
+      expect(mockClient.query.mock.calls[4][0]).toContain('SET revoked_at = NOW(), replaced_by = $1');
+      expect(mockClient.query.mock.calls[4][1]).toEqual([newSessionId, 'session-1']);
+      expect(jwtUtils.revokeRefreshTokenByHash).toHaveBeenCalledWith('user-123', 'mock-token-hash');
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
     });
 
     it('should return 401 for invalid refresh token', async () => {
@@ -388,11 +761,16 @@ describe('Auth Controller', () => {
           code: 'INVALID_TOKEN'
         })
       });
+      expect(db.connect).not.toHaveBeenCalled();
     });
 
     it('should return 401 for revoked refresh token', async () => {
       jwtUtils.verifyRefreshToken.mockReturnValueOnce({ id: 'user-123' });
       jwtUtils.isRefreshTokenValid.mockResolvedValueOnce(false);
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [activeSession] })
+        .mockResolvedValue({});
 
       await authController.refresh(mockReq, mockRes);
 
@@ -405,6 +783,60 @@ describe('Auth Controller', () => {
       });
     });
 
+    it('should return 401 when no session exists for the token', async () => {
+      jwtUtils.verifyRefreshToken.mockReturnValueOnce({ id: 'user-123' });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValue({});
+
+      await authController.refresh(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'TOKEN_REVOKED'
+        })
+      });
+    });
+
+    it('should revoke the whole family when a revoked token is reused', async () => {
+      jwtUtils.verifyRefreshToken.mockReturnValueOnce({ id: 'user-123' });
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ ...activeSession, revoked_at: new Date() }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { user_id: 'user-123', token_hash: 'hash-a' },
+            { user_id: 'user-123', token_hash: 'hash-b' }
+          ]
+        }) // Revoke family
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await authController.refresh(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][0]).toContain('WHERE family_id = $1 AND revoked_at IS NULL');
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['family-1']);
+      expect(jwtUtils.revokeRefreshTokenByHash).toHaveBeenCalledWith('user-123', 'hash-a');
+      expect(jwtUtils.revokeRefreshTokenByHash).toHaveBeenCalledWith('user-123', 'hash-b');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        action: 'refresh_token_reuse_detected',
+        resourceId: 'family-1',
+        newValues: { session_id: 'session-1', sessions_revoked: 2 }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'TOKEN_REUSE_DETECTED'
+        })
+      });
+      expect(jwtUtils.generateAccessToken).not.toHaveBeenCalled();
+    });
+
     it('should return 401 for inactive user', async () => {
       const mockUser = {
         id: 'user-123',
@@ -413,7 +845,11 @@ describe('Auth Controller', () => {
 
       jwtUtils.verifyRefreshToken.mockReturnValueOnce({ id: mockUser.id });
       jwtUtils.isRefreshTokenValid.mockResolvedValueOnce(true);
-      db.query.mockResolvedValueOnce({ rows: [mockUser] });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [activeSession] })
+        .mockResolvedValueOnce({ rows: [mockUser] })
+        .mockResolvedValue({});
 
       await authController.refresh(mockReq, mockRes);
 
@@ -424,6 +860,7 @@ describe('Auth Controller', () => {
           code: 'INVALID_USER'
         })
       });
+      expect(mockClient.release).toHaveBeenCalled();
     });
   });
 
@@ -431,6 +868,7 @@ describe('Auth Controller', () => {
     beforeEach(() => {
       mockReq.user = { id: 'user-123', email: 'user@example.com' };
       mockReq.body = {};
+      db.query.mockResolvedValue({ rows: [] });
     });
 
     it('should logout successfully', async () => {
@@ -454,12 +892,58 @@ describe('Auth Controller', () => {
       );
     });
 
+    it('should mark the session of the provided refresh token as revoked', async () => {
+      mockReq.body.refresh_token = 'token-to-revoke';
+
+      await authController.logout(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('UPDATE sessions SET revoked_at = NOW()');
+      expect(db.query.mock.calls[0][1]).toEqual(['user-123', 'mock-token-hash']);
+    });
+
+    it('should revoke the current session when no refresh token is provided', async () => {
+      mockReq.user.sid = 'session-1';
+      db.query.mockResolvedValueOnce({ rows: [{ token_hash: 'session-hash' }] });
+
+      await authController.logout(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['session-1', 'user-123']);
+      expect(jwtUtils.revokeRefreshTokenByHash).toHaveBeenCalledWith('user-123', 'session-hash');
+    });
+
     it('should revoke all tokens if all_devices flag is set', async () => {
       mockReq.body.all_devices = true;
 
       await authController.logout(mockReq, mockRes);
 
       expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith(mockReq.user.id);
+      expect(db.query).toHaveBeenCalledWith(
+        'UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+        ['user-123']
+      );
+    });
+
+    it('should end an impersonation by revoking only the impersonation token', async () => {
+      mockReq.user = {
+        id: 'user-123',
+        email: 'user@example.com',
+        jti: 'token-1',
+        act: { sub: 'admin-1', email: 'admin@example.com' }
+      };
+      mockReq.body.all_devices = true;
+
+      await authController.logout(mockReq, mockRes);
+
+      expect(jwtUtils.revokeAccessToken).toHaveBeenCalledWith(mockReq.user);
+      expect(jwtUtils.revokeAllUserTokens).not.toHaveBeenCalled();
+      expect(db.query).not.toHaveBeenCalled();
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'impersonation_ended',
+        resourceId: 'user-123',
+        newValues: { token_id: 'token-1', ended_by: 'logout' }
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Impersonation ended' });
     });
 
     it('should handle logout errors gracefully', async () => {
@@ -478,17 +962,266 @@ describe('Auth Controller', () => {
     });
   });
 
+  describe('verifyEmail', () => {
+    beforeEach(() => {
+      mockReq.validatedBody = { token: 'verification-token' };
+    });
+
+    it('should mark the email as verified', async () => {
+      emailVerification.consumeVerificationToken.mockResolvedValueOnce({
+        id: 'user-123',
+        email: 'user@example.com'
+      });
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com' }] });
+
+      await authController.verifyEmail(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('SET email_verified = true');
+      expect(db.query.mock.calls[0][1]).toEqual(['user-123', 'user@example.com']);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Email verified successfully'
+      });
+    });
+
+    it('should return 400 for an invalid or used token', async () => {
+      emailVerification.consumeVerificationToken.mockRejectedValueOnce(new Error('Invalid'));
+
+      await authController.verifyEmail(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'INVALID_TOKEN'
+        })
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when the email changed since the token was issued', async () => {
+      emailVerification.consumeVerificationToken.mockResolvedValueOnce({
+        id: 'user-123',
+        email: 'old@example.com'
+      });
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await authController.verifyEmail(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('resendVerification', () => {
+    beforeEach(() => {
+      mockReq.validatedBody = { email: 'user@example.com' };
+    });
+
+    it('should resend to an unverified user', async () => {
+      const mockUser = { id: 'user-123', email: 'user@example.com', email_verified: false };
+      db.query.mockResolvedValueOnce({ rows: [mockUser] });
+
+      await authController.resendVerification(mockReq, mockRes);
+
+      expect(emailVerification.sendVerificationEmail).toHaveBeenCalledWith(mockUser);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should respond identically for unknown emails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await authController.resendVerification(mockReq, mockRes);
+
+      expect(emailVerification.sendVerificationEmail).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should not send to already verified users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email_verified: true }] });
+
+      await authController.resendVerification(mockReq, mockRes);
+
+      expect(emailVerification.sendVerificationEmail).not.toHaveBeenCalled();
+    });
+
+    it('should return 429 when throttled', async () => {
+      emailVerification.claimResendSlot.mockResolvedValueOnce(42);
+
+      await authController.resendVerification(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '42');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'RESEND_THROTTLED',
+          retry_after: 42
+        })
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('forgotPassword', () => {
+    beforeEach(() => {
+      mockReq.validatedBody = { email: 'user@example.com' };
+    });
+
+    it('should store a hashed token and email a reset link', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com' }] })
+        .mockResolvedValueOnce({ rows: [] }) // Expire previous tokens
+        .mockResolvedValueOnce({ rows: [] }); // Insert token
+
+      await authController.forgotPassword(mockReq, mockRes);
+
+      const insertCall = db.query.mock.calls[2];
+      expect(insertCall[0]).toContain('INSERT INTO password_reset_tokens');
+      expect(insertCall[1][1]).toBe('mock-token-hash');
+
+      expect(mailer.sendMail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'user@example.com',
+        text: expect.stringMatching(/reset-password\?token=[a-f0-9]{64}/)
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should give the same response for unknown emails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await authController.forgotPassword(mockReq, mockRes);
+
+      expect(mailer.sendMail).not.toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent'
+      });
+    });
+  });
+
+  describe('resetPassword', () => {
+    beforeEach(() => {
+      mockReq.validatedBody = { token: 'reset-token', new_password: 'NewSecurePass123' };
+    });
+
+    it('should update the password and revoke every session', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'token-1', user_id: 'user-123', email: 'user@example.com' }] })
+        .mockResolvedValue({ rows: [] });
+
+      await authController.resetPassword(mockReq, mockRes);
+
+      const queries = mockClient.query.mock.calls.map(call => call[0]);
+      expect(queries[1]).toContain('FROM password_reset_tokens');
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['mock-token-hash']);
+      expect(queries[2]).toContain('UPDATE users SET password_hash');
+      expect(mockClient.query.mock.calls[2][1][0]).toMatch(/^\$2[aby]?\$/);
+      expect(queries[3]).toContain('UPDATE password_reset_tokens SET used_at');
+      expect(queries[4]).toContain('UPDATE sessions SET revoked_at');
+      expect(queries).toContain('COMMIT');
+
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Password has been reset successfully'
+      });
+    });
+
+    it('should reject an invalid, expired or used token', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] });
+
+      await authController.resetPassword(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'INVALID_TOKEN'
+        })
+      });
+      expect(jwtUtils.revokeAllUserTokens).not.toHaveBeenCalled();
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelErasure', () => {
+    beforeEach(() => {
+      mockReq.validatedBody = { token: 'cancel-token' };
+      mockClient.query.mockResolvedValue({ rows: [] });
+    });
+
+    it('should restore the account behind a valid cancel link', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123' }] });
+      erasure.cancelErasure.mockResolvedValueOnce({ id: 'user-123', email: 'user@example.com' });
+
+      await authController.cancelErasure(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['mock-token-hash']);
+      expect(erasure.cancelErasure).toHaveBeenCalledWith(mockClient, 'user-123');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'user_erasure_cancelled' }));
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should reject unknown or expired links', async () => {
+      await authController.cancelErasure(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
   describe('oauthCallback', () => {
-    it('should return 501 not implemented', async () => {
+    it('should return 404 when provider is not configured', async () => {
+      mockReq.params = { provider: 'google' };
+      mockReq.query = {};
+      mockReq.body = { code: 'auth-code', state: 'state' };
+
       await authController.oauthCallback(mockReq, mockRes);
 
-      expect(mockRes.status).toHaveBeenCalledWith(501);
+      expect(mockRes.status).toHaveBeenCalledWith(404);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: false,
         error: expect.objectContaining({
-          code: 'NOT_IMPLEMENTED'
+          code: 'PROVIDER_NOT_SUPPORTED'
         })
       });
     });
+
+    it('should answer 500 when no database connection can be had', async () => {
+      mockReq.params = { provider: 'google' };
+      mockReq.query = {};
+      mockReq.body = { code: 'auth-code', state: 'state' };
+      oauthConfig.isProviderEnabled.mockReturnValueOnce(true);
+      db.connect.mockRejectedValueOnce(new Error('pool exhausted'));
+
+      let done;
+      oauthConfig.passport.authenticate.mockImplementationOnce((provider, options, callback) => () => {
+        done = callback(null, { id: 'user-123', email: 'user@example.com', is_active: true, mfa_enabled: false });
+      });
+
+      authController.oauthCallback(mockReq, mockRes);
+      await done;
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'LOGIN_FAILED' })
+      });
+      expect(mockClient.release).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown providers', async () => {
+      mockReq.params = { provider: 'myspace' };
+
+      await authController.oauthStart(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
   });
 });
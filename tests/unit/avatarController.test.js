@@ -0,0 +1,163 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/jwt', () => ({
+  invalidateUserCache: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/avatars', () => ({
+  AVATAR_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  renderAvatarVariants: jest.fn(),
+  storeAvatarVariants: jest.fn(),
+  removeAvatarVariants: jest.fn().mockResolvedValue(undefined)
+}));
+
+const avatarController = require('../../src/controllers/avatarController');
+const db = require('../../src/config/database');
+const { recordChange } = require('../../src/utils/audit');
+const { invalidateUserCache } = require('../../src/utils/jwt');
+const { renderAvatarVariants, storeAvatarVariants, removeAvatarVariants } = require('../../src/utils/avatars');
+
+describe('Avatar Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  const stored = {
+    key: 'avatars/user-123/new',
+    urls: {
+      small: '/uploads/avatars/user-123/new-small.webp',
+      medium: '/uploads/avatars/user-123/new-medium.webp',
+      large: '/uploads/avatars/user-123/new-large.webp'
+    }
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+
+    mockReq = {
+      file: { buffer: Buffer.from('image') },
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'user-123', email: 'user@example.com', role: 'client' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('uploadAvatar', () => {
+    it('should store the variants and point profile_image_url at the medium one', async () => {
+      renderAvatarVariants.mockResolvedValueOnce({ small: 's', medium: 'm', large: 'l' });
+      storeAvatarVariants.mockResolvedValueOnce(stored);
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ profile_image_url: '/uploads/old-medium.webp', avatar_key: 'avatars/user-123/old' }] })
+        .mockResolvedValueOnce({ rows: [{ profile_image_url: stored.urls.medium, profile_image_variants: stored.urls }] });
+
+      await avatarController.uploadAvatar(mockReq, mockRes);
+
+      expect(storeAvatarVariants).toHaveBeenCalledWith('user-123', { small: 's', medium: 'm', large: 'l' });
+      expect(storeAvatarVariants.mock.invocationCallOrder[0]).toBeLessThan(db.connect.mock.invocationCallOrder[0]);
+      expect(mockClient.query.mock.calls[2][1]).toEqual([stored.urls.medium, JSON.stringify(stored.urls), stored.key, 'user-123']);
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'avatar_updated',
+        before: { profile_image_url: '/uploads/old-medium.webp' },
+        after: { profile_image_url: stored.urls.medium }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(invalidateUserCache).toHaveBeenCalledWith('user-123');
+      expect(removeAvatarVariants).toHaveBeenCalledWith('avatars/user-123/old');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { profile_image_url: stored.urls.medium, profile_image_variants: stored.urls }
+      });
+    });
+
+    it('should reject files that are not images', async () => {
+      renderAvatarVariants.mockResolvedValueOnce(null);
+
+      await avatarController.uploadAvatar(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('INVALID_FILE');
+      expect(storeAvatarVariants).not.toHaveBeenCalled();
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+
+    it('should not take a connection when storing the images fails', async () => {
+      renderAvatarVariants.mockResolvedValueOnce({ small: 's', medium: 'm', large: 'l' });
+      storeAvatarVariants.mockRejectedValueOnce(new Error('bucket unavailable'));
+
+      await avatarController.uploadAvatar(mockReq, mockRes);
+
+      expect(db.connect).not.toHaveBeenCalled();
+      expect(mockClient.query).not.toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should remove the new files when the update fails', async () => {
+      renderAvatarVariants.mockResolvedValueOnce({ small: 's', medium: 'm', large: 'l' });
+      storeAvatarVariants.mockResolvedValueOnce(stored);
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      await avatarController.uploadAvatar(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+      expect(removeAvatarVariants).toHaveBeenCalledWith(stored.key);
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('deleteAvatar', () => {
+    it('should clear the avatar and delete its files', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ profile_image_url: stored.urls.medium, avatar_key: stored.key }] });
+
+      await avatarController.deleteAvatar(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][0]).toContain('profile_image_url = NULL');
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({ action: 'avatar_removed' }));
+      expect(removeAvatarVariants).toHaveBeenCalledWith(stored.key);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Avatar removed' });
+    });
+
+    it('should return 404 when there is no avatar', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ profile_image_url: null, avatar_key: null }] });
+
+      await avatarController.deleteAvatar(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(removeAvatarVariants).not.toHaveBeenCalled();
+    });
+  });
+});
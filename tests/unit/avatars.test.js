@@ -0,0 +1,74 @@
+const sharp = require('sharp');
+const { setStorage } = require('../../src/utils/storage');
+const {
+  AVATAR_VARIANTS,
+  renderAvatarVariants,
+  storeAvatarVariants,
+  removeAvatarVariants
+} = require('../../src/utils/avatars');
+
+describe('Avatars', () => {
+  const photo = () => sharp({
+    create: { width: 800, height: 600, channels: 3, background: { r: 200, g: 80, b: 40 } }
+  })
+    .jpeg()
+    .withMetadata({ orientation: 6, exif: { IFD0: { Make: 'FitCam', Copyright: 'Jane Doe' } } })
+    .toBuffer();
+
+  describe('renderAvatarVariants', () => {
+    it('should render square WebP variants without metadata', async () => {
+      const input = await photo();
+      expect((await sharp(input).metadata()).exif).toBeDefined();
+
+      const variants = await renderAvatarVariants(input);
+
+      expect(Object.keys(variants)).toEqual(Object.keys(AVATAR_VARIANTS));
+
+      for (const [name, size] of Object.entries(AVATAR_VARIANTS)) {
+        const metadata = await sharp(variants[name]).metadata();
+        expect(metadata.format).toBe('webp');
+        expect([metadata.width, metadata.height]).toEqual([size, size]);
+        expect(metadata.exif).toBeUndefined();
+        expect(metadata.orientation).toBeUndefined();
+      }
+    });
+
+    it('should not enlarge small images', async () => {
+      const input = await sharp({
+        create: { width: 100, height: 100, channels: 3, background: '#000' }
+      }).png().toBuffer();
+
+      const variants = await renderAvatarVariants(input);
+
+      expect((await sharp(variants.large).metadata()).width).toBe(100);
+      expect((await sharp(variants.small).metadata()).width).toBe(64);
+    });
+
+    it('should return null for data that is not a supported image', async () => {
+      const gif = await sharp({
+        create: { width: 10, height: 10, channels: 3, background: '#000' }
+      }).gif().toBuffer();
+
+      expect(await renderAvatarVariants(Buffer.from('<svg></svg>'))).toBeNull();
+      expect(await renderAvatarVariants(gif)).toBeNull();
+    });
+  });
+
+  describe('storeAvatarVariants', () => {
+    it('should store every variant under a fresh key and remove them again', async () => {
+      const storage = setStorage('memory');
+
+      const first = await storeAvatarVariants('user-123', { small: Buffer.from('s'), medium: Buffer.from('m'), large: Buffer.from('l') });
+      const second = await storeAvatarVariants('user-123', { small: Buffer.from('s'), medium: Buffer.from('m'), large: Buffer.from('l') });
+
+      expect(first.key).toMatch(/^avatars\/user-123\//);
+      expect(second.key).not.toBe(first.key);
+      expect(first.urls.medium).toBe(`memory://${first.key}-medium.webp`);
+      expect(storage.objects.get(`${first.key}-small.webp`).contentType).toBe('image/webp');
+
+      await removeAvatarVariants(first.key);
+
+      expect([...storage.objects.keys()].every(key => key.startsWith(second.key))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const { collectUserData, runExport, purgeExpiredExports, resumeExports } = require('../../src/utils/dataExport');
+
+describe('Data Export', () => {
+  beforeEach(() => {
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+  });
+
+  describe('collectUserData', () => {
+    it('should gather the user and related records without secrets', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com' }] });
+
+      const archive = await collectUserData('user-123');
+
+      expect(archive.user).toEqual({ id: 'user-123', email: 'user@example.com' });
+      expect(archive).toEqual(expect.objectContaining({
+        trainer_profile: null,
+        client_profile: null,
+        gym_memberships: [],
+        trainer_clients: [],
+        sessions: [],
+        password_resets: [],
+        email_changes: [],
+        audit_logs: []
+      }));
+
+      const sql = db.query.mock.calls.map(([query]) => query).join('\n');
+      expect(sql).not.toMatch(/password_hash|mfa_secret|refresh_token|token_hash/);
+      db.query.mock.calls.forEach(([, values]) => expect(values).toEqual(['user-123']));
+    });
+
+    it('should return null for unknown users', async () => {
+      expect(await collectUserData('missing')).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('runExport', () => {
+    it('should claim a pending export and store the archive', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 'user-123' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123' }] });
+
+      await runExport('export-1');
+
+      expect(db.query.mock.calls[0][0]).toContain("WHERE id = $1 AND status = 'pending'");
+
+      const [sql, values] = db.query.mock.calls[db.query.mock.calls.length - 1];
+      expect(sql).toContain("status = 'completed'");
+      expect(JSON.parse(values[0]).user).toEqual({ id: 'user-123' });
+      expect(values.slice(1)).toEqual([7, 'export-1']);
+    });
+
+    it('should do nothing when the export was already claimed', async () => {
+      await runExport('export-1');
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should mark the export failed when gathering fails', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ user_id: 'user-123' }] })
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      await runExport('export-1');
+
+      const [sql, values] = db.query.mock.calls[db.query.mock.calls.length - 1];
+      expect(sql).toContain("status = 'failed'");
+      expect(values).toEqual(['connection lost', 'export-1']);
+    });
+  });
+
+  describe('resumeExports', () => {
+    it('should rerun exports interrupted by a shutdown', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'export-1' }] });
+
+      await resumeExports();
+
+      expect(db.query.mock.calls[0][0]).toContain("status = 'pending'");
+      expect(db.query.mock.calls[1][1]).toEqual(['export-1']);
+    });
+  });
+
+  describe('purgeExpiredExports', () => {
+    it('should delete archives past their retention period', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'export-1' }, { id: 'export-2' }] });
+
+      expect(await purgeExpiredExports()).toBe(2);
+      expect(db.query).toHaveBeenCalledWith('DELETE FROM data_exports WHERE expires_at < NOW() RETURNING id');
+    });
+  });
+});
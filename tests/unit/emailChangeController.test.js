@@ -0,0 +1,268 @@
+const bcrypt = require('bcrypt');
+
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined),
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/mailer', () => ({
+  sendMail: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/jwt', () => ({
+  generateTokenHash: jest.fn(token => `hash-${token}`),
+  revokeAllUserTokens: jest.fn().mockResolvedValue(undefined),
+  revokeUserAccessTokens: jest.fn().mockResolvedValue(undefined),
+  invalidateUserCache: jest.fn().mockResolvedValue(undefined)
+}));
+
+const emailChangeController = require('../../src/controllers/emailChangeController');
+const db = require('../../src/config/database');
+const { recordAuditLog, recordChange } = require('../../src/utils/audit');
+const { sendMail } = require('../../src/utils/mailer');
+const jwtUtils = require('../../src/utils/jwt');
+
+describe('Email Change Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+  let passwordHash;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash('correct-password', 4);
+  });
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+
+    mockReq = {
+      validatedBody: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'user-123', email: 'old@example.com', role: 'client' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('requestEmailChange', () => {
+    const user = () => ({ id: 'user-123', email: 'old@example.com', first_name: 'Jane', password_hash: passwordHash });
+
+    beforeEach(() => {
+      mockReq.validatedBody = { new_email: 'new@example.com', password: 'correct-password', revoke_sessions: true };
+    });
+
+    it('should store hashed tokens and email both addresses', async () => {
+      const expiresAt = new Date();
+      db.query
+        .mockResolvedValueOnce({ rows: [user()] })
+        .mockResolvedValueOnce({ rows: [] }) // address is free
+        .mockResolvedValueOnce({ rows: [] }) // cancel older requests
+        .mockResolvedValueOnce({ rows: [{ id: 'change-1', expires_at: expiresAt }] });
+
+      await emailChangeController.requestEmailChange(mockReq, mockRes);
+
+      expect(db.query.mock.calls[2][0]).toContain('SET cancelled_at = NOW()');
+      const values = db.query.mock.calls[3][1];
+      expect(values.slice(0, 3)).toEqual(['user-123', 'old@example.com', 'new@example.com']);
+      expect(values[3]).toMatch(/^hash-[0-9a-f]{64}$/);
+      expect(values[4]).toMatch(/^hash-[0-9a-f]{64}$/);
+      expect(values[5]).toBe(true);
+
+      const confirmMail = sendMail.mock.calls.find(([message]) => message.to === 'new@example.com')[0];
+      const noticeMail = sendMail.mock.calls.find(([message]) => message.to === 'old@example.com')[0];
+      expect(confirmMail.text).toContain(`/confirm-email-change?token=${values[3].slice(5)}`);
+      expect(noticeMail.text).toContain('new@example.com');
+      expect(noticeMail.text).toContain(`/cancel-email-change?token=${values[4].slice(5)}`);
+
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'email_change_requested',
+        newValues: { new_email: 'new@example.com', revoke_sessions: true }
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      expect(mockRes.json.mock.calls[0][0].data).toEqual({ new_email: 'new@example.com', revoke_sessions: true, expires_at: expiresAt });
+    });
+
+    it('should reject a wrong password', async () => {
+      mockReq.validatedBody.password = 'wrong-password';
+      db.query.mockResolvedValueOnce({ rows: [user()] });
+
+      await emailChangeController.requestEmailChange(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should let a password-less account go ahead after a recent sign-in', async () => {
+      mockReq.user.sid = 'session-1';
+      delete mockReq.validatedBody.password;
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...user(), password_hash: null }] })
+        .mockResolvedValueOnce({ rows: [{ recent: true }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'change-1', expires_at: new Date() }] });
+
+      await emailChangeController.requestEmailChange(mockReq, mockRes);
+
+      expect(db.query.mock.calls[1][1]).toEqual(['session-1', 'user-123', 10]);
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+    });
+
+    it('should ask a password-less account to sign in again when its sign-in is stale', async () => {
+      mockReq.user.sid = 'session-1';
+      delete mockReq.validatedBody.password;
+      db.query
+        .mockResolvedValueOnce({ rows: [{ ...user(), password_hash: null }] })
+        .mockResolvedValueOnce({ rows: [{ recent: false }] });
+
+      await emailChangeController.requestEmailChange(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('REAUTHENTICATION_REQUIRED');
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should reject the current address', async () => {
+      mockReq.validatedBody.new_email = 'OLD@example.com';
+      db.query.mockResolvedValueOnce({ rows: [user()] });
+
+      await emailChangeController.requestEmailChange(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('SAME_EMAIL');
+    });
+
+    it('should reject an address another account uses', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [user()] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-456' }] });
+
+      await emailChangeController.requestEmailChange(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('EMAIL_TAKEN');
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('confirmEmailChange', () => {
+    const change = { id: 'change-1', user_id: 'user-123', old_email: 'old@example.com', new_email: 'new@example.com', revoke_sessions: false };
+
+    beforeEach(() => {
+      mockReq = { ...mockReq, user: undefined, validatedBody: { token: 'confirm-token' } };
+    });
+
+    it('should switch the address, mark it verified and clear the cached user', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [change] });
+
+      await emailChangeController.confirmEmailChange(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['hash-confirm-token']);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'UPDATE users SET email = $1, email_verified = true WHERE id = $2',
+        ['new@example.com', 'user-123']
+      );
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'email_changed',
+        before: { email: 'old@example.com' },
+        after: { email: 'new@example.com' }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(jwtUtils.invalidateUserCache).toHaveBeenCalledWith('user-123');
+      expect(jwtUtils.revokeAllUserTokens).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: { email: 'new@example.com' } }));
+    });
+
+    it('should sign out everywhere when requested', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...change, revoke_sessions: true }] });
+
+      await emailChangeController.confirmEmailChange(mockReq, mockRes);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toContain('UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL');
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123');
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123');
+    });
+
+    it('should cancel the request when the address was taken in the meantime', async () => {
+      const uniqueViolation = Object.assign(new Error('duplicate key value'), { code: '23505' });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [change] })
+        .mockResolvedValueOnce({}) // SAVEPOINT
+        .mockRejectedValueOnce(uniqueViolation);
+
+      await emailChangeController.confirmEmailChange(mockReq, mockRes);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements).toContain('ROLLBACK TO SAVEPOINT change_email');
+      expect(statements).toContain('UPDATE email_change_requests SET cancelled_at = NOW() WHERE id = $1');
+      expect(statements).toContain('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('EMAIL_TAKEN');
+      expect(jwtUtils.invalidateUserCache).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown, used or expired links', async () => {
+      await emailChangeController.confirmEmailChange(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelEmailChange', () => {
+    beforeEach(() => {
+      mockReq = { ...mockReq, user: undefined, validatedBody: { token: 'cancel-token' } };
+    });
+
+    it('should cancel a pending change', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ user_id: 'user-123', new_email: 'new@example.com' }] });
+
+      await emailChangeController.cancelEmailChange(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['hash-cancel-token']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        action: 'email_change_cancelled'
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Email change cancelled' });
+    });
+
+    it('should reject links for changes that are no longer pending', async () => {
+      await emailChangeController.cancelEmailChange(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(recordAuditLog).not.toHaveBeenCalled();
+    });
+  });
+});
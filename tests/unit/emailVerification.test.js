@@ -0,0 +1,138 @@
+const jwt = require('jsonwebtoken');
+
+// In-memory Redis stand-in
+const mockRedisStore = new Map();
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    setEx: async (key, ttl, value) => { mockRedisStore.set(key, value); return 'OK'; },
+    set: async (key, value, options = {}) => {
+      if (options.NX && mockRedisStore.has(key)) return null;
+      mockRedisStore.set(key, value);
+      return 'OK';
+    },
+    get: async (key) => (mockRedisStore.has(key) ? mockRedisStore.get(key) : null),
+    getDel: async (key) => {
+      const value = mockRedisStore.has(key) ? mockRedisStore.get(key) : null;
+      mockRedisStore.delete(key);
+      return value;
+    },
+    del: async (key) => { mockRedisStore.delete(key); return 1; },
+    ttl: async () => 30
+  }
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  createVerificationToken,
+  consumeVerificationToken,
+  sendVerificationEmail,
+  claimResendSlot
+} = require('../../src/utils/emailVerification');
+const { setTransport } = require('../../src/utils/mailer');
+
+describe('Email Verification', () => {
+  const mockUser = {
+    id: '123e4567-e89b-12d3-a456-426614174000',
+    email: 'test@example.com',
+    first_name: 'Test'
+  };
+
+  let transport;
+
+  beforeEach(() => {
+    mockRedisStore.clear();
+    transport = setTransport('memory');
+  });
+
+  describe('createVerificationToken', () => {
+    it('should create a signed token bound to the user and email', async () => {
+      const token = await createVerificationToken(mockUser);
+      const decoded = jwt.decode(token);
+
+      expect(decoded.id).toBe(mockUser.id);
+      expect(decoded.email).toBe(mockUser.email);
+      expect(decoded.type).toBe('email_verification');
+      expect(decoded.jti).toBeDefined();
+      expect(decoded.exp - decoded.iat).toBe(86400);
+    });
+  });
+
+  describe('consumeVerificationToken', () => {
+    it('should accept a valid token once', async () => {
+      const token = await createVerificationToken(mockUser);
+
+      const decoded = await consumeVerificationToken(token);
+      expect(decoded.id).toBe(mockUser.id);
+
+      await expect(consumeVerificationToken(token)).rejects.toThrow('Invalid or expired verification token');
+    });
+
+    it('should accept only one of two concurrent uses', async () => {
+      const token = await createVerificationToken(mockUser);
+
+      const results = await Promise.allSettled([
+        consumeVerificationToken(token),
+        consumeVerificationToken(token)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    });
+
+    it('should reject a token superseded by a newer one', async () => {
+      const oldToken = await createVerificationToken(mockUser);
+      await createVerificationToken(mockUser);
+
+      await expect(consumeVerificationToken(oldToken)).rejects.toThrow('Invalid or expired verification token');
+    });
+
+    it('should reject a tampered token', async () => {
+      const forged = jwt.sign(
+        { id: mockUser.id, email: mockUser.email, type: 'email_verification' },
+        'wrong-secret',
+        { jwtid: 'abc', issuer: 'fitsync-user-service', audience: 'fitsync-email-verification' }
+      );
+
+      await expect(consumeVerificationToken(forged)).rejects.toThrow('Invalid or expired verification token');
+    });
+
+    it('should reject an expired token', async () => {
+      const token = await createVerificationToken(mockUser);
+      const { jti } = jwt.decode(token);
+      const expired = jwt.sign(
+        { id: mockUser.id, email: mockUser.email, type: 'email_verification' },
+        process.env.EMAIL_VERIFICATION_SECRET,
+        { expiresIn: '-1s', jwtid: jti, issuer: 'fitsync-user-service', audience: 'fitsync-email-verification' }
+      );
+
+      await expect(consumeVerificationToken(expired)).rejects.toThrow('Invalid or expired verification token');
+    });
+  });
+
+  describe('sendVerificationEmail', () => {
+    it('should send a verification link through the mail transport', async () => {
+      await sendVerificationEmail(mockUser);
+
+      expect(transport.outbox).toHaveLength(1);
+      expect(transport.outbox[0].to).toBe(mockUser.email);
+      expect(transport.outbox[0].subject).toContain('Verify');
+
+      const token = decodeURIComponent(transport.outbox[0].text.match(/token=([^\s]+)/)[1]);
+      const decoded = await consumeVerificationToken(token);
+      expect(decoded.id).toBe(mockUser.id);
+    });
+  });
+
+  describe('claimResendSlot', () => {
+    it('should allow the first request and throttle the next', async () => {
+      expect(await claimResendSlot('Test@Example.com')).toBe(0);
+      expect(await claimResendSlot('test@example.com')).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/jwt', () => ({
+  generateTokenHash: jest.fn().mockReturnValue('mock-token-hash'),
+  revokeAllUserTokens: jest.fn().mockResolvedValue(undefined),
+  revokeUserAccessTokens: jest.fn().mockResolvedValue(undefined),
+  invalidateUserCache: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/mailer', () => ({
+  sendMail: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/avatars', () => ({
+  removeAvatarVariants: jest.fn().mockResolvedValue(undefined)
+}));
+
+const db = require('../../src/config/database');
+const jwtUtils = require('../../src/utils/jwt');
+const { sendMail } = require('../../src/utils/mailer');
+const { removeAvatarVariants } = require('../../src/utils/avatars');
+const {
+  scheduleErasure,
+  sendErasureNotice,
+  cancelErasure,
+  eraseUser,
+  eraseDueUsers
+} = require('../../src/utils/erasure');
+
+describe('Erasure', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+
+    jest.clearAllMocks();
+  });
+
+  describe('scheduleErasure', () => {
+    it('should deactivate the user and store only the cancel token hash', async () => {
+      const scheduledAt = new Date();
+      mockClient.query.mockResolvedValueOnce({ rows: [{ erasure_scheduled_at: scheduledAt }] });
+
+      const result = await scheduleErasure(mockClient, 'user-123', 'admin-1');
+
+      const [sql, values] = mockClient.query.mock.calls[0];
+      expect(sql).toContain('is_active = false');
+      expect(values).toEqual([30, 'admin-1', 'mock-token-hash', 'user-123']);
+      expect(jwtUtils.generateTokenHash).toHaveBeenCalledWith(result.cancelToken);
+      expect(result.scheduledAt).toBe(scheduledAt);
+    });
+  });
+
+  describe('sendErasureNotice', () => {
+    it('should email the erasure date and the cancel link', async () => {
+      await sendErasureNotice(
+        { email: 'user@example.com', first_name: 'Jane' },
+        { scheduledAt: new Date('2025-02-01T00:00:00.000Z'), cancelToken: 'cancel-token' }
+      );
+
+      const message = sendMail.mock.calls[0][0];
+      expect(message.to).toBe('user@example.com');
+      expect(message.text).toContain('/cancel-erasure?token=cancel-token');
+      expect(message.text).toContain('Sat, 01 Feb 2025');
+    });
+  });
+
+  describe('cancelErasure', () => {
+    it('should return null when no erasure is pending', async () => {
+      expect(await cancelErasure(mockClient, 'user-123')).toBeNull();
+      expect(mockClient.query.mock.calls[0][0]).toContain('erased_at IS NULL');
+    });
+  });
+
+  describe('eraseUser', () => {
+    it('should tombstone the user, delete their data and detach their audit entries', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123' }] });
+
+      expect(await eraseUser('user-123')).toBe(true);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements.find(sql => sql.includes('UPDATE users'))).toContain("'@erased.invalid'");
+      ['sessions', 'mfa_recovery_codes', 'password_reset_tokens', 'email_change_requests', 'data_exports', 'trainer_profiles', 'client_profiles']
+        .forEach(table => expect(statements).toContain(`DELETE FROM ${table} WHERE user_id = $1`));
+      expect(statements).toContain('UPDATE audit_logs SET user_id = NULL, ip_address = NULL, user_agent = NULL WHERE user_id = $1');
+      expect(statements).toContain('COMMIT');
+      expect(statements.some(sql => /DELETE FROM users/.test(sql))).toBe(false);
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123');
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123');
+      expect(removeAvatarVariants).not.toHaveBeenCalled();
+    });
+
+    it('should delete stored avatar images after committing', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', avatar_key: 'avatars/user-123/abc' }] });
+
+      await eraseUser('user-123');
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements.find(sql => sql.includes('UPDATE users'))).toContain('avatar_key = NULL');
+      expect(removeAvatarVariants).toHaveBeenCalledWith('avatars/user-123/abc');
+    });
+
+    it('should skip users whose erasure was cancelled or is not due', async () => {
+      expect(await eraseUser('user-123')).toBe(false);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(jwtUtils.revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+
+    it('should roll back when a step fails', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123' }] })
+        .mockRejectedValueOnce(new Error('deadlock detected'));
+
+      await expect(eraseUser('user-123')).rejects.toThrow('deadlock detected');
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('eraseDueUsers', () => {
+    it('should keep going after one erasure fails', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-1' }, { id: 'user-2' }] });
+      db.connect
+        .mockRejectedValueOnce(new Error('pool exhausted'))
+        .mockResolvedValueOnce(mockClient);
+
+      await eraseDueUsers();
+
+      expect(db.connect).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/dataExport', () => ({
+  startExport: jest.fn()
+}));
+
+jest.mock('../../src/utils/jwt', () => ({
+  EXPORT_DOWNLOAD_EXPIRY: 900,
+  generateExportDownloadToken: jest.fn().mockReturnValue('download-token'),
+  verifyExportDownloadToken: jest.fn()
+}));
+
+const exportController = require('../../src/controllers/exportController');
+const db = require('../../src/config/database');
+const { recordAuditLog } = require('../../src/utils/audit');
+const { startExport } = require('../../src/utils/dataExport');
+const { generateExportDownloadToken, verifyExportDownloadToken } = require('../../src/utils/jwt');
+
+describe('Export Controller', () => {
+  let mockReq;
+  let mockRes;
+
+  const pendingExport = { id: 'export-1', user_id: 'user-123', status: 'pending', error: null, expires_at: null };
+  const completedExport = {
+    ...pendingExport,
+    status: 'completed',
+    expires_at: new Date(Date.now() + 86400000)
+  };
+
+  beforeEach(() => {
+    db.query = jest.fn();
+
+    mockReq = {
+      params: {},
+      query: {},
+      baseUrl: '/api/users',
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'user-123', email: 'user@example.com', role: 'client' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('requestMyExport', () => {
+    it('should queue an export and start it in the background', async () => {
+      db.query.mockResolvedValueOnce({ rows: [pendingExport] });
+
+      await exportController.requestMyExport(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['user-123', 'user-123']);
+      expect(startExport).toHaveBeenCalledWith('export-1');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'data_export_requested',
+        resourceId: 'user-123'
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      expect(mockRes.json.mock.calls[0][0].data).toEqual(expect.objectContaining({ id: 'export-1', status: 'pending' }));
+    });
+
+    it('should return the export already in progress instead of starting another', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ ...pendingExport, status: 'running' }] });
+
+      await exportController.requestMyExport(mockReq, mockRes);
+
+      expect(startExport).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+      expect(mockRes.json.mock.calls[0][0].data.status).toBe('running');
+    });
+  });
+
+  describe('getMyExport', () => {
+    it('should include a time-limited download link once completed', async () => {
+      db.query.mockResolvedValueOnce({ rows: [completedExport] });
+
+      await exportController.getMyExport(mockReq, mockRes);
+
+      expect(generateExportDownloadToken).toHaveBeenCalledWith(completedExport, 'user-123');
+      expect(mockRes.json.mock.calls[0][0].data).toEqual(expect.objectContaining({
+        download_url: '/api/users/exports/export-1/download?token=download-token',
+        download_expires_in: 900
+      }));
+    });
+
+    it('should hide the failure details', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...pendingExport, status: 'failed', error: 'relation does not exist' }] });
+
+      await exportController.getMyExport(mockReq, mockRes);
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.error).not.toContain('relation');
+      expect(data).not.toHaveProperty('download_url');
+    });
+
+    it('should return 404 when there is no export or it has expired', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...completedExport, expires_at: new Date(Date.now() - 1000) }] });
+
+      await exportController.getMyExport(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('requestUserExport', () => {
+    it('should let admins export another user', async () => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123' }] })
+        .mockResolvedValueOnce({ rows: [pendingExport] });
+
+      await exportController.requestUserExport(mockReq, mockRes);
+
+      expect(db.query.mock.calls[1][1]).toEqual(['user-123', 'admin-1']);
+      expect(startExport).toHaveBeenCalledWith('export-1');
+    });
+
+    it('should return 404 for unknown users', async () => {
+      mockReq.params.id = 'missing';
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await exportController.requestUserExport(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(startExport).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('downloadExport', () => {
+    beforeEach(() => {
+      mockReq.user = undefined;
+      mockReq.params.exportId = 'export-1';
+      mockReq.query.token = 'download-token';
+      verifyExportDownloadToken.mockReturnValue({ sub: 'export-1', user_id: 'user-123', issued_to: 'user-123' });
+    });
+
+    it('should send the archive as an attachment', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ archive: { user: { id: 'user-123' } } }] });
+
+      await exportController.downloadExport(mockReq, mockRes);
+
+      expect(mockRes.set).toHaveBeenCalledWith(expect.objectContaining({
+        'Content-Disposition': 'attachment; filename="fitsync-export-export-1.json"'
+      }));
+      expect(JSON.parse(mockRes.send.mock.calls[0][0])).toEqual({ user: { id: 'user-123' } });
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        action: 'data_export_downloaded'
+      }));
+    });
+
+    it('should reject invalid tokens and tokens for another export', async () => {
+      verifyExportDownloadToken.mockImplementationOnce(() => {
+        throw new Error('Invalid or expired download token');
+      });
+
+      await exportController.downloadExport(mockReq, mockRes);
+
+      mockReq.params.exportId = 'export-2';
+      await exportController.downloadExport(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledTimes(2);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 410 once the archive has expired', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await exportController.downloadExport(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(410);
+      expect(mockRes.send).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,246 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined),
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+const gymController = require('../../src/controllers/gymController');
+const db = require('../../src/config/database');
+const { recordAuditLog, recordChange } = require('../../src/utils/audit');
+
+describe('Gym Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  const admin = {
+    id: 'admin-1', email: 'admin@example.com', role: 'admin', permissions: ['gyms:write', 'gyms:manage:all']
+  };
+  const owner = { id: 'owner-1', email: 'owner@example.com', role: 'gym_owner', permissions: ['gyms:write'] };
+  const otherOwner = { id: 'owner-2', email: 'other@example.com', role: 'gym_owner', permissions: ['gyms:write'] };
+
+  const gym = {
+    id: 'gym-1',
+    name: 'Downtown Fitness',
+    owner_id: 'owner-1',
+    is_active: true
+  };
+
+  const newGym = {
+    name: 'Uptown Fitness',
+    address: {
+      street: '1 Main St',
+      city: 'Springfield',
+      state: 'IL',
+      postal_code: '62701',
+      country: 'USA'
+    },
+    amenities: ['pool']
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      params: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: owner
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('createGym', () => {
+    it('should make the gym owner the owner of a gym they create', async () => {
+      mockReq.validatedBody = { ...newGym, owner_id: 'someone-else' };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'gym-2', name: newGym.name, owner_id: 'owner-1' }] });
+
+      await gymController.createGym(mockReq, mockRes);
+
+      const insert = mockClient.query.mock.calls[1];
+      expect(insert[0]).toContain('INSERT INTO gyms');
+      expect(insert[1][8]).toBe('owner-1');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'gym_created',
+        resourceType: 'gym',
+        resourceId: 'gym-2'
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should let admins assign a gym owner', async () => {
+      mockReq.user = admin;
+      mockReq.validatedBody = { ...newGym, owner_id: 'owner-1' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 'owner-1' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'gym-2', name: newGym.name, owner_id: 'owner-1' }] });
+
+      await gymController.createGym(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][1][8]).toBe('owner-1');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject an owner_id whose role cannot own gyms', async () => {
+      mockReq.user = admin;
+      mockReq.validatedBody = { ...newGym, owner_id: 'client-1' };
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await gymController.createGym(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[0][0]).toContain("rp.permission = 'gyms:write'");
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_OWNER' })
+      });
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('getGym', () => {
+    it('should return an active gym to any user', async () => {
+      mockReq.user = { id: 'client-1', role: 'client' };
+      mockReq.params.id = 'gym-1';
+      db.query.mockResolvedValueOnce({ rows: [gym] });
+
+      await gymController.getGym(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: gym });
+    });
+
+    it('should hide a deactivated gym from users who do not manage it', async () => {
+      mockReq.user = { id: 'client-1', role: 'client' };
+      mockReq.params.id = 'gym-1';
+      db.query.mockResolvedValueOnce({ rows: [{ ...gym, is_active: false }] });
+
+      await gymController.getGym(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('updateGym', () => {
+    beforeEach(() => {
+      mockReq.params.id = 'gym-1';
+      mockReq.validatedBody = { name: 'Downtown Fitness Plus' };
+    });
+
+    it('should let the owner update their gym and record the diff', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [gym] })
+        .mockResolvedValueOnce({ rows: [{ ...gym, name: 'Downtown Fitness Plus' }] });
+
+      await gymController.updateGym(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][0]).toContain('UPDATE gyms SET name = $1');
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['Downtown Fitness Plus', 'gym-1']);
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'gym_updated',
+        before: gym,
+        after: { name: 'Downtown Fitness Plus' }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should let admins update any gym', async () => {
+      mockReq.user = admin;
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [gym] })
+        .mockResolvedValueOnce({ rows: [{ ...gym, name: 'Downtown Fitness Plus' }] });
+
+      await gymController.updateGym(mockReq, mockRes);
+
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should forbid gym owners from updating gyms they do not own', async () => {
+      mockReq.user = otherOwner;
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [gym] });
+
+      await gymController.updateGym(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(recordChange).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown gyms', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] });
+
+      await gymController.updateGym(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('deactivateGym', () => {
+    beforeEach(() => {
+      mockReq.params.id = 'gym-1';
+    });
+
+    it('should deactivate the gym and audit it', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [gym] });
+
+      await gymController.deactivateGym(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'UPDATE gyms SET is_active = false, updated_at = NOW() WHERE id = $1',
+        ['gym-1']
+      );
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'gym_deactivated',
+        before: { is_active: true },
+        after: { is_active: false }
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should forbid gym owners from deactivating gyms they do not own', async () => {
+      mockReq.user = otherOwner;
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [gym] });
+
+      await gymController.deactivateGym(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
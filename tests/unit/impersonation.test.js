@@ -0,0 +1,68 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const { recordExpiredImpersonations } = require('../../src/utils/impersonation');
+
+describe('Impersonation', () => {
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(mockClient);
+  });
+
+  describe('recordExpiredImpersonations', () => {
+    it('should end recent expired impersonations that have no end entry yet', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'log-1' }, { id: 'log-2' }] });
+
+      expect(await recordExpiredImpersonations()).toBe(2);
+
+      expect(mockClient.query.mock.calls[1][0]).toContain('pg_try_advisory_xact_lock($1)');
+      const [sql, values] = mockClient.query.mock.calls[2];
+      expect(sql).toContain("SELECT started.user_id, 'impersonation_ended'");
+      expect(sql).toContain('started.created_at >= NOW() - make_interval(hours => $1)');
+      expect(sql).toContain("(started.new_values->>'expires_at')::timestamptz <= NOW()");
+      expect(sql).toContain("ended.new_values->>'token_id' = started.new_values->>'token_id'");
+      expect(sql).toContain("'ended_by', 'expiry'");
+      expect(values).toEqual([24]);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should do nothing when every impersonation has ended', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ acquired: true }] });
+
+      expect(await recordExpiredImpersonations()).toBe(0);
+    });
+
+    it('should leave the sweep to the replica holding the lock', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ acquired: false }] });
+
+      expect(await recordExpiredImpersonations()).toBe(0);
+
+      expect(mockClient.query).toHaveBeenCalledTimes(3);
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+});
@@ -6,6 +6,7 @@ jest.mock('../../src/config/redis', () => ({
     setEx: jest.fn().mockResolvedValue('OK'),
     get: jest.fn().mockResolvedValue(null),
     del: jest.fn().mockResolvedValue(1),
+    mGet: jest.fn().mockResolvedValue([null, null]),
     keys: jest.fn().mockResolvedValue([])
   }
 }));
@@ -14,9 +15,17 @@ jest.mock('../../src/config/redis', () => ({
 const {
   generateAccessToken,
   generateRefreshToken,
+  generateServiceToken,
+  generateExportDownloadToken,
+  verifyExportDownloadToken,
   generateTokenHash,
   verifyAccessToken,
+  verifyServiceToken,
   verifyRefreshToken,
+  revokeAccessToken,
+  revokeUserAccessTokens,
+  revokeServiceClientTokens,
+  isAccessTokenRevoked,
   storeRefreshToken,
   revokeRefreshToken,
   isRefreshTokenValid,
@@ -27,6 +36,12 @@ const {
 } = require('../../src/utils/jwt');
 
 const { redisClient } = require('../../src/config/redis');
+const { getSigningKey } = require('../../src/config/signingKeys');
+
+const signWithTestKey = (payload, options) => {
+  const { kid, alg, privateKey } = getSigningKey();
+  return jwt.sign(payload, privateKey, { ...options, algorithm: alg, keyid: kid });
+};
 
 describe('JWT Utilities', () => {
   const mockUser = {
@@ -56,7 +71,39 @@ describe('JWT Utilities', () => {
       expect(decoded.id).toBe(mockUser.id);
       expect(decoded.email).toBe(mockUser.email);
       expect(decoded.role).toBe(mockUser.role);
-      expect(decoded.gym_id).toBe(mockUser.gym_id);
+    });
+
+    it('should take the gyms from active memberships rather than users.gym_id', () => {
+      const token = generateAccessToken(mockUser, { gymIds: ['gym-a', 'gym-b'] });
+      const decoded = jwt.decode(token);
+
+      expect(decoded.gym_ids).toEqual(['gym-a', 'gym-b']);
+      expect(decoded.gym_id).toBe('gym-a');
+      expect(jwt.decode(generateAccessToken(mockUser)).gym_id).toBeNull();
+    });
+
+    it('should include the session id when provided', () => {
+      const token = generateAccessToken(mockUser, { sessionId: 'session-1' });
+      const decoded = jwt.decode(token);
+
+      expect(decoded.sid).toBe('session-1');
+    });
+
+    it('should include the role permissions', () => {
+      const token = generateAccessToken(mockUser, { permissions: ['users:read:gym'] });
+      const decoded = jwt.decode(token);
+
+      expect(decoded.permissions).toEqual(['users:read:gym']);
+    });
+
+    it('should name the admin in a short-lived impersonation token', () => {
+      const token = generateAccessToken(mockUser, { actor: { id: 'admin-1', email: 'admin@example.com' } });
+      const decoded = jwt.decode(token);
+
+      expect(decoded.act).toEqual({ sub: 'admin-1', email: 'admin@example.com' });
+      expect(decoded.exp - decoded.iat).toBe(600);
+      expect(decoded).not.toHaveProperty('sid');
+      expect(jwt.decode(generateAccessToken(mockUser))).not.toHaveProperty('act');
     });
 
     it('should include correct issuer and audience', () => {
@@ -67,6 +114,14 @@ describe('JWT Utilities', () => {
       expect(decoded.aud).toBe('fitsync-api');
     });
 
+    it('should sign with the current signing key and name it in the header', () => {
+      const token = generateAccessToken(mockUser);
+      const { header } = jwt.decode(token, { complete: true });
+
+      expect(header.alg).toBe('ES256');
+      expect(header.kid).toBe(getSigningKey().kid);
+    });
+
     it('should set expiration time', () => {
       const token = generateAccessToken(mockUser);
       const decoded = jwt.decode(token);
@@ -94,6 +149,15 @@ describe('JWT Utilities', () => {
       expect(decoded.type).toBe('refresh');
     });
 
+    it('should include the token family and a unique id', () => {
+      const token1 = generateRefreshToken(mockUser, { familyId: 'family-1' });
+      const token2 = generateRefreshToken(mockUser, { familyId: 'family-1' });
+
+      expect(jwt.decode(token1).fid).toBe('family-1');
+      expect(jwt.decode(token1).jti).toBeDefined();
+      expect(token1).not.toBe(token2);
+    });
+
     it('should NOT include sensitive user data', () => {
       const token = generateRefreshToken(mockUser);
       const decoded = jwt.decode(token);
@@ -142,9 +206,8 @@ describe('JWT Utilities', () => {
     });
 
     it('should throw error for expired token', () => {
-      const expiredToken = jwt.sign(
+      const expiredToken = signWithTestKey(
         { id: mockUser.id },
-        process.env.JWT_SECRET,
         { expiresIn: '-1s', issuer: 'fitsync-user-service', audience: 'fitsync-api' }
       );
       
@@ -152,14 +215,156 @@ describe('JWT Utilities', () => {
     });
 
     it('should throw error for token with wrong issuer', () => {
-      const wrongIssuerToken = jwt.sign(
+      const wrongIssuerToken = signWithTestKey(
         { id: mockUser.id },
-        process.env.JWT_SECRET,
         { expiresIn: '15m', issuer: 'wrong-issuer', audience: 'fitsync-api' }
       );
       
       expect(() => verifyAccessToken(wrongIssuerToken)).toThrow('Invalid or expired access token');
     });
+
+    it('should reject HMAC-signed tokens', () => {
+      const hmacToken = jwt.sign(
+        { id: mockUser.id },
+        'test-jwt-secret',
+        { expiresIn: '15m', issuer: 'fitsync-user-service', audience: 'fitsync-api', keyid: getSigningKey().kid }
+      );
+
+      expect(() => verifyAccessToken(hmacToken)).toThrow('Invalid or expired access token');
+    });
+
+    it('should reject tokens signed with an unknown key id', () => {
+      const token = jwt.sign(
+        { id: mockUser.id },
+        getSigningKey().privateKey,
+        { algorithm: 'ES256', keyid: 'retired-key', issuer: 'fitsync-user-service', audience: 'fitsync-api' }
+      );
+
+      expect(() => verifyAccessToken(token)).toThrow('Invalid or expired access token');
+    });
+  });
+
+  describe('service tokens', () => {
+    const serviceClient = { client_id: 'booking-service' };
+
+    it('should issue tokens for the services audience with the granted scopes', () => {
+      const token = generateServiceToken(serviceClient, ['users:read', 'users:role_info']);
+      const decoded = verifyServiceToken(token);
+
+      expect(decoded).toEqual(expect.objectContaining({
+        sub: 'booking-service',
+        client_id: 'booking-service',
+        scope: 'users:read users:role_info',
+        type: 'service',
+        aud: 'fitsync-services'
+      }));
+      expect(decoded.jti).toBeDefined();
+    });
+
+    it('should not accept service tokens as user access tokens or the reverse', () => {
+      const serviceToken = generateServiceToken(serviceClient, ['users:read']);
+      const accessToken = generateAccessToken(mockUser);
+
+      expect(() => verifyAccessToken(serviceToken)).toThrow('Invalid or expired access token');
+      expect(() => verifyServiceToken(accessToken)).toThrow('Invalid or expired service token');
+    });
+  });
+
+  describe('export download tokens', () => {
+    it('should round-trip the export and who the link was issued to', () => {
+      const token = generateExportDownloadToken({ id: 'export-1', user_id: mockUser.id }, 'admin-1');
+      const decoded = verifyExportDownloadToken(token);
+
+      expect(decoded).toEqual(expect.objectContaining({ sub: 'export-1', user_id: mockUser.id, issued_to: 'admin-1' }));
+      expect(decoded.exp - decoded.iat).toBe(900);
+    });
+
+    it('should not accept access tokens as download tokens', () => {
+      expect(() => verifyExportDownloadToken(generateAccessToken(mockUser))).toThrow('Invalid or expired download token');
+    });
+  });
+
+  describe('access token denylist', () => {
+    it('should give every access token a unique id', () => {
+      expect(jwt.decode(generateAccessToken(mockUser)).jti).not.toBe(jwt.decode(generateAccessToken(mockUser)).jti);
+    });
+
+    it('should deny a single token until it expires', async () => {
+      const decoded = verifyAccessToken(generateAccessToken(mockUser));
+
+      await revokeAccessToken(decoded);
+
+      expect(redisClient.setEx).toHaveBeenCalledWith(`revoked_access_token:${decoded.jti}`, expect.any(Number), '1');
+      expect(redisClient.setEx.mock.calls[0][1]).toBeLessThanOrEqual(900);
+    });
+
+    it('should deny all of a user\'s tokens issued up to now for the token lifetime', async () => {
+      await revokeUserAccessTokens(mockUser.id);
+
+      expect(redisClient.setEx).toHaveBeenCalledWith(
+        `access_tokens_revoked_before:${mockUser.id}`,
+        900,
+        String(Math.floor(Date.now() / 1000))
+      );
+    });
+
+    it('should compare the token against both denylist entries', async () => {
+      const decoded = verifyAccessToken(generateAccessToken(mockUser));
+
+      expect(await isAccessTokenRevoked(decoded)).toBe(false);
+      expect(redisClient.mGet).toHaveBeenCalledWith([
+        `revoked_access_token:${decoded.jti}`,
+        `access_tokens_revoked_before:${mockUser.id}`
+      ]);
+
+      redisClient.mGet.mockResolvedValueOnce(['1', null]);
+      expect(await isAccessTokenRevoked(decoded)).toBe(true);
+
+      redisClient.mGet.mockResolvedValueOnce([null, String(decoded.iat)]);
+      expect(await isAccessTokenRevoked(decoded)).toBe(true);
+
+      redisClient.mGet.mockResolvedValueOnce([null, String(decoded.iat - 60)]);
+      expect(await isAccessTokenRevoked(decoded)).toBe(false);
+    });
+
+    it('should spare the tokens of the excepted session', async () => {
+      await revokeUserAccessTokens(mockUser.id, { exceptSessionId: 'session-1' });
+
+      const revokedBefore = String(Math.floor(Date.now() / 1000));
+      expect(redisClient.setEx).toHaveBeenCalledWith(
+        `access_tokens_revoked_before:${mockUser.id}`,
+        900,
+        `${revokedBefore}:session-1`
+      );
+
+      const kept = verifyAccessToken(generateAccessToken(mockUser, { sessionId: 'session-1' }));
+      const other = verifyAccessToken(generateAccessToken(mockUser, { sessionId: 'session-2' }));
+
+      redisClient.mGet.mockResolvedValueOnce([null, `${kept.iat}:session-1`]);
+      expect(await isAccessTokenRevoked(kept)).toBe(false);
+
+      redisClient.mGet.mockResolvedValueOnce([null, `${other.iat}:session-1`]);
+      expect(await isAccessTokenRevoked(other)).toBe(true);
+    });
+
+    it('should deny service tokens issued before their client was revoked', async () => {
+      await revokeServiceClientTokens('booking-service');
+
+      expect(redisClient.setEx).toHaveBeenCalledWith(
+        'service_tokens_revoked_before:booking-service',
+        900,
+        String(Math.floor(Date.now() / 1000))
+      );
+
+      const decoded = verifyServiceToken(generateServiceToken({ client_id: 'booking-service' }, ['users:read']));
+
+      redisClient.mGet.mockResolvedValueOnce([null, String(decoded.iat)]);
+      expect(await isAccessTokenRevoked(decoded)).toBe(true);
+      expect(redisClient.mGet).toHaveBeenLastCalledWith([
+        `revoked_access_token:${decoded.jti}`,
+        'service_tokens_revoked_before:booking-service'
+      ]);
+    });
   });
 
   describe('verifyRefreshToken', () => {
@@ -244,6 +449,17 @@ describe('JWT Utilities', () => {
         expect(redisClient.del).toHaveBeenCalledWith(mockKeys);
       });
 
+      it('should keep the excepted token', async () => {
+        const keepToken = 'current-device-token';
+        const keepKey = `refresh_token:${mockUser.id}:${generateTokenHash(keepToken)}`;
+        const otherKey = `refresh_token:${mockUser.id}:hash2`;
+        redisClient.keys.mockResolvedValueOnce([keepKey, otherKey]);
+
+        await revokeAllUserTokens(mockUser.id, { exceptHash: generateTokenHash(keepToken) });
+
+        expect(redisClient.del).toHaveBeenCalledWith([otherKey]);
+      });
+
       it('should not call del if no keys found', async () => {
         redisClient.keys.mockResolvedValueOnce([]);
         
@@ -0,0 +1,163 @@
+const express = require('express');
+const request = require('supertest');
+
+// In-memory Redis stand-in with expiry support
+const mockRedisStore = new Map();
+
+jest.mock('../../src/config/redis', () => {
+  const read = (key) => {
+    const entry = mockRedisStore.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      mockRedisStore.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const add = (key, amount) => {
+    const entry = read(key);
+    const value = (entry ? parseInt(entry.value) : 0) + amount;
+    mockRedisStore.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  };
+
+  return {
+    redisClient: {
+      setEx: async (key, ttl, value) => {
+        mockRedisStore.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+        return 'OK';
+      },
+      get: async (key) => (read(key) ? read(key).value : null),
+      del: async (key) => (mockRedisStore.delete(key) ? 1 : 0),
+      incr: async (key) => add(key, 1),
+      decr: async (key) => add(key, -1),
+      expire: async (key, ttl) => {
+        const entry = read(key);
+        if (entry) entry.expiresAt = Date.now() + ttl * 1000;
+        return Boolean(entry);
+      },
+      ttl: async (key) => {
+        const entry = read(key);
+        if (!entry) return -2;
+        if (!entry.expiresAt) return -1;
+        return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+      }
+    }
+  };
+});
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const {
+  getLoginBlock,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockLogin,
+  LOCKOUT_DURATION
+} = require('../../src/utils/loginThrottle');
+const { createLimiter } = require('../../src/middleware/rateLimit');
+
+describe('Login throttling', () => {
+  const email = 'user@example.com';
+  const ip = '10.0.0.1';
+
+  beforeEach(() => {
+    mockRedisStore.clear();
+  });
+
+  it('should not block a fresh email and IP', async () => {
+    expect(await getLoginBlock(email, ip)).toBeNull();
+  });
+
+  it('should back off progressively after each failure', async () => {
+    const first = await recordFailedLogin(email, ip);
+    mockRedisStore.delete(`login_delay:email:${email}`);
+    const second = await recordFailedLogin(email, ip);
+    mockRedisStore.delete(`login_delay:email:${email}`);
+    const third = await recordFailedLogin(email, ip);
+
+    expect([first.retryAfter, second.retryAfter, third.retryAfter]).toEqual([1, 2, 4]);
+    expect(await getLoginBlock(email, ip)).toEqual({ code: 'LOGIN_THROTTLED', retryAfter: 4 });
+  });
+
+  it('should lock the email after five failures', async () => {
+    let outcome;
+    for (let i = 0; i < 5; i++) {
+      outcome = await recordFailedLogin(email, ip);
+    }
+
+    expect(outcome).toEqual(expect.objectContaining({
+      locked: true,
+      lockedScope: 'email',
+      failures: 5,
+      retryAfter: LOCKOUT_DURATION
+    }));
+    expect(await getLoginBlock(email, '10.0.0.2')).toEqual({
+      code: 'ACCOUNT_LOCKED',
+      retryAfter: LOCKOUT_DURATION
+    });
+  });
+
+  it('should count emails case-insensitively', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordFailedLogin(i % 2 ? email.toUpperCase() : email, ip);
+    }
+
+    expect((await getLoginBlock('User@Example.com', ip)).code).toBe('ACCOUNT_LOCKED');
+  });
+
+  it('should lock an IP that fails across many emails', async () => {
+    let outcome;
+    for (let i = 0; i < 20; i++) {
+      outcome = await recordFailedLogin(`user${i}@example.com`, ip);
+    }
+
+    expect(outcome.lockedScope).toBe('ip');
+    expect((await getLoginBlock('other@example.com', ip)).code).toBe('ACCOUNT_LOCKED');
+    expect(await getLoginBlock('other@example.com', '10.0.0.2')).toBeNull();
+  });
+
+  it('should reset the count after a successful login', async () => {
+    await recordFailedLogin(email, ip);
+    await clearFailedLogins(email);
+
+    expect(await getLoginBlock(email, ip)).toBeNull();
+    expect((await recordFailedLogin(email, ip)).failures).toBe(1);
+  });
+
+  it('should unlock a locked email', async () => {
+    for (let i = 0; i < 5; i++) {
+      await recordFailedLogin(email, ip);
+    }
+
+    expect(await unlockLogin(email)).toBe(true);
+    expect(await getLoginBlock(email, ip)).toBeNull();
+    expect(await unlockLogin(email)).toBe(false);
+  });
+});
+
+describe('Rate limiter', () => {
+  beforeEach(() => {
+    mockRedisStore.clear();
+  });
+
+  it('should reject requests over the limit with TOO_MANY_REQUESTS', async () => {
+    const app = express();
+    app.post('/login', createLimiter({ name: 'test', windowMs: 60000, max: 2 }), (req, res) => {
+      res.json({ success: true });
+    });
+
+    await request(app).post('/login').expect(200);
+    await request(app).post('/login').expect(200);
+    const response = await request(app).post('/login').expect(429);
+
+    expect(response.body.error.code).toBe('TOO_MANY_REQUESTS');
+    expect(response.headers['retry-after']).toBeDefined();
+    expect([...mockRedisStore.keys()][0]).toMatch(/^rate_limit:test:/);
+  });
+});
@@ -0,0 +1,234 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined),
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+const membershipController = require('../../src/controllers/membershipController');
+const db = require('../../src/config/database');
+const { recordAuditLog, recordChange } = require('../../src/utils/audit');
+
+describe('Membership Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  const owner = { id: 'owner-1', email: 'owner@example.com', role: 'gym_owner', permissions: ['gyms:write'] };
+  const member = { id: 'client-1', email: 'client@example.com', role: 'client', permissions: ['users:read:gym'] };
+
+  const membership = {
+    user_id: 'client-1',
+    status: 'pending',
+    start_date: null,
+    end_date: null,
+    owner_id: 'owner-1'
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      validatedQuery: {},
+      params: { id: 'gym-1', membershipId: 'membership-1' },
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: member
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('joinGym', () => {
+    it('should create a pending membership with the default role and audit it', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 'gym-1' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'membership-1', status: 'pending' }] });
+
+      await membershipController.joinGym(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['gym-1', 'client-1', 'member']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'gym_join_requested',
+        resourceType: 'gym_membership',
+        resourceId: 'membership-1'
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 404 for unknown or inactive gyms', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await membershipController.joinGym(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should return 409 when a membership is already open', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 'gym-1' }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] });
+
+      await membershipController.joinGym(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'MEMBERSHIP_EXISTS' })
+      });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('approveMembership', () => {
+    it('should let the gym owner activate a pending membership with dates', async () => {
+      mockReq.user = owner;
+      mockReq.validatedBody = { start_date: '2026-01-01', end_date: '2026-12-31' };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [membership] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 'membership-1', status: 'active', start_date: '2026-01-01', end_date: '2026-12-31' }]
+        });
+
+      await membershipController.approveMembership(mockReq, mockRes);
+
+      const [sql, values] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('start_date = COALESCE($3, start_date, CURRENT_DATE)');
+      expect(values).toEqual(['active', 'membership-1', '2026-01-01', '2026-12-31', 'owner-1']);
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'gym_membership_approved',
+        before: { status: 'pending', start_date: null, end_date: null },
+        after: { status: 'active', start_date: '2026-01-01', end_date: '2026-12-31' }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should forbid managers of other gyms', async () => {
+      mockReq.user = { ...owner, id: 'owner-2' };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [membership] });
+
+      await membershipController.approveMembership(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should not let members approve themselves', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [membership] });
+
+      await membershipController.approveMembership(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+
+    it('should return 404 for memberships of another gym', async () => {
+      mockReq.user = owner;
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] });
+
+      await membershipController.approveMembership(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('suspendMembership', () => {
+    it('should return 409 for memberships that are not active', async () => {
+      mockReq.user = owner;
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [membership] });
+
+      await membershipController.suspendMembership(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_STATUS', message: 'Membership is already pending' })
+      });
+    });
+  });
+
+  describe('endMembership', () => {
+    it('should let members leave their own gym', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...membership, status: 'active' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'membership-1', status: 'ended' }] });
+
+      await membershipController.endMembership(mockReq, mockRes);
+
+      const [sql, values] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('end_date = GREATEST(CURRENT_DATE, start_date)');
+      expect(values).toEqual(['ended', 'membership-1']);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ status: 'ended' })
+      });
+    });
+  });
+
+  describe('listMembers', () => {
+    it('should page through a gym\'s members filtered by status', async () => {
+      mockReq.user = owner;
+      mockReq.validatedQuery = { status: 'active', page: 2, limit: 10 };
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'gym-1', owner_id: 'owner-1' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'membership-1' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '11' }] });
+
+      await membershipController.listMembers(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[1];
+      expect(sql).toContain('WHERE gm.gym_id = $1 AND gm.status = $2');
+      expect(values).toEqual(['gym-1', 'active', 10, 10]);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: 'membership-1' }],
+        pagination: { page: 2, limit: 10, total_count: 11, total_pages: 2 }
+      });
+    });
+
+    it('should forbid users who do not manage the gym', async () => {
+      mockReq.user = { ...owner, id: 'owner-2' };
+      mockReq.validatedQuery = { page: 1, limit: 50 };
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'gym-1', owner_id: 'owner-1' }] });
+
+      await membershipController.listMembers(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -0,0 +1,351 @@
+// In-memory Redis stand-in
+const mockRedisStore = new Map();
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    get: async (key) => (mockRedisStore.has(key) ? mockRedisStore.get(key) : null),
+    setEx: async (key, ttl, value) => { mockRedisStore.set(key, value); return 'OK'; },
+    set: async (key, value, options = {}) => {
+      if (options.NX && mockRedisStore.has(key)) return null;
+      mockRedisStore.set(key, value);
+      return 'OK';
+    },
+    del: async (key) => { mockRedisStore.delete(key); return 1; },
+    incr: async (key) => {
+      const value = parseInt(mockRedisStore.get(key) || '0') + 1;
+      mockRedisStore.set(key, String(value));
+      return value;
+    },
+    expire: async () => true
+  }
+}));
+
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/sessions', () => ({
+  issueTokens: jest.fn().mockResolvedValue({
+    access_token: 'mock-access-token',
+    refresh_token: 'mock-refresh-token',
+    token_type: 'Bearer',
+    expires_in: 900
+  })
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined)
+}));
+
+const jwt = require('jsonwebtoken');
+const mfaController = require('../../src/controllers/mfaController');
+const db = require('../../src/config/database');
+const { generateTotp, generateSecret } = require('../../src/utils/totp');
+const { generateMfaChallengeToken, generateTokenHash } = require('../../src/utils/jwt');
+const { issueTokens } = require('../../src/utils/sessions');
+const { recordAuditLog } = require('../../src/utils/audit');
+
+describe('MFA Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  beforeEach(() => {
+    mockRedisStore.clear();
+
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      params: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'user-123', email: 'user@example.com', role: 'trainer' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('setup', () => {
+    it('should return a secret and otpauth URI without enabling MFA yet', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ email: 'user@example.com', mfa_enabled: false }] });
+
+      await mfaController.setup(mockReq, mockRes);
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(data.otpauth_uri).toContain(`secret=${data.secret}`);
+      expect(mockRedisStore.get('mfa_enrollment:user-123')).toBe(data.secret);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return 409 when MFA is already enabled', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ email: 'user@example.com', mfa_enabled: true }] });
+
+      await mfaController.setup(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('confirm', () => {
+    const secret = generateSecret();
+
+    it('should enable MFA and return recovery codes', async () => {
+      mockRedisStore.set('mfa_enrollment:user-123', secret);
+      mockReq.validatedBody = { code: generateTotp(secret) };
+
+      await mfaController.confirm(mockReq, mockRes);
+
+      const queries = mockClient.query.mock.calls.map(call => call[0]);
+      expect(queries).toContain('BEGIN');
+      expect(queries.find(q => q.includes('SET mfa_enabled = true'))).toBeDefined();
+      expect(queries.filter(q => q.includes('INSERT INTO mfa_recovery_codes'))).toHaveLength(10);
+      expect(queries).toContain('COMMIT');
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.recovery_codes).toHaveLength(10);
+      expect(data.recovery_codes[0]).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+
+      // Only hashes are stored
+      const storedHashes = mockClient.query.mock.calls
+        .filter(call => call[0].includes('INSERT INTO mfa_recovery_codes'))
+        .map(call => call[1][1]);
+      expect(storedHashes).not.toContain(data.recovery_codes[0]);
+
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'mfa_enabled' }));
+      expect(mockRedisStore.has('mfa_enrollment:user-123')).toBe(false);
+    });
+
+    it('should reject a wrong code', async () => {
+      mockRedisStore.set('mfa_enrollment:user-123', secret);
+      mockReq.validatedBody = { code: '000000' === generateTotp(secret) ? '111111' : '000000' };
+
+      await mfaController.confirm(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_MFA_CODE' })
+      });
+    });
+
+    it('should require a pending enrollment', async () => {
+      mockReq.validatedBody = { code: '123456' };
+
+      await mfaController.confirm(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'MFA_SETUP_REQUIRED' })
+      });
+    });
+  });
+
+  describe('verify', () => {
+    const secret = generateSecret();
+    const mfaUser = {
+      id: 'user-123',
+      email: 'user@example.com',
+      role: 'trainer',
+      is_active: true,
+      mfa_enabled: true,
+      mfa_secret: secret
+    };
+
+    beforeEach(() => {
+      mockReq.user = undefined;
+    });
+
+    it('should issue tokens for a valid TOTP code', async () => {
+      mockReq.validatedBody = {
+        mfa_token: generateMfaChallengeToken(mfaUser),
+        code: generateTotp(secret)
+      };
+      mockClient.query.mockResolvedValueOnce({ rows: [mfaUser] });
+
+      await mfaController.verify(mockReq, mockRes);
+
+      expect(issueTokens).toHaveBeenCalledWith(mockClient, mfaUser, mockReq);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          user: expect.objectContaining({ id: 'user-123' }),
+          tokens: expect.objectContaining({ access_token: 'mock-access-token' })
+        })
+      });
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      const mfaToken = generateMfaChallengeToken(mfaUser);
+      mockReq.validatedBody = { mfa_token: mfaToken, recovery_code: 'abcde-12345' };
+      mockClient.query.mockImplementation((sql) => Promise.resolve(
+        sql.includes('FROM users') ? { rows: [mfaUser] } : { rows: [{ id: 'code-1' }] }
+      ));
+
+      await mfaController.verify(mockReq, mockRes);
+      await mfaController.verify(mockReq, mockRes);
+
+      expect(issueTokens).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should not spend a recovery code on a replayed challenge', async () => {
+      const mfaToken = generateMfaChallengeToken(mfaUser);
+      mockReq.validatedBody = { mfa_token: mfaToken, recovery_code: 'abcde-12345' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [mfaUser] })
+        .mockResolvedValueOnce({ rows: [{ id: 'code-1' }] });
+      mockRedisStore.set(`mfa_challenge_used:${jwt.decode(mfaToken).jti}`, '1');
+
+      await mfaController.verify(mockReq, mockRes);
+
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+      expect(statements.some(sql => sql.includes('UPDATE mfa_recovery_codes'))).toBe(false);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should accept an unused recovery code and record its use', async () => {
+      mockReq.validatedBody = {
+        mfa_token: generateMfaChallengeToken(mfaUser),
+        recovery_code: 'ABCDE-12345'
+      };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [mfaUser] })
+        .mockResolvedValueOnce({ rows: [{ id: 'code-1' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'code-1' }] });
+
+      await mfaController.verify(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['user-123', generateTokenHash('abcde12345')]);
+      expect(mockClient.query.mock.calls[2][0]).toBe('BEGIN');
+      expect(mockClient.query.mock.calls[3][0]).toContain('UPDATE mfa_recovery_codes SET used_at = NOW()');
+      expect(mockClient.query.mock.calls[3][1]).toEqual(['code-1']);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'mfa_recovery_code_used', client: mockClient }));
+      expect(issueTokens).toHaveBeenCalled();
+    });
+
+    it('should fail when a concurrent login spent the recovery code first', async () => {
+      mockReq.validatedBody = {
+        mfa_token: generateMfaChallengeToken(mfaUser),
+        recovery_code: 'abcde-12345'
+      };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [mfaUser] })
+        .mockResolvedValueOnce({ rows: [{ id: 'code-1' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] });
+
+      await mfaController.verify(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(issueTokens).not.toHaveBeenCalled();
+    });
+
+    it('should reject a used or unknown recovery code', async () => {
+      mockReq.validatedBody = {
+        mfa_token: generateMfaChallengeToken(mfaUser),
+        recovery_code: 'abcde-12345'
+      };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [mfaUser] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await mfaController.verify(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_MFA_CODE' })
+      });
+      expect(issueTokens).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid challenge token', async () => {
+      mockReq.validatedBody = { mfa_token: 'not-a-token', code: '123456' };
+
+      await mfaController.verify(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_TOKEN' })
+      });
+    });
+
+    it('should lock the challenge after too many attempts', async () => {
+      const mfaToken = generateMfaChallengeToken(mfaUser);
+      mockReq.validatedBody = { mfa_token: mfaToken, recovery_code: 'wrong-code' };
+      mockClient.query.mockImplementation((sql) => Promise.resolve(
+        sql.includes('FROM users') ? { rows: [mfaUser] } : { rows: [] }
+      ));
+
+      for (let i = 0; i < 6; i++) {
+        await mfaController.verify(mockReq, mockRes);
+      }
+
+      expect(mockRes.status).toHaveBeenLastCalledWith(429);
+      expect(mockRes.json).toHaveBeenLastCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'TOO_MANY_ATTEMPTS' })
+      });
+    });
+  });
+
+  describe('resetMfa', () => {
+    it('should disable MFA for the user and record the admin action', async () => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com' }] });
+
+      await mfaController.resetMfa(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[1][0]).toContain('SET mfa_enabled = false');
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM mfa_recovery_codes WHERE user_id = $1', ['user-123']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'mfa_reset',
+        resourceId: 'user-123'
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should return 404 for unknown users', async () => {
+      mockReq.user = { id: 'admin-1', role: 'admin' };
+      mockReq.params.id = 'missing';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] });
+
+      await mfaController.resetMfa(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const {
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown,
+  createMigration,
+  withMigrationLock
+} = require('../../src/database/migrator');
+
+/**
+ * Fake pg client backed by a list of applied migration rows
+ */
+function createMockClient(appliedRows = []) {
+  const rows = [...appliedRows];
+
+  return {
+    rows,
+    query: jest.fn(async (sql, params) => {
+      if (sql.startsWith('SELECT version, name, checksum')) {
+        return { rows: [...rows].sort((a, b) => a.version - b.version) };
+      }
+      if (sql.startsWith('INSERT INTO migrations')) {
+        rows.push({ version: params[0], name: params[1], checksum: params[2], executed_at: new Date() });
+      }
+      if (sql.startsWith('DELETE FROM migrations')) {
+        rows.splice(rows.findIndex(row => row.version === params[0]), 1);
+      }
+      if (sql === 'FAIL') {
+        throw new Error('syntax error');
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+}
+
+const migrations = [
+  { version: 1, name: 'one', file: '0001_one.js', up: 'UP 1', down: 'DOWN 1', checksum: 'c1' },
+  { version: 2, name: 'two', file: '0002_two.js', up: 'UP 2', down: 'DOWN 2', checksum: 'c2' },
+  { version: 3, name: 'three', file: '0003_three.js', up: 'UP 3', down: 'DOWN 3', checksum: 'c3' }
+];
+
+const appliedRow = (migration, checksum = migration.checksum) => ({
+  version: migration.version,
+  name: migration.name,
+  checksum,
+  executed_at: new Date('2024-01-01T00:00:00Z')
+});
+
+describe('Migrator', () => {
+  describe('loadMigrations', () => {
+    it('should load the repository migrations in order with up and down steps', () => {
+      const loaded = loadMigrations();
+
+      expect(loaded.length).toBeGreaterThan(0);
+      loaded.forEach((migration, i) => {
+        expect(migration.version).toBe(i + 1);
+        expect(migration.up).toEqual(expect.any(String));
+        expect(migration.down).toEqual(expect.any(String));
+        expect(migration.checksum).toMatch(/^[a-f0-9]{64}$/);
+      });
+      expect(loaded[0].name).toBe('create_users_table');
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report applied, pending, modified and missing migrations', async () => {
+      const client = createMockClient([
+        appliedRow(migrations[0]),
+        appliedRow(migrations[1], 'edited'),
+        { version: 9, name: 'gone', checksum: 'c9', executed_at: new Date() }
+      ]);
+
+      const status = await getStatus(client, migrations);
+
+      expect(status.map(entry => [entry.version, entry.state])).toEqual([
+        [1, 'applied'],
+        [2, 'modified'],
+        [3, 'pending'],
+        [9, 'missing']
+      ]);
+    });
+  });
+
+  describe('migrateUp', () => {
+    it('should apply pending migrations each in its own transaction', async () => {
+      const client = createMockClient([appliedRow(migrations[0])]);
+
+      const applied = await migrateUp(client, migrations);
+
+      expect(applied.map(migration => migration.version)).toEqual([2, 3]);
+      const sql = client.query.mock.calls.map(call => call[0]);
+      expect(sql.slice(1)).toEqual([
+        'BEGIN', 'UP 2', expect.stringContaining('INSERT INTO migrations'), 'COMMIT',
+        'BEGIN', 'UP 3', expect.stringContaining('INSERT INTO migrations'), 'COMMIT'
+      ]);
+      expect(client.rows.map(row => row.checksum)).toEqual(['c1', 'c2', 'c3']);
+    });
+
+    it('should stop at the target version', async () => {
+      const client = createMockClient();
+
+      const applied = await migrateUp(client, migrations, { to: 2 });
+
+      expect(applied.map(migration => migration.version)).toEqual([1, 2]);
+    });
+
+    it('should refuse to run when an applied migration was edited', async () => {
+      const client = createMockClient([appliedRow(migrations[0], 'edited')]);
+
+      await expect(migrateUp(client, migrations)).rejects.toThrow('Applied migrations were modified: 1_one');
+      expect(client.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    it('should roll back a failing migration and stop', async () => {
+      const client = createMockClient();
+      const broken = [migrations[0], { ...migrations[1], up: 'FAIL' }, migrations[2]];
+
+      await expect(migrateUp(client, broken)).rejects.toThrow('0002_two.js (up) failed: syntax error');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.rows.map(row => row.version)).toEqual([1]);
+    });
+  });
+
+  describe('migrateDown', () => {
+    it('should roll back only the latest migration by default', async () => {
+      const client = createMockClient(migrations.map(migration => appliedRow(migration)));
+
+      const rolledBack = await migrateDown(client, migrations);
+
+      expect(rolledBack.map(migration => migration.version)).toEqual([3]);
+      expect(client.query).toHaveBeenCalledWith('DOWN 3');
+      expect(client.rows.map(row => row.version)).toEqual([1, 2]);
+    });
+
+    it('should roll back newest first down to the target version', async () => {
+      const client = createMockClient(migrations.map(migration => appliedRow(migration)));
+
+      await migrateDown(client, migrations, { to: 1 });
+
+      const downs = client.query.mock.calls.map(call => call[0]).filter(sql => sql.startsWith('DOWN'));
+      expect(downs).toEqual(['DOWN 3', 'DOWN 2']);
+      expect(client.rows.map(row => row.version)).toEqual([1]);
+    });
+
+    it('should fail for migrations without a down step', async () => {
+      const client = createMockClient([appliedRow(migrations[0])]);
+
+      await expect(migrateDown(client, [{ ...migrations[0], down: undefined }]))
+        .rejects.toThrow('cannot be rolled back');
+    });
+  });
+
+  describe('createMigration', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should create the next numbered migration file', () => {
+      fs.writeFileSync(path.join(dir, '0007_existing.js'), '');
+
+      const filePath = createMigration('Add Widgets table', dir);
+
+      expect(path.basename(filePath)).toBe('0008_add_widgets_table.js');
+      expect(fs.readFileSync(filePath, 'utf8')).toContain('down: `');
+    });
+
+    it('should require a name', () => {
+      expect(() => createMigration('', dir)).toThrow('A migration name is required');
+    });
+  });
+
+  describe('withMigrationLock', () => {
+    it('should hold the advisory lock while migrating and always release it', async () => {
+      const client = createMockClient();
+      db.connect.mockResolvedValue(client);
+
+      await expect(withMigrationLock(async () => {
+        throw new Error('boom');
+      }, migrations)).rejects.toThrow('boom');
+
+      const sql = client.query.mock.calls.map(call => call[0]);
+      expect(sql[0]).toBe('SELECT pg_advisory_lock($1)');
+      expect(sql).toContainEqual(expect.stringContaining('CREATE TABLE IF NOT EXISTS migrations'));
+      expect(sql[sql.length - 1]).toBe('SELECT pg_advisory_unlock($1)');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,330 @@
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+
+// In-memory Redis stand-in
+const mockRedisStore = new Map();
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    setEx: async (key, ttl, value) => { mockRedisStore.set(key, value); return 'OK'; },
+    get: async (key) => (mockRedisStore.has(key) ? mockRedisStore.get(key) : null),
+    getDel: async (key) => {
+      const value = mockRedisStore.has(key) ? mockRedisStore.get(key) : null;
+      mockRedisStore.delete(key);
+      return value;
+    },
+    del: async (key) => { mockRedisStore.delete(key); return 1; },
+    keys: async () => []
+  }
+}));
+
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/utils/permissions', () => ({
+  getRolePermissions: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../src/utils/memberships', () => ({
+  getActiveGymIds: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+/**
+ * Minimal OAuth 2.0 identity provider supporting PKCE (S256)
+ */
+function createMockIdentityProvider() {
+  const codes = new Map();
+  let profile = {};
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      if (req.url === '/token' && req.method === 'POST') {
+        const params = new URLSearchParams(body);
+        const challenge = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+
+        const verifierChallenge = crypto.createHash('sha256')
+          .update(params.get('code_verifier') || '')
+          .digest('base64url');
+
+        if (!challenge || challenge !== verifierChallenge || params.get('client_secret') !== 'idp-secret') {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({ error: 'invalid_grant' }));
+        }
+
+        return res.end(JSON.stringify({ access_token: 'idp-access-token', token_type: 'Bearer' }));
+      }
+
+      if (req.url.startsWith('/userinfo')) {
+        const accessToken = new URL(req.url, 'http://idp').searchParams.get('access_token') ||
+          (req.headers.authorization || '').replace('Bearer ', '');
+
+        if (accessToken !== 'idp-access-token') {
+          res.statusCode = 401;
+          return res.end(JSON.stringify({ error: 'invalid_token' }));
+        }
+        return res.end(JSON.stringify(profile));
+      }
+
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+
+  return {
+    server,
+    issueCode(code, challenge) { codes.set(code, challenge); },
+    setProfile(value) { profile = value; }
+  };
+}
+
+describe('OAuth login flow', () => {
+  let idp;
+  let app;
+  let db;
+  let mockClient;
+
+  beforeAll(async () => {
+    idp = createMockIdentityProvider();
+    await new Promise(resolve => idp.server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${idp.server.address().port}`;
+
+    process.env.GOOGLE_CLIENT_ID = 'idp-client';
+    process.env.GOOGLE_CLIENT_SECRET = 'idp-secret';
+    process.env.GOOGLE_CALLBACK_URL = 'http://localhost:3000/oauth/google/callback';
+    process.env.GOOGLE_AUTHORIZATION_URL = `${base}/authorize`;
+    process.env.GOOGLE_TOKEN_URL = `${base}/token`;
+    process.env.GOOGLE_USERINFO_URL = `${base}/userinfo`;
+
+    db = require('../../src/config/database');
+    const authRoutes = require('../../src/routes/auth');
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => idp.server.close(resolve));
+    delete process.env.GOOGLE_CLIENT_ID;
+  });
+
+  beforeEach(() => {
+    mockRedisStore.clear();
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+    db.connect.mockResolvedValue(mockClient);
+    idp.setProfile({
+      sub: 'google-123',
+      email: 'Jane@Example.com',
+      email_verified: true,
+      given_name: 'Jane',
+      family_name: 'Doe'
+    });
+  });
+
+  /**
+   * Start the flow and simulate the user granting consent at the provider
+   */
+  async function authorize() {
+    const res = await request(app).get('/api/auth/oauth/google');
+    expect(res.status).toBe(302);
+
+    const location = new URL(res.headers.location);
+    const code = crypto.randomBytes(8).toString('hex');
+    idp.issueCode(code, location.searchParams.get('code_challenge'));
+
+    return { location, code, state: location.searchParams.get('state') };
+  }
+
+  it('should redirect to the provider with state and a PKCE challenge', async () => {
+    const { location } = await authorize();
+
+    expect(location.pathname).toBe('/authorize');
+    expect(location.searchParams.get('client_id')).toBe('idp-client');
+    expect(location.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(location.searchParams.get('state')).toBeTruthy();
+    expect(location.searchParams.get('scope')).toContain('email');
+  });
+
+  it('should create a new user and issue tokens', async () => {
+    const newUser = {
+      id: 'user-1',
+      email: 'jane@example.com',
+      role: 'client',
+      first_name: 'Jane',
+      last_name: 'Doe',
+      is_active: true
+    };
+
+    db.query
+      .mockResolvedValueOnce({ rows: [] }) // Linked identity lookup
+      .mockResolvedValueOnce({ rows: [] }) // Email lookup
+      .mockResolvedValueOnce({ rows: [newUser] }); // Insert user
+
+    const { code, state } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe('jane@example.com');
+    expect(res.body.data.tokens).toEqual(expect.objectContaining({
+      access_token: expect.any(String),
+      refresh_token: expect.any(String),
+      token_type: 'Bearer',
+      expires_in: 900
+    }));
+
+    const insertCall = db.query.mock.calls[2];
+    expect(insertCall[0]).toContain('INSERT INTO users');
+    expect(insertCall[1]).toEqual(['jane@example.com', 'client', 'Jane', 'Doe', 'google', 'google-123']);
+  });
+
+  it('should link an existing account by verified email', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'existing-user', oauth_provider: null, email_verified: true }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'existing-user', email: 'jane@example.com', role: 'trainer', is_active: true }] });
+
+    const { code, state } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe('existing-user');
+    expect(db.query.mock.calls[2][0]).toContain('UPDATE users');
+    expect(db.query.mock.calls[2][0]).not.toContain('password_hash');
+  });
+
+  it('should link an account registered with a mixed-case email', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'existing-user', oauth_provider: null, email_verified: true }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'existing-user', email: 'JANE@example.com', role: 'client', is_active: true }] });
+
+    const { code, state } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.email).toBe('JANE@example.com');
+
+    const [lookup, values] = db.query.mock.calls[1];
+    expect(lookup).toContain('WHERE LOWER(email) = $1');
+    expect(values).toEqual(['jane@example.com']);
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO users'))).toBe(false);
+  });
+
+  it('should drop the credentials of an unverified account before linking it', async () => {
+    db.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'existing-user', oauth_provider: null, email_verified: false }] });
+    mockClient.query
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [{ id: 'existing-user', email: 'jane@example.com', role: 'client', is_active: true }] });
+    mockRedisStore.set('user:existing-user', '{}');
+
+    const { code, state } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe('existing-user');
+
+    const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+    expect(statements[1]).toContain('password_hash = NULL');
+    expect(statements[1]).toContain('mfa_enabled = false');
+    expect(statements).toContain('DELETE FROM mfa_recovery_codes WHERE user_id = $1');
+    expect(statements).toContain('UPDATE sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL');
+    expect(statements).toContain('COMMIT');
+    expect(mockRedisStore.has('access_tokens_revoked_before:existing-user')).toBe(true);
+    expect(mockRedisStore.has('user:existing-user')).toBe(false);
+  });
+
+  it('should refuse to link when the provider email is not verified', async () => {
+    idp.setProfile({ sub: 'google-123', email: 'jane@example.com', email_verified: false });
+    db.query.mockResolvedValueOnce({ rows: [] });
+
+    const { code, state } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('OAUTH_EMAIL_UNVERIFIED');
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject an unknown state', async () => {
+    const { code } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state: 'forged-state' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_STATE');
+  });
+
+  it('should not allow a state to be used twice', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ id: 'user-1', email: 'jane@example.com', role: 'client', is_active: true }]
+    });
+
+    const { code, state } = await authorize();
+    await request(app).post('/api/auth/oauth/google').send({ code, state });
+
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_STATE');
+  });
+
+  it('should fail when the code verifier does not match', async () => {
+    const { state } = await authorize();
+    idp.issueCode('tampered-code', 'not-the-real-challenge');
+
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code: 'tampered-code', state });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('OAUTH_FAILED');
+  });
+
+  it('should reject disabled accounts', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{ id: 'user-1', email: 'jane@example.com', role: 'client', is_active: false }]
+    });
+
+    const { code, state } = await authorize();
+    const res = await request(app)
+      .post('/api/auth/oauth/google')
+      .send({ code, state });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('ACCOUNT_DISABLED');
+  });
+});
@@ -0,0 +1,186 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+const profileController = require('../../src/controllers/profileController');
+const db = require('../../src/config/database');
+const { recordChange } = require('../../src/utils/audit');
+const { ensureRoleProfile } = require('../../src/utils/profiles');
+const { schemas } = require('../../src/middleware/validation');
+
+describe('Profile Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      params: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'trainer-1', email: 'trainer@example.com', role: 'trainer' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('getTrainerProfile', () => {
+    it('should return the current trainer profile', async () => {
+      const profile = { user_id: 'trainer-1', specializations: ['yoga'], years_experience: 3 };
+      db.query.mockResolvedValueOnce({ rows: [profile] });
+
+      await profileController.getTrainerProfile(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('FROM trainer_profiles WHERE user_id = $1');
+      expect(db.query.mock.calls[0][1]).toEqual(['trainer-1']);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: profile });
+    });
+
+    it('should return 404 when the profile does not exist', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await profileController.getTrainerProfile(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('updateTrainerProfile', () => {
+    it('should upsert only the provided fields and record the diff', async () => {
+      const certifications = [{ name: 'NASM CPT', year: 2020 }];
+      mockReq.validatedBody = { certifications, years_experience: 5 };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ certifications: [], years_experience: 3 }] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 'trainer-1', certifications, years_experience: 5 }] });
+
+      await profileController.updateTrainerProfile(mockReq, mockRes);
+
+      const [sql, values] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('INSERT INTO trainer_profiles (user_id, certifications, years_experience)');
+      expect(sql).toContain('ON CONFLICT (user_id) DO UPDATE');
+      expect(values).toEqual(['trainer-1', JSON.stringify(certifications), 5]);
+
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'profile_updated',
+        resourceType: 'trainer_profiles',
+        before: { certifications: [], years_experience: 3 },
+        after: { certifications, years_experience: 5 }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('updateClientProfile', () => {
+    it('should store goals as an array and the emergency contact as JSON', async () => {
+      const emergency_contact = { name: 'Jane Doe', phone: '+15551234567' };
+      mockReq.user = { id: 'client-1', email: 'client@example.com', role: 'client' };
+      mockReq.validatedBody = { goals: ['lose weight'], emergency_contact };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 'client-1', goals: ['lose weight'], emergency_contact }] });
+
+      await profileController.updateClientProfile(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][1]).toEqual([
+        'client-1',
+        ['lose weight'],
+        JSON.stringify(emergency_contact)
+      ]);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+
+    it('should clear the emergency contact with SQL NULL', async () => {
+      mockReq.user = { id: 'client-1', email: 'client@example.com', role: 'client' };
+      mockReq.validatedBody = { emergency_contact: null };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ emergency_contact: { name: 'Jane Doe', phone: '+15551234567' } }] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 'client-1', emergency_contact: null }] });
+
+      await profileController.updateClientProfile(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['client-1', null]);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { user_id: 'client-1', emergency_contact: null }
+      });
+    });
+
+    it('should roll back on database errors', async () => {
+      mockReq.validatedBody = { goals: ['run a marathon'] };
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Database error'));
+
+      await profileController.updateClientProfile(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('ensureRoleProfile', () => {
+    it('should create the profile for trainers and clients only', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await ensureRoleProfile('user-1', 'trainer');
+      await ensureRoleProfile('user-2', 'client');
+      await ensureRoleProfile('user-3', 'gym_owner');
+
+      expect(db.query).toHaveBeenCalledTimes(2);
+      expect(db.query.mock.calls[0][0]).toContain('INSERT INTO trainer_profiles');
+      expect(db.query.mock.calls[1][0]).toContain('INSERT INTO client_profiles');
+      expect(db.query.mock.calls[0][0]).toContain('ON CONFLICT (user_id) DO NOTHING');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject an unknown fitness level', () => {
+      const { error } = schemas.updateClientProfile.validate({ fitness_level: 'elite' });
+      expect(error).toBeDefined();
+    });
+
+    it('should require a name and phone for the emergency contact', () => {
+      const { error } = schemas.updateClientProfile.validate({ emergency_contact: { name: 'Jane' } });
+      expect(error).toBeDefined();
+    });
+
+    it('should require certifications to have a name', () => {
+      const { error } = schemas.updateTrainerProfile.validate({ certifications: [{ issuer: 'NASM' }] });
+      expect(error).toBeDefined();
+    });
+
+    it('should reject an empty update', () => {
+      expect(schemas.updateTrainerProfile.validate({}).error).toBeDefined();
+    });
+  });
+});
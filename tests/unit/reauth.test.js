@@ -0,0 +1,59 @@
+const bcrypt = require('bcrypt');
+
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const { verifyAccountHolder } = require('../../src/utils/reauth');
+
+describe('Re-authentication', () => {
+  let passwordHash;
+
+  beforeAll(async () => {
+    passwordHash = await bcrypt.hash('correct-password', 4);
+  });
+
+  beforeEach(() => {
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+  });
+
+  describe('verifyAccountHolder', () => {
+    it('should accept the right password', async () => {
+      const user = { id: 'user-123', password_hash: passwordHash };
+
+      expect(await verifyAccountHolder(user, { password: 'correct-password' })).toBeNull();
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should reject a wrong or missing password without falling back to the session', async () => {
+      const user = { id: 'user-123', password_hash: passwordHash };
+
+      expect(await verifyAccountHolder(user, { password: 'wrong', sessionId: 'session-1' }))
+        .toEqual(expect.objectContaining({ status: 401, code: 'INVALID_PASSWORD' }));
+      expect(await verifyAccountHolder(user, { sessionId: 'session-1' }))
+        .toEqual(expect.objectContaining({ code: 'INVALID_PASSWORD' }));
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should accept a password-less account whose sign-in is recent', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ recent: true }] });
+
+      expect(await verifyAccountHolder({ id: 'user-123', password_hash: null }, { sessionId: 'session-1' })).toBeNull();
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('JOIN sessions family ON family.family_id = current.family_id');
+      expect(sql).toContain('current.revoked_at IS NULL');
+      expect(params).toEqual(['session-1', 'user-123', 10]);
+    });
+
+    it('should ask a password-less account to sign in again otherwise', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ recent: false }] });
+
+      expect(await verifyAccountHolder({ id: 'user-123', password_hash: null }, { sessionId: 'session-1' }))
+        .toEqual(expect.objectContaining({ status: 401, code: 'REAUTHENTICATION_REQUIRED' }));
+      expect(await verifyAccountHolder({ id: 'user-123', password_hash: null }, {}))
+        .toEqual(expect.objectContaining({ code: 'REAUTHENTICATION_REQUIRED' }));
+    });
+  });
+});
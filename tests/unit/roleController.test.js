@@ -0,0 +1,241 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  ...jest.requireActual('../../src/utils/audit'),
+  recordAuditLog: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/permissions', () => ({
+  invalidateRolePermissions: jest.fn().mockResolvedValue(undefined)
+}));
+
+const roleController = require('../../src/controllers/roleController');
+const db = require('../../src/config/database');
+const { recordAuditLog } = require('../../src/utils/audit');
+const { invalidateRolePermissions } = require('../../src/utils/permissions');
+const { schemas } = require('../../src/middleware/validation');
+
+describe('Role Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  const frontDesk = {
+    name: 'front_desk',
+    description: 'Reception staff',
+    is_system: false,
+    self_register: false
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      params: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'admin-1', email: 'admin@example.com', role: 'admin', permissions: ['roles:manage'] }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('createRole', () => {
+    it('should create the role with its permissions and audit it', async () => {
+      mockReq.validatedBody = {
+        name: 'front_desk',
+        description: 'Reception staff',
+        self_register: false,
+        permissions: ['users:read:gym']
+      };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ name: 'users:read:gym' }] }) // known permissions
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [frontDesk] });
+
+      await roleController.createRole(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'INSERT INTO role_permissions (role, permission) SELECT $1, unnest($2::text[])',
+        ['front_desk', ['users:read:gym']]
+      );
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'role_created',
+        resourceType: 'role',
+        newValues: expect.objectContaining({ name: 'front_desk', permissions: ['users:read:gym'] })
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should reject permissions missing from the catalog', async () => {
+      mockReq.validatedBody = { name: 'front_desk', self_register: false, permissions: ['users:read:gym', 'rockets:launch'] };
+      mockClient.query.mockResolvedValueOnce({ rows: [{ name: 'users:read:gym' }] });
+
+      await roleController.createRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_PERMISSION', message: 'Unknown permissions: rockets:launch' })
+      });
+      expect(mockClient.query).not.toHaveBeenCalledWith('BEGIN');
+    });
+
+    it('should return 409 when the role already exists', async () => {
+      mockReq.validatedBody = { name: 'trainer', self_register: false, permissions: [] };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] });
+
+      await roleController.createRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('updateRole', () => {
+    it('should replace the permissions, audit the diff and drop the cache', async () => {
+      mockReq.params.name = 'front_desk';
+      mockReq.validatedBody = { permissions: ['users:read:gym', 'gyms:write'] };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ name: 'users:read:gym' }, { name: 'gyms:write' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [frontDesk] })
+        .mockResolvedValueOnce({ rows: [{ permission: 'users:read:gym' }] });
+
+      await roleController.updateRole(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM role_permissions WHERE role = $1', ['front_desk']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'role_updated',
+        oldValues: { name: 'front_desk', permissions: ['users:read:gym'] },
+        newValues: { name: 'front_desk', permissions: ['gyms:write', 'users:read:gym'] }
+      }));
+      expect(invalidateRolePermissions).toHaveBeenCalledWith('front_desk');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ name: 'front_desk', permissions: ['gyms:write', 'users:read:gym'] })
+      });
+    });
+
+    it('should not let callers remove roles:manage from their own role', async () => {
+      mockReq.params.name = 'admin';
+      mockReq.validatedBody = { permissions: ['users:read:all'] };
+      mockClient.query.mockResolvedValueOnce({ rows: [{ name: 'users:read:all' }] });
+
+      await roleController.updateRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'CANNOT_REMOVE_OWN_ACCESS' })
+      });
+    });
+
+    it('should return 404 for unknown roles', async () => {
+      mockReq.params.name = 'wizard';
+      mockReq.validatedBody = { description: 'Casts spells' };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] });
+
+      await roleController.updateRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('should refuse to delete built-in roles', async () => {
+      mockReq.params.name = 'trainer';
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ ...frontDesk, name: 'trainer', is_system: true }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await roleController.deleteRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'ROLE_PROTECTED' })
+      });
+    });
+
+    it('should refuse to delete roles that users still hold', async () => {
+      mockReq.params.name = 'front_desk';
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [frontDesk] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+      await roleController.deleteRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'ROLE_IN_USE' })
+      });
+      expect(mockClient.query).not.toHaveBeenCalledWith('DELETE FROM roles WHERE name = $1', ['front_desk']);
+    });
+
+    it('should delete an unused custom role', async () => {
+      mockReq.params.name = 'front_desk';
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [frontDesk] })
+        .mockResolvedValueOnce({ rows: [{ permission: 'users:read:gym' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await roleController.deleteRole(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM roles WHERE name = $1', ['front_desk']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'role_deleted',
+        oldValues: expect.objectContaining({ name: 'front_desk', permissions: ['users:read:gym'] })
+      }));
+      expect(invalidateRolePermissions).toHaveBeenCalledWith('front_desk');
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject malformed role and permission names', () => {
+      expect(schemas.createRole.validate({ name: 'Front Desk' }).error).toBeDefined();
+      expect(schemas.createRole.validate({ name: 'front_desk', permissions: ['everything'] }).error).toBeDefined();
+    });
+
+    it('should default new roles to closed registration without permissions', () => {
+      const { value } = schemas.createRole.validate({ name: 'front_desk' });
+
+      expect(value).toEqual({ name: 'front_desk', self_register: false, permissions: [] });
+    });
+  });
+});
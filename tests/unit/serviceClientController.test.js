@@ -0,0 +1,126 @@
+const bcrypt = require('bcrypt');
+
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined),
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/jwt', () => ({
+  revokeServiceClientTokens: jest.fn().mockResolvedValue(undefined)
+}));
+
+const serviceClientController = require('../../src/controllers/serviceClientController');
+const db = require('../../src/config/database');
+const { recordAuditLog } = require('../../src/utils/audit');
+const { revokeServiceClientTokens } = require('../../src/utils/jwt');
+
+describe('Service Client Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+
+    mockReq = {
+      validatedBody: {},
+      params: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'admin-1', email: 'admin@example.com', role: 'admin', permissions: ['service_clients:manage'] }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('createServiceClient', () => {
+    it('should store a hashed secret and return the plain secret once', async () => {
+      mockReq.validatedBody = { client_id: 'booking-service', name: 'Booking service', scopes: ['users:read'] };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'client-uuid-1', client_id: 'booking-service' }] });
+
+      await serviceClientController.createServiceClient(mockReq, mockRes);
+
+      const [, values] = mockClient.query.mock.calls[1];
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.client_secret).toEqual(expect.any(String));
+      expect(values[2]).not.toBe(data.client_secret);
+      expect(await bcrypt.compare(data.client_secret, values[2])).toBe(true);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'service_client_created',
+        newValues: { client_id: 'booking-service', name: 'Booking service', scopes: ['users:read'] }
+      }));
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should return 409 for a taken client_id', async () => {
+      mockReq.validatedBody = { client_id: 'booking-service', name: 'Booking service', scopes: ['users:read'] };
+
+      await serviceClientController.createServiceClient(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+
+  describe('rotateSecret', () => {
+    it('should replace the secret and audit the rotation', async () => {
+      mockReq.params.id = 'client-uuid-1';
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'client-uuid-1', client_id: 'booking-service' }] });
+
+      await serviceClientController.rotateSecret(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('secret_rotated_at = NOW()');
+      expect(mockRes.json.mock.calls[0][0].data.client_secret).toEqual(expect.any(String));
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'service_client_secret_rotated' }));
+      expect(revokeServiceClientTokens).toHaveBeenCalledWith('booking-service');
+    });
+
+    it('should return 404 for unknown clients', async () => {
+      mockReq.params.id = 'missing';
+
+      await serviceClientController.rotateSecret(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(revokeServiceClientTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deactivateServiceClient', () => {
+    it('should deactivate the client and deny its outstanding tokens', async () => {
+      mockReq.params.id = 'client-uuid-1';
+      db.query.mockResolvedValueOnce({ rows: [{ client_id: 'booking-service' }] });
+
+      await serviceClientController.deactivateServiceClient(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('SET is_active = false');
+      expect(revokeServiceClientTokens).toHaveBeenCalledWith('booking-service');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'service_client_deactivated' }));
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Service client deactivated' });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    del: jest.fn().mockResolvedValue(1)
+  }
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const sessionController = require('../../src/controllers/sessionController');
+const db = require('../../src/config/database');
+const { redisClient } = require('../../src/config/redis');
+
+describe('Session Controller', () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    db.query = jest.fn();
+
+    mockReq = {
+      params: {},
+      user: { id: 'user-123', email: 'user@example.com', role: 'client', sid: 'session-1' }
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('listSessions', () => {
+    const sessions = [
+      { id: 'session-1', ip_address: '10.0.0.1', user_agent: 'Chrome' },
+      { id: 'session-2', ip_address: '10.0.0.2', user_agent: 'iPhone' }
+    ];
+
+    it('should list active sessions for the current user and flag the current one', async () => {
+      db.query.mockResolvedValueOnce({ rows: sessions });
+
+      await sessionController.listSessions(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('revoked_at IS NULL AND expires_at > NOW()');
+      expect(db.query.mock.calls[0][1]).toEqual(['user-123']);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [
+          expect.objectContaining({ id: 'session-1', current: true }),
+          expect.objectContaining({ id: 'session-2', current: false })
+        ]
+      });
+    });
+
+    it('should list sessions of another user for admins', async () => {
+      mockReq.user = { id: 'admin-1', role: 'admin' };
+      mockReq.params.id = 'user-456';
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await sessionController.listSessions(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['user-456']);
+    });
+
+    it('should return 500 on database error', async () => {
+      db.query.mockRejectedValueOnce(new Error('Database error'));
+
+      await sessionController.listSessions(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session in Postgres and Redis', async () => {
+      mockReq.params.sessionId = 'session-2';
+      db.query.mockResolvedValueOnce({ rows: [{ token_hash: 'hash-2' }] });
+
+      await sessionController.revokeSession(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('UPDATE sessions SET revoked_at = NOW()');
+      expect(db.query.mock.calls[0][1]).toEqual(['session-2', 'user-123']);
+      expect(redisClient.del).toHaveBeenCalledWith('refresh_token:user-123:hash-2');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    });
+
+    it('should only revoke sessions owned by the target user', async () => {
+      mockReq.user = { id: 'admin-1', role: 'admin', email: 'admin@example.com' };
+      mockReq.params = { id: 'user-456', sessionId: 'session-9' };
+      db.query.mockResolvedValueOnce({ rows: [{ token_hash: 'hash-9' }] });
+
+      await sessionController.revokeSession(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['session-9', 'user-456']);
+      expect(redisClient.del).toHaveBeenCalledWith('refresh_token:user-456:hash-9');
+    });
+
+    it('should return 404 for unknown or already revoked sessions', async () => {
+      mockReq.params.sessionId = 'session-unknown';
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await sessionController.revokeSession(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'SESSION_NOT_FOUND'
+        })
+      });
+      expect(redisClient.del).not.toHaveBeenCalled();
+    });
+  });
+});
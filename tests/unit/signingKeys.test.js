@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const { loadSigningKeys, getSigningKey, getJwks } = require('../../src/config/signingKeys');
+const { findInsecureSecrets, assertProductionConfig } = require('../../src/config/security');
+
+const pem = (type, options) => crypto.generateKeyPairSync(type, {
+  ...options,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+}).privateKey;
+
+describe('Signing keys', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitsync-keys-'));
+    fs.writeFileSync(path.join(dir, '2026-01.pem'), pem('rsa', { modulusLength: 2048 }));
+    fs.writeFileSync(path.join(dir, '2026-07.pem'), pem('ec', { namedCurve: 'prime256v1' }));
+    fs.writeFileSync(path.join(dir, 'README.txt'), 'not a key');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadSigningKeys', () => {
+    it('should load every key and sign with the chosen one', () => {
+      const { keys, signing } = loadSigningKeys(dir, '2026-07');
+
+      expect(keys.map(key => [key.kid, key.alg])).toEqual([['2026-01', 'RS256'], ['2026-07', 'ES256']]);
+      expect(signing.kid).toBe('2026-07');
+    });
+
+    it('should require JWT_SIGNING_KID when there are several keys', () => {
+      expect(() => loadSigningKeys(dir)).toThrow('JWT_SIGNING_KID must name the signing key');
+      expect(() => loadSigningKeys(dir, '2025-01')).toThrow('does not match a key');
+    });
+
+    it('should reject unsupported key types', () => {
+      const weakDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitsync-keys-'));
+      fs.writeFileSync(path.join(weakDir, 'p384.pem'), pem('ec', { namedCurve: 'secp384r1' }));
+
+      try {
+        expect(() => loadSigningKeys(weakDir)).toThrow('Signing key "p384" must be');
+      } finally {
+        fs.rmSync(weakDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('getJwks', () => {
+    it('should publish public keys only, with kid, alg and use', () => {
+      const { keys } = getJwks();
+
+      expect(keys).toEqual([expect.objectContaining({
+        kty: 'EC',
+        crv: 'P-256',
+        kid: getSigningKey().kid,
+        alg: 'ES256',
+        use: 'sig'
+      })]);
+      expect(keys[0]).not.toHaveProperty('d');
+    });
+  });
+
+  describe('assertProductionConfig', () => {
+    const strong = 'a'.repeat(48);
+
+    it('should flag missing, placeholder and short secrets', () => {
+      expect(findInsecureSecrets({
+        JWT_REFRESH_SECRET: 'your-super-secret-refresh-key-change-in-production',
+        EMAIL_VERIFICATION_SECRET: 'short'
+      })).toEqual(['JWT_REFRESH_SECRET', 'EMAIL_VERIFICATION_SECRET']);
+      expect(findInsecureSecrets({})).toEqual(['JWT_REFRESH_SECRET', 'EMAIL_VERIFICATION_SECRET']);
+    });
+
+    it('should refuse default secrets only in production', () => {
+      expect(() => assertProductionConfig({ NODE_ENV: 'development' })).not.toThrow();
+      expect(() => assertProductionConfig({ NODE_ENV: 'production', JWT_KEYS_DIR: dir }))
+        .toThrow('default or weak secrets: JWT_REFRESH_SECRET, EMAIL_VERIFICATION_SECRET');
+    });
+
+    it('should require signing keys in production', () => {
+      const env = { NODE_ENV: 'production', JWT_REFRESH_SECRET: strong, EMAIL_VERIFICATION_SECRET: strong };
+
+      expect(() => assertProductionConfig(env)).toThrow('JWT_KEYS_DIR is required in production');
+      expect(() => assertProductionConfig({ ...env, JWT_KEYS_DIR: dir })).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const bcrypt = require('bcrypt');
+
+jest.mock('../../src/config/database', () => ({
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/redis', () => ({
+  redisClient: {
+    setEx: jest.fn().mockResolvedValue('OK'),
+    get: jest.fn().mockResolvedValue(null),
+    mGet: jest.fn().mockResolvedValue([null, null]),
+    del: jest.fn().mockResolvedValue(1)
+  }
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+const tokenController = require('../../src/controllers/tokenController');
+const db = require('../../src/config/database');
+const { redisClient } = require('../../src/config/redis');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  generateServiceToken,
+  verifyServiceToken
+} = require('../../src/utils/jwt');
+
+describe('Token Controller', () => {
+  let mockReq;
+  let mockRes;
+  let bookingService;
+
+  const user = { id: 'user-1', email: 'user@example.com', role: 'client' };
+  const basicAuth = (id, secret) => `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+
+  beforeAll(async () => {
+    bookingService = {
+      id: 'client-uuid-1',
+      client_id: 'booking-service',
+      secret_hash: await bcrypt.hash('booking-secret', 4),
+      scopes: ['users:read', 'users:role_info']
+    };
+  });
+
+  beforeEach(() => {
+    db.query = jest.fn().mockResolvedValue({ rows: [] });
+
+    mockReq = {
+      body: {},
+      headers: {}
+    };
+
+    mockRes = {
+      set: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      end: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('issueToken', () => {
+    it('should issue a service token to a client using HTTP Basic auth', async () => {
+      mockReq.body = { grant_type: 'client_credentials' };
+      mockReq.headers.authorization = basicAuth('booking-service', 'booking-secret');
+      db.query.mockResolvedValueOnce({ rows: [bookingService] });
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body).toEqual({
+        access_token: expect.any(String),
+        token_type: 'Bearer',
+        expires_in: 900,
+        scope: 'users:read users:role_info'
+      });
+      expect(verifyServiceToken(body.access_token).client_id).toBe('booking-service');
+      expect(mockRes.set).toHaveBeenCalledWith(expect.objectContaining({ 'Cache-Control': 'no-store' }));
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('last_used_at = NOW()'), ['client-uuid-1']);
+    });
+
+    it('should accept credentials in the body and narrow the token to the requested scope', async () => {
+      mockReq.body = {
+        grant_type: 'client_credentials',
+        client_id: 'booking-service',
+        client_secret: 'booking-secret',
+        scope: 'users:read'
+      };
+      db.query.mockResolvedValueOnce({ rows: [bookingService] });
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ scope: 'users:read' }));
+    });
+
+    it('should reject scopes the client was not granted', async () => {
+      mockReq.body = { grant_type: 'client_credentials', scope: 'users:read users:delete' };
+      mockReq.headers.authorization = basicAuth('booking-service', 'booking-secret');
+      db.query.mockResolvedValueOnce({ rows: [bookingService] });
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'invalid_scope',
+        error_description: 'Client is not allowed scopes: users:delete'
+      });
+    });
+
+    it('should return invalid_client for a wrong secret', async () => {
+      mockReq.body = { grant_type: 'client_credentials' };
+      mockReq.headers.authorization = basicAuth('booking-service', 'wrong-secret');
+      db.query.mockResolvedValueOnce({ rows: [bookingService] });
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.set).toHaveBeenCalledWith('WWW-Authenticate', 'Basic realm="fitsync"');
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'invalid_client' }));
+    });
+
+    it('should return invalid_client for malformed percent-escapes in Basic credentials', async () => {
+      mockReq.body = { grant_type: 'client_credentials' };
+      mockReq.headers.authorization = basicAuth('booking-service', 'bad%E0%A4%A');
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'invalid_client' }));
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should return invalid_client for unknown or deactivated clients', async () => {
+      mockReq.body = { grant_type: 'client_credentials', client_id: 'retired-service', client_secret: 'secret' };
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('is_active = true');
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should only support the client_credentials grant', async () => {
+      mockReq.body = { grant_type: 'password' };
+
+      await tokenController.issueToken(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'unsupported_grant_type' }));
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('introspect', () => {
+    it('should describe an active user access token', async () => {
+      mockReq.body = { token: generateAccessToken(user, { sessionId: 'session-1', permissions: ['users:read:gym'] }) };
+      db.query.mockResolvedValueOnce({ rows: [{ is_active: true }] });
+
+      await tokenController.introspect(mockReq, mockRes);
+
+      expect(db.query).toHaveBeenCalledWith('SELECT is_active FROM users WHERE id = $1', ['user-1']);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        active: true,
+        token_type: 'access_token',
+        sub: 'user-1',
+        username: 'user@example.com',
+        role: 'client',
+        permissions: ['users:read:gym'],
+        sid: 'session-1',
+        aud: 'fitsync-api',
+        jti: expect.any(String)
+      }));
+    });
+
+    it('should report tokens of deactivated users as inactive', async () => {
+      mockReq.body = { token: generateAccessToken(user) };
+      db.query.mockResolvedValueOnce({ rows: [{ is_active: false }] });
+
+      await tokenController.introspect(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ active: false });
+    });
+
+    it('should report tokens on the denylist as inactive', async () => {
+      mockReq.body = { token: generateAccessToken(user) };
+      redisClient.mGet.mockResolvedValueOnce([null, String(Math.floor(Date.now() / 1000) + 1)]);
+
+      await tokenController.introspect(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ active: false });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should describe service tokens by client and scope', async () => {
+      mockReq.body = { token: generateServiceToken({ client_id: 'booking-service' }, ['users:read']) };
+      db.query.mockResolvedValueOnce({ rows: [{ is_active: true }] });
+
+      await tokenController.introspect(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][1]).toEqual(['booking-service']);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        active: true,
+        client_id: 'booking-service',
+        scope: 'users:read',
+        aud: 'fitsync-services'
+      }));
+    });
+
+    it('should check refresh tokens against the refresh token store', async () => {
+      const refreshToken = generateRefreshToken(user, { familyId: 'family-1' });
+      mockReq.body = { token: refreshToken, token_type_hint: 'refresh_token' };
+      redisClient.get.mockResolvedValueOnce(refreshToken);
+      db.query.mockResolvedValueOnce({ rows: [{ is_active: true }] });
+
+      await tokenController.introspect(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        active: true,
+        token_type: 'refresh_token',
+        sub: 'user-1'
+      }));
+    });
+
+    it('should report malformed tokens as inactive and require a token', async () => {
+      mockReq.body = { token: 'not-a-token' };
+      await tokenController.introspect(mockReq, mockRes);
+      expect(mockRes.json).toHaveBeenCalledWith({ active: false });
+
+      mockReq.body = {};
+      await tokenController.introspect(mockReq, mockRes);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('revoke', () => {
+    it('should deny an access token until it expires', async () => {
+      mockReq.body = { token: generateAccessToken(user) };
+
+      await tokenController.revoke(mockReq, mockRes);
+
+      const [key, ttl] = redisClient.setEx.mock.calls[0];
+      expect(key).toMatch(/^revoked_access_token:/);
+      expect(ttl).toBeGreaterThan(890);
+      expect(ttl).toBeLessThanOrEqual(900);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should revoke a refresh token and its session', async () => {
+      mockReq.body = { token: generateRefreshToken(user, { familyId: 'family-1' }) };
+
+      await tokenController.revoke(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).toContain('UPDATE sessions SET revoked_at = NOW() WHERE token_hash = $1');
+      expect(redisClient.del).toHaveBeenCalledWith(expect.stringMatching(/^refresh_token:user-1:/));
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should answer 200 for tokens it cannot parse', async () => {
+      mockReq.body = { token: 'not-a-token' };
+
+      await tokenController.revoke(mockReq, mockRes);
+
+      expect(redisClient.setEx).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.end).toHaveBeenCalled();
+    });
+  });
+});
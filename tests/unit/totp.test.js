@@ -0,0 +1,85 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+
+describe('TOTP Utilities', () => {
+  // RFC 6238 appendix B secret ("12345678901234567890")
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should encode the RFC test secret', () => {
+      expect(rfcSecret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should generate a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match the RFC 6238 SHA1 test vectors', () => {
+      expect(generateTotp(rfcSecret, 59 * 1000)).toBe('287082');
+      expect(generateTotp(rfcSecret, 1111111109 * 1000)).toBe('081804');
+      expect(generateTotp(rfcSecret, 1234567890 * 1000)).toBe('005924');
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const now = 1700000000 * 1000;
+
+    it('should accept the current code and return its time step', () => {
+      const code = generateTotp(rfcSecret, now);
+
+      expect(verifyTotp(rfcSecret, code, { timestamp: now })).toBe(Math.floor(now / 30000));
+    });
+
+    it('should accept codes within the drift window', () => {
+      const previous = generateTotp(rfcSecret, now - 30000);
+
+      expect(verifyTotp(rfcSecret, previous, { timestamp: now })).not.toBeNull();
+    });
+
+    it('should reject codes outside the drift window', () => {
+      const old = generateTotp(rfcSecret, now - 90000);
+
+      expect(verifyTotp(rfcSecret, old, { timestamp: now })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(rfcSecret, '12345', { timestamp: now })).toBeNull();
+      expect(verifyTotp(rfcSecret, 'abcdef', { timestamp: now })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an otpauth URI with issuer and account', () => {
+      const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'user@example.com');
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/FitSync%3Auser%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=FitSync');
+      expect(uri).toContain('digits=6');
+      expect(uri).toContain('period=30');
+    });
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined),
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+const trainerClientController = require('../../src/controllers/trainerClientController');
+const db = require('../../src/config/database');
+const { recordAuditLog, recordChange } = require('../../src/utils/audit');
+
+describe('Trainer-Client Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  const trainer = { id: 'trainer-1', email: 'trainer@example.com', role: 'trainer' };
+  const clientUser = { id: 'client-1', email: 'client@example.com', role: 'client' };
+
+  const pending = {
+    id: 'assignment-1',
+    trainer_id: 'trainer-1',
+    client_id: 'client-1',
+    status: 'pending'
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [] }),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      validatedQuery: {},
+      params: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: trainer
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('inviteClient', () => {
+    it('should create a pending invitation and audit it', async () => {
+      mockReq.validatedBody = { client_id: 'client-1' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 'client-1' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [pending] });
+
+      await trainerClientController.inviteClient(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[0][1]).toEqual(['client-1', 'client']);
+      expect(mockClient.query.mock.calls[2][1]).toEqual(['trainer-1', 'client-1']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'client_invited',
+        resourceType: 'trainer_client',
+        resourceId: 'assignment-1'
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should reject users who are not active clients', async () => {
+      mockReq.validatedBody = { client_id: 'trainer-2' };
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      await trainerClientController.inviteClient(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_CLIENT' })
+      });
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should return 409 when an invitation or assignment is already open', async () => {
+      mockReq.validatedBody = { client_id: 'client-1' };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ id: 'client-1' }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] });
+
+      await trainerClientController.inviteClient(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(recordAuditLog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    it('should activate a pending invitation for the invited client', async () => {
+      mockReq.user = clientUser;
+      mockReq.params.id = 'assignment-1';
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [pending] })
+        .mockResolvedValueOnce({ rows: [{ ...pending, status: 'active' }] });
+
+      await trainerClientController.acceptInvitation(mockReq, mockRes);
+
+      const [sql, values] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('SET status = $1, responded_at = NOW()');
+      expect(values).toEqual(['active', 'assignment-1']);
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'trainer_invitation_accepted',
+        before: { status: 'pending' },
+        after: { status: 'active' }
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ status: 'active' })
+      });
+    });
+
+    it('should hide invitations addressed to someone else', async () => {
+      mockReq.user = { id: 'client-2', email: 'other@example.com', role: 'client' };
+      mockReq.params.id = 'assignment-1';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [pending] });
+
+      await trainerClientController.acceptInvitation(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    it('should return 409 when the invitation was already answered', async () => {
+      mockReq.user = clientUser;
+      mockReq.params.id = 'assignment-1';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...pending, status: 'declined' }] });
+
+      await trainerClientController.acceptInvitation(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_STATUS', message: 'Assignment is already declined' })
+      });
+    });
+  });
+
+  describe('endAssignment', () => {
+    it('should let either side end an active assignment and record who ended it', async () => {
+      mockReq.user = clientUser;
+      mockReq.params.id = 'assignment-1';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ ...pending, status: 'active' }] })
+        .mockResolvedValueOnce({ rows: [{ ...pending, status: 'ended' }] });
+
+      await trainerClientController.endAssignment(mockReq, mockRes);
+
+      const [sql, values] = mockClient.query.mock.calls[2];
+      expect(sql).toContain('ended_at = NOW(), ended_by = $3');
+      expect(values).toEqual(['ended', 'assignment-1', 'client-1']);
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('listAssignments', () => {
+    it('should list a trainer\'s clients filtered by status', async () => {
+      mockReq.validatedQuery = { status: 'active' };
+      db.query.mockResolvedValueOnce({
+        rows: [{
+          id: 'assignment-1',
+          status: 'active',
+          user_id: 'client-1',
+          email: 'client@example.com',
+          first_name: 'Cara',
+          last_name: 'Client'
+        }]
+      });
+
+      await trainerClientController.listAssignments(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain('JOIN users u ON u.id = tc.client_id');
+      expect(sql).toContain('WHERE tc.trainer_id = $1 AND tc.status = $2');
+      expect(values).toEqual(['trainer-1', 'active']);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{
+          id: 'assignment-1',
+          status: 'active',
+          client: { id: 'client-1', email: 'client@example.com', first_name: 'Cara', last_name: 'Client' }
+        }]
+      });
+    });
+
+    it('should list a client\'s trainers', async () => {
+      mockReq.user = clientUser;
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await trainerClientController.listAssignments(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain('JOIN users u ON u.id = tc.trainer_id');
+      expect(sql).toContain('WHERE tc.client_id = $1');
+      expect(values).toEqual(['client-1']);
+    });
+  });
+});
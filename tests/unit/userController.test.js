@@ -0,0 +1,862 @@
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+
+// Mock dependencies
+jest.mock('../../src/config/database', () => ({
+  connect: jest.fn(),
+  query: jest.fn()
+}));
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn()
+}));
+
+jest.mock('../../src/utils/jwt', () => ({
+  generateTokenHash: jest.fn().mockReturnValue('mock-token-hash'),
+  revokeAllUserTokens: jest.fn().mockResolvedValue(undefined),
+  revokeUserAccessTokens: jest.fn().mockResolvedValue(undefined),
+  generateAccessToken: jest.fn(),
+  IMPERSONATION_TOKEN_EXPIRY: 600,
+  cacheUserData: jest.fn().mockResolvedValue(undefined),
+  getCachedUserData: jest.fn().mockResolvedValue(null),
+  invalidateUserCache: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/audit', () => ({
+  recordAuditLog: jest.fn().mockResolvedValue(undefined),
+  recordChange: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../../src/utils/loginThrottle', () => ({
+  unlockLogin: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../../src/utils/permissions', () => ({
+  findRole: jest.fn().mockResolvedValue({ name: 'trainer', is_system: true }),
+  getRolePermissions: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../../src/utils/memberships', () => ({
+  getActiveGymIds: jest.fn().mockResolvedValue(['gym-1'])
+}));
+
+jest.mock('../../src/utils/erasure', () => ({
+  scheduleErasure: jest.fn(),
+  sendErasureNotice: jest.fn().mockResolvedValue(undefined),
+  cancelErasure: jest.fn()
+}));
+
+const userController = require('../../src/controllers/userController');
+const db = require('../../src/config/database');
+const jwtUtils = require('../../src/utils/jwt');
+const { recordAuditLog, recordChange } = require('../../src/utils/audit');
+const { unlockLogin } = require('../../src/utils/loginThrottle');
+const permissions = require('../../src/utils/permissions');
+const erasure = require('../../src/utils/erasure');
+
+describe('User Controller', () => {
+  let mockReq;
+  let mockRes;
+  let mockClient;
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn(),
+      release: jest.fn()
+    };
+
+    db.connect.mockResolvedValue(mockClient);
+    db.query = jest.fn();
+
+    mockReq = {
+      validatedBody: {},
+      params: {},
+      query: {},
+      ip: '127.0.0.1',
+      get: jest.fn().mockReturnValue('test-user-agent'),
+      user: { id: 'user-123', email: 'test@example.com', role: 'client' },
+      body: {}
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis()
+    };
+
+    jest.clearAllMocks();
+  });
+
+  describe('changePassword', () => {
+    let currentHash;
+
+    beforeAll(async () => {
+      currentHash = await bcrypt.hash('CurrentPass123', 10);
+    });
+
+    beforeEach(() => {
+      mockReq.validatedBody = {
+        current_password: 'CurrentPass123',
+        new_password: 'BrandNewPass456'
+      };
+    });
+
+    it('should change the password and revoke other sessions', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [] }) // Update password
+        .mockResolvedValueOnce({ rows: [] }) // Current session
+        .mockResolvedValueOnce({ rowCount: 3 }) // Revoke sessions
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await userController.changePassword(mockReq, mockRes);
+
+      const updateCall = mockClient.query.mock.calls[2];
+      expect(updateCall[0]).toContain('UPDATE users SET password_hash');
+      expect(await bcrypt.compare('BrandNewPass456', updateCall[1][0])).toBe(true);
+
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['user-123', null]);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        action: 'password_changed',
+        newValues: { sessions_revoked: 3, kept_current_session: false },
+        client: mockClient
+      }));
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123', { exceptHash: undefined });
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123', { exceptSessionId: undefined });
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Password changed successfully'
+      });
+    });
+
+    it('should keep the session behind the caller\'s access token signed in', async () => {
+      mockReq.user.sid = 'session-1';
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: 'session-1', token_hash: 'current-hash' }] })
+        .mockResolvedValue({ rows: [], rowCount: 2 });
+
+      await userController.changePassword(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[3][1]).toEqual(['session-1', 'user-123']);
+      expect(mockClient.query.mock.calls[4][0]).toContain('id IS DISTINCT FROM $2');
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['user-123', 'session-1']);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        newValues: { sessions_revoked: 2, kept_current_session: true }
+      }));
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123', { exceptHash: 'current-hash' });
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123', { exceptSessionId: 'session-1' });
+    });
+
+    it('should not claim to keep a session that is no longer active', async () => {
+      mockReq.user.sid = 'revoked-session';
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] })
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+
+      await userController.changePassword(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[4][1]).toEqual(['user-123', null]);
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        newValues: { sessions_revoked: 1, kept_current_session: false }
+      }));
+    });
+
+    it('should return 401 when the current password is wrong', async () => {
+      mockReq.validatedBody.current_password = 'WrongPass';
+      mockClient.query.mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] });
+
+      await userController.changePassword(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'INVALID_PASSWORD'
+        })
+      });
+      expect(jwtUtils.revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+
+    it('should reject a new password identical to the current one', async () => {
+      mockReq.validatedBody.new_password = 'CurrentPass123';
+      mockClient.query.mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] });
+
+      await userController.changePassword(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({
+          code: 'PASSWORD_UNCHANGED'
+        })
+      });
+    });
+
+    it('should roll back and release the client on error', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ password_hash: currentHash }] })
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValue({});
+
+      await userController.changePassword(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('unlockUser', () => {
+    beforeEach(() => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+    });
+
+    it('should lift the lockout and record the admin action', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'locked@example.com' }] });
+
+      await userController.unlockUser(mockReq, mockRes);
+
+      expect(unlockLogin).toHaveBeenCalledWith('locked@example.com');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'account_unlocked',
+        resourceId: 'user-123'
+      }));
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: { was_locked: true }
+      }));
+    });
+
+    it('should return 404 for unknown users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await userController.unlockUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(unlockLogin).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('impersonateUser', () => {
+    const target = { id: 'user-123', email: 'client@example.com', role: 'client', is_active: true };
+
+    beforeEach(() => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockReq.validatedBody = { reason: 'Ticket 4521: bookings not showing' };
+      jwtUtils.generateAccessToken.mockReturnValue(
+        jwt.sign({ id: 'user-123' }, 'test-secret', { jwtid: 'token-1', expiresIn: 600 })
+      );
+    });
+
+    it('should issue an act-as token and record the start', async () => {
+      db.query.mockResolvedValueOnce({ rows: [target] });
+      permissions.getRolePermissions.mockResolvedValueOnce(['users:read:gym']);
+
+      await userController.impersonateUser(mockReq, mockRes);
+
+      expect(jwtUtils.generateAccessToken).toHaveBeenCalledWith(target, {
+        permissions: ['users:read:gym'],
+        gymIds: ['gym-1'],
+        actor: mockReq.user
+      });
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'impersonation_started',
+        resourceId: 'user-123',
+        newValues: expect.objectContaining({ reason: 'Ticket 4521: bookings not showing', token_id: 'token-1' })
+      }));
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ token_type: 'Bearer', expires_in: 600 }));
+      expect(data).not.toHaveProperty('refresh_token');
+    });
+
+    it('should refuse to impersonate yourself', async () => {
+      mockReq.params.id = 'admin-1';
+
+      await userController.impersonateUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(jwtUtils.generateAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for unknown or inactive users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...target, is_active: false }] });
+
+      await userController.impersonateUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(jwtUtils.generateAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to impersonate users who can impersonate', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ ...target, role: 'admin' }] });
+      permissions.getRolePermissions.mockResolvedValueOnce(['users:impersonate', 'users:manage']);
+
+      await userController.impersonateUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(jwtUtils.generateAccessToken).not.toHaveBeenCalled();
+      expect(recordAuditLog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteUser', () => {
+    beforeEach(() => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockReq.validatedQuery = { mode: 'deactivate' };
+      mockReq.validatedBody = { reason: 'Repeated abuse reports' };
+    });
+
+    it('should deactivate the user and revoke all their tokens', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', is_active: true }] })
+        .mockResolvedValueOnce({}) // UPDATE users
+        .mockResolvedValueOnce({ rowCount: 2 }) // UPDATE sessions
+        .mockResolvedValue({});
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][0]).toContain('SET is_active = false');
+      expect(mockClient.query.mock.calls[3][0]).toContain('UPDATE sessions SET revoked_at = NOW()');
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123');
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'user_deactivated',
+        newValues: { is_active: false, reason: 'Repeated abuse reports', sessions_revoked: 2 }
+      }));
+      expect(erasure.scheduleErasure).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'User deactivated successfully' });
+    });
+
+    it('should take the reason from the query string or go without one', async () => {
+      mockReq.validatedBody = {};
+      mockReq.validatedQuery.reason = 'Spam';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', is_active: true }] })
+        .mockResolvedValue({ rowCount: 0 });
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        newValues: expect.objectContaining({ reason: 'Spam' })
+      }));
+
+      recordAuditLog.mockClear();
+      delete mockReq.validatedQuery.reason;
+      mockClient.query
+        .mockReset()
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', is_active: true }] })
+        .mockResolvedValue({ rowCount: 0 });
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        newValues: expect.objectContaining({ reason: null })
+      }));
+      expect(mockRes.json).toHaveBeenLastCalledWith({ success: true, message: 'User deactivated successfully' });
+    });
+
+    it('should return 404 for unknown users', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [] });
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(jwtUtils.revokeUserAccessTokens).not.toHaveBeenCalled();
+    });
+
+    it('should schedule erasure and email the cancel link in erase mode', async () => {
+      const scheduledAt = new Date('2025-02-01T00:00:00.000Z');
+      const user = { id: 'user-123', email: 'user@example.com', first_name: 'Jane', is_active: true, erasure_scheduled_at: null };
+      mockReq.validatedQuery.mode = 'erase';
+      erasure.scheduleErasure.mockResolvedValueOnce({ scheduledAt, cancelToken: 'cancel-token' });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [user] })
+        .mockResolvedValue({});
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(erasure.scheduleErasure).toHaveBeenCalledWith(mockClient, 'user-123', 'admin-1');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user_erasure_scheduled',
+        newValues: { erasure_scheduled_at: scheduledAt }
+      }));
+      expect(erasure.sendErasureNotice).toHaveBeenCalledWith(user, { scheduledAt, cancelToken: 'cancel-token' });
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123');
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: { erasure_scheduled_at: scheduledAt }
+      }));
+    });
+
+    it('should return 409 when erasure is already scheduled', async () => {
+      mockReq.validatedQuery.mode = 'erase';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', is_active: false, erasure_scheduled_at: new Date() }] });
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+      expect(erasure.scheduleErasure).not.toHaveBeenCalled();
+    });
+
+    it('should treat erased users as not found', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', is_active: false, erased_at: new Date() }] });
+
+      await userController.deleteUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('closeMyAccount', () => {
+    let passwordHash;
+
+    beforeAll(async () => {
+      passwordHash = await bcrypt.hash('correct-password', 4);
+    });
+
+    beforeEach(() => {
+      mockReq.user = { id: 'user-123', email: 'user@example.com', role: 'client' };
+      mockReq.validatedQuery = { mode: 'deactivate' };
+      mockReq.validatedBody = { password: 'correct-password' };
+    });
+
+    it('should close the account after checking the password', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', password_hash: passwordHash, is_active: true }] })
+        .mockResolvedValue({ rowCount: 1 });
+
+      await userController.closeMyAccount(mockReq, mockRes);
+
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-123',
+        action: 'account_closed',
+        newValues: expect.objectContaining({ is_active: false, reason: null })
+      }));
+      expect(jwtUtils.revokeAllUserTokens).toHaveBeenCalledWith('user-123');
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Account closed' });
+    });
+
+    it('should schedule erasure when asked to', async () => {
+      mockReq.validatedQuery.mode = 'erase';
+      mockReq.validatedBody.reason = 'Moving away';
+      erasure.scheduleErasure.mockResolvedValueOnce({ scheduledAt: new Date(), cancelToken: 'cancel-token' });
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', password_hash: passwordHash, is_active: true }] })
+        .mockResolvedValue({ rowCount: 1 });
+
+      await userController.closeMyAccount(mockReq, mockRes);
+
+      expect(erasure.scheduleErasure).toHaveBeenCalledWith(mockClient, 'user-123', 'user-123');
+      expect(erasure.sendErasureNotice).toHaveBeenCalled();
+    });
+
+    it('should return 401 for a wrong password', async () => {
+      mockReq.validatedBody.password = 'wrong-password';
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', password_hash: passwordHash, is_active: true }] });
+
+      await userController.closeMyAccount(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(jwtUtils.revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+
+    it('should close a password-less account after a recent sign-in', async () => {
+      mockReq.user.sid = 'session-1';
+      mockReq.validatedBody = {};
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', password_hash: null, is_active: true }] })
+        .mockResolvedValueOnce({ rows: [{ recent: true }] })
+        .mockResolvedValue({ rowCount: 1 });
+
+      await userController.closeMyAccount(mockReq, mockRes);
+
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringContaining('FROM sessions current'),
+        ['session-1', 'user-123', 10]
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Account closed' });
+    });
+
+    it('should ask a password-less account to sign in again when its sign-in is stale', async () => {
+      mockReq.user.sid = 'session-1';
+      mockReq.validatedBody = {};
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', password_hash: null, is_active: true }] })
+        .mockResolvedValueOnce({ rows: [{ recent: false }] });
+
+      await userController.closeMyAccount(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: expect.objectContaining({ code: 'REAUTHENTICATION_REQUIRED' })
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(recordAuditLog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reactivateUser', () => {
+    beforeEach(() => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockReq.validatedBody = { reason: 'Appeal accepted' };
+    });
+
+    it('should reactivate the user and record the reason', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', is_active: false, erasure_scheduled_at: null }] })
+        .mockResolvedValue({});
+
+      await userController.reactivateUser(mockReq, mockRes);
+
+      expect(mockClient.query.mock.calls[2][0]).toContain('SET is_active = true');
+      expect(erasure.cancelErasure).not.toHaveBeenCalled();
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user_reactivated',
+        newValues: { is_active: true, reason: 'Appeal accepted', erasure_cancelled: false }
+      }));
+      expect(jwtUtils.invalidateUserCache).toHaveBeenCalledWith('user-123');
+    });
+
+    it('should cancel a scheduled erasure', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', is_active: false, erasure_scheduled_at: new Date() }] })
+        .mockResolvedValue({});
+
+      await userController.reactivateUser(mockReq, mockRes);
+
+      expect(erasure.cancelErasure).toHaveBeenCalledWith(mockClient, 'user-123');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        newValues: expect.objectContaining({ erasure_cancelled: true })
+      }));
+    });
+
+    it('should return 409 for active users', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', is_active: true }] });
+
+      await userController.reactivateUser(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('cancelUserErasure', () => {
+    beforeEach(() => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockReq.validatedBody = { reason: 'Requested by mistake' };
+      mockClient.query.mockResolvedValue({});
+    });
+
+    it('should cancel the erasure and reactivate the user', async () => {
+      erasure.cancelErasure.mockResolvedValueOnce({ id: 'user-123', email: 'user@example.com' });
+
+      await userController.cancelUserErasure(mockReq, mockRes);
+
+      expect(erasure.cancelErasure).toHaveBeenCalledWith(mockClient, 'user-123');
+      expect(recordAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'user_erasure_cancelled',
+        newValues: { is_active: true, reason: 'Requested by mistake' }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    it('should return 404 when no erasure is scheduled', async () => {
+      erasure.cancelErasure.mockResolvedValueOnce(null);
+
+      await userController.cancelUserErasure(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(recordAuditLog).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateUserRole', () => {
+    it('should record the role change with before and after values', async () => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockReq.validatedBody = { role: 'trainer' };
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ role: 'client' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'user-123', email: 'user@example.com', role: 'trainer' }] })
+        .mockResolvedValueOnce({}); // COMMIT
+
+      await userController.updateUserRole(mockReq, mockRes);
+
+      expect(recordChange).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'admin-1',
+        action: 'role_updated',
+        resourceId: 'user-123',
+        before: { role: 'client' },
+        after: { role: 'trainer' }
+      }));
+      expect(mockClient.query).toHaveBeenCalledWith('COMMIT');
+      expect(jwtUtils.revokeUserAccessTokens).toHaveBeenCalledWith('user-123');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    it('should reject roles that do not exist', async () => {
+      mockReq.user = { id: 'admin-1', email: 'admin@example.com', role: 'admin' };
+      mockReq.params.id = 'user-123';
+      mockReq.validatedBody = { role: 'wizard' };
+      permissions.findRole.mockResolvedValueOnce(null);
+      mockClient.query
+        .mockResolvedValueOnce({}) // BEGIN
+        .mockResolvedValueOnce({ rows: [{ role: 'client' }] });
+
+      await userController.updateUserRole(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: expect.objectContaining({ code: 'INVALID_ROLE' })
+      });
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(jwtUtils.revokeUserAccessTokens).not.toHaveBeenCalled();
+      expect(recordChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUserRoleInfo', () => {
+    it('should list the active clients of a trainer', async () => {
+      const profile = { certifications: [], specializations: ['yoga'], years_experience: 2, bio: null, rating: null };
+      const assigned = { id: 'client-1', first_name: 'Cara', last_name: 'Client', since: new Date('2024-03-01') };
+      mockReq.params.id = 'trainer-1';
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'trainer-1', role: 'trainer', first_name: 'Tia', last_name: 'Trainer' }] })
+        .mockResolvedValueOnce({ rows: [profile] })
+        .mockResolvedValueOnce({ rows: [assigned] });
+
+      await userController.getUserRoleInfo(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[2];
+      expect(sql).toContain('JOIN users u ON u.id = tc.client_id');
+      expect(sql).toContain("WHERE tc.trainer_id = $1 AND tc.status = 'active'");
+      expect(values).toEqual(['trainer-1']);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({ role: 'trainer', specializations: ['yoga'], clients: [assigned] })
+      });
+    });
+
+    it('should include the permissions granted to the user role', async () => {
+      mockReq.params.id = 'owner-1';
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 'owner-1', role: 'gym_owner', first_name: 'Olga', last_name: 'Owner' }]
+      });
+      permissions.getRolePermissions.mockResolvedValueOnce(['gyms:write', 'users:read:gym']);
+
+      await userController.getUserRoleInfo(mockReq, mockRes);
+
+      expect(permissions.getRolePermissions).toHaveBeenCalledWith('gym_owner');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          user_id: 'owner-1',
+          name: 'Olga Owner',
+          role: 'gym_owner',
+          permissions: ['gyms:write', 'users:read:gym']
+        }
+      });
+    });
+  });
+
+  describe('user visibility', () => {
+    const client = {
+      id: 'client-1', email: 'client@example.com', role: 'client', gym_ids: ['gym-1'], permissions: ['users:read:gym']
+    };
+    const admin = { id: 'admin-1', email: 'admin@example.com', role: 'admin', permissions: ['users:read:all'] };
+
+    it('should scope listUsers to the caller', async () => {
+      mockReq.user = client;
+      mockReq.query = { role: 'trainer' };
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await userController.listUsers(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE role = $1 AND (id = $2 OR (role = 'trainer' AND id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY($3)");
+      expect(values).toEqual(['trainer', 'client-1', ['gym-1'], 20, 0]);
+      expect(db.query.mock.calls[1][1]).toEqual(['trainer', 'client-1', ['gym-1']]);
+    });
+
+    it('should not scope listUsers for admins', async () => {
+      mockReq.user = admin;
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await userController.listUsers(mockReq, mockRes);
+
+      expect(db.query.mock.calls[0][0]).not.toContain('WHERE');
+    });
+
+    it('should filter listUsers by current gym membership', async () => {
+      mockReq.user = admin;
+      mockReq.query = { gym_id: 'gym-1' };
+      db.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      await userController.listUsers(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE id IN (SELECT user_id FROM gym_memberships WHERE gym_id = $1 AND status = 'active'");
+      expect(values).toEqual(['gym-1', 20, 0]);
+    });
+
+    it('should return 404 from getUserById for users outside the scope', async () => {
+      mockReq.user = client;
+      mockReq.params.id = 'other-client';
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await userController.getUserById(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE id = $1 AND (id = $2 OR (role = 'trainer' AND id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY($3)");
+      expect(values).toEqual(['other-client', 'client-1', ['gym-1']]);
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    describe('getUserRoleInfo', () => {
+      it('should return 404 to a client asking about another client', async () => {
+        mockReq.user = client;
+        mockReq.params.id = 'other-client';
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await userController.getUserRoleInfo(mockReq, mockRes);
+
+        const [sql, values] = db.query.mock.calls[0];
+        expect(sql).toContain("WHERE id = $1 AND (id = $2 OR (role = 'trainer' AND id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY($3)");
+        expect(values).toEqual(['other-client', 'client-1', ['gym-1']]);
+        expect(mockRes.status).toHaveBeenCalledWith(404);
+        expect(db.query).toHaveBeenCalledTimes(1);
+      });
+
+      it('should limit trainers to themselves, clients in their gyms and their assigned clients', async () => {
+        mockReq.user = { id: 'trainer-1', role: 'trainer', gym_ids: ['gym-1'], permissions: ['users:read:gym'] };
+        mockReq.params.id = 'client-1';
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await userController.getUserRoleInfo(mockReq, mockRes);
+
+        const [sql, values] = db.query.mock.calls[0];
+        expect(sql).toContain("AND (id = $2 OR (role = 'client' AND id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY($3)");
+        expect(sql).toContain("id IN (SELECT client_id FROM trainer_clients WHERE trainer_id = $2 AND status = 'active')");
+        expect(values).toEqual(['client-1', 'trainer-1', ['gym-1']]);
+        expect(mockRes.status).toHaveBeenCalledWith(404);
+      });
+
+      it('should limit gym owners to members of the gyms they own', async () => {
+        mockReq.user = { id: 'owner-1', role: 'gym_owner', gym_ids: [], permissions: ['users:read:gym'] };
+        mockReq.params.id = 'client-1';
+        db.query
+          .mockResolvedValueOnce({ rows: [{ id: 'client-1', role: 'client', first_name: 'Cara', last_name: 'Client' }] })
+          .mockResolvedValueOnce({ rows: [] })
+          .mockResolvedValueOnce({ rows: [] });
+
+        await userController.getUserRoleInfo(mockReq, mockRes);
+
+        const [sql, values] = db.query.mock.calls[0];
+        expect(sql).toContain('AND (id = $2 OR id IN (SELECT user_id FROM gym_memberships WHERE gym_id IN (SELECT id FROM gyms WHERE owner_id = $2)))');
+        expect(values).toEqual(['client-1', 'owner-1']);
+        expect(mockRes.json).toHaveBeenCalledWith({
+          success: true,
+          data: expect.objectContaining({ user_id: 'client-1', role: 'client' })
+        });
+      });
+
+      it('should not scope admins or service clients', async () => {
+        mockReq.user = admin;
+        mockReq.params.id = 'client-1';
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await userController.getUserRoleInfo(mockReq, mockRes);
+
+        mockReq.user = undefined;
+        mockReq.client = { id: 'booking-service', scopes: ['users:role_info'] };
+        db.query.mockResolvedValueOnce({ rows: [] });
+
+        await userController.getUserRoleInfo(mockReq, mockRes);
+
+        for (const [sql, values] of db.query.mock.calls) {
+          expect(sql).not.toContain('AND');
+          expect(values).toEqual(['client-1']);
+        }
+      });
+    });
+
+    it('should filter batch results to the scope', async () => {
+      mockReq.user = client;
+      mockReq.body = { user_ids: ['trainer-1', 'other-client'] };
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'trainer-1' }] });
+
+      await userController.getUsersBatch(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain("WHERE id IN ($1,$2) AND (id = $3 OR (role = 'trainer' AND id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY($4)");
+      expect(values).toEqual(['trainer-1', 'other-client', 'client-1', ['gym-1']]);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: 'trainer-1' }],
+        count: 1
+      });
+    });
+
+    it('should not scope batch results for service clients', async () => {
+      mockReq.user = undefined;
+      mockReq.client = { id: 'booking-service', scopes: ['users:read'] };
+      mockReq.body = { user_ids: ['trainer-1', 'other-client'] };
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'trainer-1' }, { id: 'other-client' }] });
+
+      await userController.getUsersBatch(mockReq, mockRes);
+
+      const [sql, values] = db.query.mock.calls[0];
+      expect(sql).toContain('WHERE id IN ($1,$2)');
+      expect(sql).not.toContain('AND');
+      expect(values).toEqual(['trainer-1', 'other-client']);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { userVisibilityScope } = require('../../src/policies/userPolicy');
+const { CURRENT_MEMBERSHIP } = require('../../src/policies/gymPolicy');
+
+const readGym = ['users:read:gym'];
+const inGyms = first => `id IN (SELECT user_id FROM gym_memberships WHERE gym_id = ANY($${first}) AND ${CURRENT_MEMBERSHIP})`;
+
+describe('User visibility policy', () => {
+  it('should not restrict holders of users:read:all', () => {
+    expect(userVisibilityScope({ id: 'admin-1', role: 'admin', permissions: ['users:read:all'] })).toBeNull();
+  });
+
+  it('should let gym owners see themselves and members of gyms they own', () => {
+    const scope = userVisibilityScope({ id: 'owner-1', role: 'gym_owner', gym_ids: [], permissions: readGym });
+
+    expect(scope).toEqual({
+      condition: '(id = $1 OR id IN (SELECT user_id FROM gym_memberships WHERE gym_id IN '
+        + '(SELECT id FROM gyms WHERE owner_id = $1)))',
+      values: ['owner-1']
+    });
+  });
+
+  it('should let trainers see themselves, clients in their gyms and their assigned clients', () => {
+    const scope = userVisibilityScope({
+      id: 'trainer-1', role: 'trainer', gym_ids: ['gym-1', 'gym-2'], permissions: readGym
+    });
+
+    expect(scope).toEqual({
+      condition: `(id = $1 OR (role = 'client' AND ${inGyms(2)}) OR `
+        + "id IN (SELECT client_id FROM trainer_clients WHERE trainer_id = $1 AND status = 'active'))",
+      values: ['trainer-1', ['gym-1', 'gym-2']]
+    });
+  });
+
+  it('should let clients see themselves, trainers in their gyms and their assigned trainers', () => {
+    const scope = userVisibilityScope({ id: 'client-1', role: 'client', gym_ids: ['gym-1'], permissions: readGym });
+
+    expect(scope).toEqual({
+      condition: `(id = $1 OR (role = 'trainer' AND ${inGyms(2)}) OR `
+        + "id IN (SELECT trainer_id FROM trainer_clients WHERE client_id = $1 AND status = 'active'))",
+      values: ['client-1', ['gym-1']]
+    });
+  });
+
+  it('should limit trainers and clients without memberships to themselves and their assignments', () => {
+    expect(userVisibilityScope({ id: 'trainer-1', role: 'trainer', gym_ids: [], permissions: readGym })).toEqual({
+      condition: "(id = $1 OR id IN (SELECT client_id FROM trainer_clients WHERE trainer_id = $1 AND status = 'active'))",
+      values: ['trainer-1']
+    });
+    expect(userVisibilityScope({ id: 'client-1', role: 'client', permissions: readGym })).toEqual({
+      condition: "(id = $1 OR id IN (SELECT trainer_id FROM trainer_clients WHERE client_id = $1 AND status = 'active'))",
+      values: ['client-1']
+    });
+  });
+
+  it('should ignore the legacy gym_id claim', () => {
+    expect(userVisibilityScope({ id: 'staff-1', role: 'front_desk', gym_id: 'gym-1', permissions: readGym })).toEqual({
+      condition: 'id = $1',
+      values: ['staff-1']
+    });
+  });
+
+  it('should let other roles with users:read:gym see members of their gyms', () => {
+    expect(userVisibilityScope({ id: 'staff-1', role: 'front_desk', gym_ids: ['gym-1'], permissions: readGym })).toEqual({
+      condition: `(id = $1 OR ${inGyms(2)})`,
+      values: ['staff-1', ['gym-1']]
+    });
+  });
+
+  it('should limit users without a read permission to themselves', () => {
+    expect(userVisibilityScope({ id: 'user-1', role: 'guest', permissions: [] })).toEqual({
+      condition: 'id = $1',
+      values: ['user-1']
+    });
+    expect(userVisibilityScope({ id: 'admin-1', role: 'admin' })).toEqual({
+      condition: 'id = $1',
+      values: ['admin-1']
+    });
+  });
+
+  it('should number placeholders from the given offset', () => {
+    const scope = userVisibilityScope({ id: 'client-1', role: 'client', gym_ids: ['gym-1'], permissions: readGym }, 4);
+
+    expect(scope.condition).toContain(`(id = $4 OR (role = 'trainer' AND ${inGyms(5)}) OR`);
+    expect(scope.condition).toContain('WHERE client_id = $4');
+  });
+});
@@ -1,4 +1,4 @@
-const { validate, schemas } = require('../../src/middleware/validation');
+const { validate, validateQuery, uuidParam, schemas } = require('../../src/middleware/validation');
 
 describe('Validation Middleware', () => {
   let mockReq;
@@ -160,7 +160,7 @@ describe('Validation Middleware', () => {
       mockReq.body = {
         email: 'user@example.com',
         password: 'SecurePass123',
-        role: 'superuser', // Invalid role
+        role: 'Super User', // Not a valid role name
         first_name: 'John',
         last_name: 'Doe'
       };
@@ -370,24 +370,16 @@ describe('Validation Middleware', () => {
       expect(mockNext).toHaveBeenCalled();
     });
 
-    it('should validate profile_image_url as URI', () => {
-      mockReq.body = {
-        profile_image_url: 'not-a-url'
-      };
-
-      validateUpdateProfile(mockReq, mockRes, mockNext);
-
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-    });
-
-    it('should accept valid profile_image_url', () => {
+    it('should strip profile_image_url, which is only set by avatar uploads', () => {
       mockReq.body = {
+        first_name: 'John',
         profile_image_url: 'https://example.com/image.jpg'
       };
 
       validateUpdateProfile(mockReq, mockRes, mockNext);
 
       expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.validatedBody).toEqual({ first_name: 'John' });
     });
   });
 
@@ -442,7 +434,7 @@ describe('Validation Middleware', () => {
 
     it('should reject invalid role', () => {
       mockReq.body = {
-        role: 'superadmin'
+        role: 'super-admin'
       };
 
       validateUpdateRole(mockReq, mockRes, mockNext);
@@ -538,4 +530,178 @@ describe('Validation Middleware', () => {
       expect(mockNext).toHaveBeenCalled();
     });
   });
+
+  describe('schemas.emailVerificationSettings', () => {
+    const validateSettings = validate(schemas.emailVerificationSettings);
+
+    it('should accept a list of roles', () => {
+      mockReq.body = { required_roles: ['trainer', 'gym_owner'] };
+
+      validateSettings(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should accept an empty list', () => {
+      mockReq.body = { required_roles: [] };
+
+      validateSettings(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject malformed role names', () => {
+      mockReq.body = { required_roles: ['Super Admin'] };
+
+      validateSettings(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('schemas.createServiceClient', () => {
+    const validateClient = validate(schemas.createServiceClient);
+
+    it('should accept a client with known scopes', () => {
+      mockReq.body = { client_id: 'booking-service', name: 'Booking service', scopes: ['users:read'] };
+
+      validateClient(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject unknown scopes and malformed client ids', () => {
+      mockReq.body = { client_id: 'Booking Service', name: 'Booking service', scopes: ['users:delete'] };
+
+      validateClient(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json.mock.calls[0][0].error.details.map(detail => detail.field))
+        .toEqual(['client_id', 'scopes.0']);
+    });
+  });
+
+  describe('account status changes', () => {
+    it('should require a reason for admin status changes', () => {
+      mockReq.body = {};
+
+      validate(schemas.accountStatusChange)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should require only the password to close your own account', () => {
+      mockReq.body = { password: 'secret' };
+
+      validate(schemas.closeAccount)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should default to deactivation and reject unknown modes', () => {
+      mockReq.query = {};
+      validateQuery(schemas.deleteUserQuery)(mockReq, mockRes, mockNext);
+      expect(mockReq.validatedQuery).toEqual({ mode: 'deactivate' });
+
+      mockReq.query = { mode: 'purge' };
+      validateQuery(schemas.deleteUserQuery)(mockReq, mockRes, mockNext);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should keep the reason optional when deactivating a user', () => {
+      mockReq.body = {};
+      validate(schemas.deleteUser)(mockReq, mockRes, mockNext);
+      expect(mockReq.validatedBody).toEqual({});
+
+      mockReq.query = { reason: '  Spam  ' };
+      validateQuery(schemas.deleteUserQuery)(mockReq, mockRes, mockNext);
+      expect(mockReq.validatedQuery).toEqual({ mode: 'deactivate', reason: 'Spam' });
+      expect(mockNext).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('schemas.approveMembership', () => {
+    it('should accept an end_date without a start_date', () => {
+      mockReq.body = { end_date: '2025-12-31' };
+
+      validate(schemas.approveMembership)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.validatedBody).toEqual({ end_date: new Date('2025-12-31') });
+    });
+
+    it('should reject an end_date before the start_date', () => {
+      mockReq.body = { start_date: '2025-06-01', end_date: '2025-01-01' };
+
+      validate(schemas.approveMembership)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('schemas.requestEmailChange', () => {
+    it('should require the new address and default revoke_sessions to false', () => {
+      mockReq.body = { new_email: 'new@example.com', password: 'secret' };
+
+      validate(schemas.requestEmailChange)(mockReq, mockRes, mockNext);
+
+      expect(mockReq.validatedBody).toEqual({ new_email: 'new@example.com', password: 'secret', revoke_sessions: false });
+
+      mockReq.body = { new_email: 'not-an-email', password: 'secret' };
+      validate(schemas.requestEmailChange)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('validateQuery with schemas.auditLogQuery', () => {
+    it('should apply pagination defaults and convert dates', () => {
+      mockReq.query = { action: 'login', from: '2024-01-01T00:00:00Z' };
+
+      validateQuery(schemas.auditLogQuery)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.validatedQuery).toEqual({
+        action: 'login',
+        from: new Date('2024-01-01T00:00:00Z'),
+        page: 1,
+        limit: 50
+      });
+    });
+
+    it('should reject an end date before the start date', () => {
+      mockReq.query = { from: '2024-02-01', to: '2024-01-01' };
+
+      validateQuery(schemas.auditLogQuery)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should reject a non-UUID actor_id', () => {
+      mockReq.query = { actor_id: 'not-a-uuid' };
+
+      validateQuery(schemas.auditLogQuery)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('uuidParam', () => {
+    it('should answer 404 for ids that are not UUIDs', () => {
+      uuidParam(mockReq, mockRes, mockNext, 'not-a-uuid', 'sessionId');
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json.mock.calls[0][0].error.code).toBe('NOT_FOUND');
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should pass UUIDs through', () => {
+      uuidParam(mockReq, mockRes, mockNext, '6f1c1a52-3d6e-4c8b-9a3f-2b7d4e5f6a7b', 'sessionId');
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
 });